@@ -1,10 +1,25 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import Webcam from "./components/Webcam";
 import DetectionView from "./components/DetectionView";
 import ResultsPanel from "./components/ResultsPanel";
 import FaceMeshDetection from "./components/FaceMeshDetection";
 import PoseDetection from "./components/PoseDetection";
 import StrokeAssessment from "./components/StrokeAssessment";
+import PatientSelector from "./components/PatientSelector";
+import BaselineCalibration from "./components/BaselineCalibration";
+import SessionPanel from "./components/SessionPanel";
+import ArmDriftTest from "./components/ArmDriftTest";
+import SmileTest from "./components/SmileTest";
+import EyeClosureTest from "./components/EyeClosureTest";
+import GazeTest from "./components/GazeTest";
+import { evaluateNihss } from "stroke-shield-shared";
+import { captureSnapshot } from "./utils/snapshot";
+
+const ACTIVE_PATIENT_KEY = "activePatientId";
+
+// Smoothing applied to the face and pose metrics before they are scored,
+// see utils/metricsFilter.js for all options
+const METRICS_FILTER_OPTIONS = { method: "median", windowSize: 10 };
 
 function App() {
   const [faceMeshResults, setFaceMeshResults] = useState(null);
@@ -14,6 +29,23 @@ function App() {
   const [postureMetrics, setPostureMetrics] = useState({});
   const [riskLevel, setRiskLevel] = useState("low");
   const [assessmentFindings, setAssessmentFindings] = useState([]);
+  const [activePatientId, setActivePatientId] = useState(
+    () => localStorage.getItem(ACTIVE_PATIENT_KEY)
+  );
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [baseline, setBaseline] = useState(null);
+  const [riskRules, setRiskRules] = useState(null);
+  const [riskScore, setRiskScore] = useState(null);
+  const [session, setSession] = useState(null);
+  const [sessionRefreshToken, setSessionRefreshToken] = useState(0);
+  const [armDrift, setArmDrift] = useState(null);
+  const [smileResult, setSmileResult] = useState(null);
+  const [eyeClosure, setEyeClosure] = useState(null);
+  const [blinkStats, setBlinkStats] = useState(null);
+  const [gazeResult, setGazeResult] = useState(null);
+  const [gazeTarget, setGazeTarget] = useState(null);
+  const [snapshotLabel, setSnapshotLabel] = useState("");
+  const [snapshotStatus, setSnapshotStatus] = useState(null);
 
   const webcamRef = useRef(null);
   const canvasRef = useRef(null);
@@ -29,8 +61,144 @@ function App() {
     setPostureMetrics({});
     setRiskLevel("low");
     setAssessmentFindings([]);
+    setRiskScore(null);
+    setSaveStatus(null);
+    setArmDrift(null);
+    setSmileResult(null);
+    setEyeClosure(null);
+    setGazeResult(null);
+  };
+
+  const changeActivePatient = (patientId) => {
+    setActivePatientId(patientId);
+    if (patientId) {
+      localStorage.setItem(ACTIVE_PATIENT_KEY, patientId);
+    } else {
+      localStorage.removeItem(ACTIVE_PATIENT_KEY);
+    }
+  };
+
+  // Smile movement, eye closure, gaze and pronator drift come from timed tests
+  // and blink completeness from the blink history, rather than every frame
+  const assessedAsymmetryMetrics = useMemo(() => {
+    if (Object.keys(asymmetryMetrics).length === 0) return asymmetryMetrics;
+
+    const metrics = { ...asymmetryMetrics };
+    if (smileResult) {
+      metrics.mouthMovementAsymmetry = smileResult.mouthMovementAsymmetry;
+    }
+    if (eyeClosure) {
+      metrics.eyeClosureAsymmetry = eyeClosure.eyeClosureAsymmetry;
+    }
+    if (blinkStats && blinkStats.blinkCompletenessAsymmetry !== null) {
+      metrics.blinkCompletenessAsymmetry = blinkStats.blinkCompletenessAsymmetry;
+    }
+    if (gazeResult) {
+      metrics.gazeDeviation = gazeResult.gazeDeviation;
+      metrics.gazeMismatch = gazeResult.gazeMismatch;
+    }
+    return metrics;
+  }, [asymmetryMetrics, smileResult, eyeClosure, blinkStats, gazeResult]);
+  const assessedPostureMetrics = useMemo(
+    () =>
+      armDrift
+        ? { ...postureMetrics, pronatorDrift: armDrift.pronatorDrift }
+        : postureMetrics,
+    [postureMetrics, armDrift]
+  );
+
+  // Approximate NIHSS items from the live metrics and the session's speech
+  // and task results
+  const nihss = useMemo(
+    () =>
+      evaluateNihss({
+        face:
+          Object.keys(assessedAsymmetryMetrics).length > 0
+            ? assessedAsymmetryMetrics
+            : null,
+        arm: armDrift,
+        speech: session ? session.results.speech : null,
+        tasks: session ? session.results.tasks : [],
+      }),
+    [assessedAsymmetryMetrics, armDrift, session]
+  );
+
+  // Store the current metrics as an assessment for the active patient
+  const saveAssessment = async () => {
+    try {
+      const response = await fetch("/api/assessments", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          patientId: activePatientId,
+          sessionId: session && session.status === "open" ? session.id : null,
+          asymmetryMetrics: assessedAsymmetryMetrics,
+          postureMetrics: assessedPostureMetrics,
+          armDriftSide: armDrift ? armDrift.weakerSide : null,
+          timestamp: new Date().toISOString(),
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      setSaveStatus("Assessment saved");
+      setSessionRefreshToken((token) => token + 1);
+    } catch (error) {
+      console.error("Error saving assessment:", error);
+      setSaveStatus("Failed to save assessment");
+    }
   };
 
+  // Add the camera view with its detection overlay to the open session
+  const takeSnapshot = async () => {
+    const label = snapshotLabel.trim() || "Snapshot";
+    try {
+      const image = await captureSnapshot(
+        webcamRef.current,
+        canvasRef.current,
+        `${label} - ${new Date().toLocaleString()}`
+      );
+      if (!image) {
+        setSnapshotStatus("Start the camera before taking a snapshot");
+        return;
+      }
+      const response = await fetch(
+        `/api/sessions/${session.id}/snapshots?label=${encodeURIComponent(label)}`,
+        { method: "POST", headers: { "Content-Type": "image/jpeg" }, body: image }
+      );
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      setSnapshotStatus(`Snapshot "${label}" added to the session`);
+      setSnapshotLabel("");
+      setSessionRefreshToken((token) => token + 1);
+    } catch (error) {
+      console.error("Error saving snapshot:", error);
+      setSnapshotStatus("Failed to save snapshot");
+    }
+  };
+
+  const hasMetrics =
+    Object.keys(asymmetryMetrics).length > 0 &&
+    Object.keys(postureMetrics).length > 0;
+
+  // Load the risk rules shared with the server and the static page
+  useEffect(() => {
+    const fetchRiskRules = async () => {
+      try {
+        const response = await fetch("/api/risk/rules");
+        if (!response.ok) {
+          throw new Error(`HTTP error ${response.status}`);
+        }
+        setRiskRules(await response.json());
+      } catch (error) {
+        console.error("Error fetching risk rules:", error);
+      }
+    };
+
+    fetchRiskRules();
+  }, []);
+
   useEffect(() => {
     // Initialize feather icons
     if (window.feather) {
@@ -41,11 +209,17 @@ function App() {
   return (
     <div className="min-h-screen bg-red-100">
       <header className="bg-blue-600 text-white p-4">
-        <div className="container mx-auto">
-          <h1 className="text-3xl font-bold">Stroke Detection System AAAA</h1>
-          <p className="mt-2">
-            Real-time analysis of facial asymmetry and body posture
-          </p>
+        <div className="container mx-auto flex flex-wrap justify-between items-center gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">Stroke Detection System AAAA</h1>
+            <p className="mt-2">
+              Real-time analysis of facial asymmetry and body posture
+            </p>
+          </div>
+          <PatientSelector
+            activePatientId={activePatientId}
+            onPatientChange={changeActivePatient}
+          />
         </div>
       </header>
 
@@ -59,6 +233,7 @@ function App() {
                 ref={canvasRef}
                 faceMeshResults={faceMeshResults}
                 poseResults={poseResults}
+                gazeTarget={gazeTarget}
               />
             </div>
             <div className="mt-4 flex gap-2">
@@ -74,15 +249,85 @@ function App() {
               >
                 Clear Results
               </button>
+              <button
+                onClick={saveAssessment}
+                disabled={!hasMetrics}
+                className="px-4 py-2 bg-blue-500 text-white rounded font-bold disabled:opacity-50"
+              >
+                Save Assessment
+              </button>
             </div>
+            {saveStatus && <p className="mt-2 text-sm">{saveStatus}</p>}
+            <div className="mt-2 flex gap-2">
+              <input
+                type="text"
+                value={snapshotLabel}
+                onChange={(e) => setSnapshotLabel(e.target.value)}
+                maxLength={100}
+                placeholder="Snapshot label"
+                aria-label="Snapshot label"
+                className="flex-1 px-2 py-2 rounded border"
+              />
+              <button
+                onClick={takeSnapshot}
+                disabled={!isDetecting || !session || session.status !== "open"}
+                className="px-4 py-2 bg-gray-700 text-white rounded font-bold disabled:opacity-50"
+              >
+                Take Snapshot
+              </button>
+            </div>
+            {snapshotStatus && <p className="mt-2 text-sm">{snapshotStatus}</p>}
+            <BaselineCalibration
+              activePatientId={activePatientId}
+              isDetecting={isDetecting}
+              asymmetryMetrics={asymmetryMetrics}
+              postureMetrics={postureMetrics}
+              baseline={baseline}
+              onBaselineChange={setBaseline}
+            />
+            <SmileTest
+              isDetecting={isDetecting}
+              faceMeshResults={faceMeshResults}
+              result={smileResult}
+              onResult={setSmileResult}
+            />
+            <EyeClosureTest
+              isDetecting={isDetecting}
+              faceMeshResults={faceMeshResults}
+              blinkStats={blinkStats}
+              result={eyeClosure}
+              onResult={setEyeClosure}
+            />
+            <GazeTest
+              isDetecting={isDetecting}
+              faceMeshResults={faceMeshResults}
+              result={gazeResult}
+              onResult={setGazeResult}
+              onTargetChange={setGazeTarget}
+            />
+            <ArmDriftTest
+              isDetecting={isDetecting}
+              poseResults={poseResults}
+              result={armDrift}
+              onResult={setArmDrift}
+            />
           </div>
 
+          <SessionPanel
+            activePatientId={activePatientId}
+            session={session}
+            refreshToken={sessionRefreshToken}
+            onSessionChange={setSession}
+          />
+
           <div>
             <ResultsPanel
-              asymmetryMetrics={asymmetryMetrics}
-              postureMetrics={postureMetrics}
+              asymmetryMetrics={assessedAsymmetryMetrics}
+              postureMetrics={assessedPostureMetrics}
               riskLevel={riskLevel}
+              riskScore={riskScore}
               assessmentFindings={assessmentFindings}
+              nihss={nihss}
             />
           </div>
         </div>
@@ -93,18 +338,24 @@ function App() {
           isDetecting={isDetecting}
           onResults={setFaceMeshResults}
           onMetricsUpdate={setAsymmetryMetrics}
+          onBlinkStatsUpdate={setBlinkStats}
+          filterOptions={METRICS_FILTER_OPTIONS}
         />
         <PoseDetection
           webcamRef={webcamRef}
           isDetecting={isDetecting}
           onResults={setPoseResults}
           onMetricsUpdate={setPostureMetrics}
+          filterOptions={METRICS_FILTER_OPTIONS}
         />
         <StrokeAssessment
-          asymmetryMetrics={asymmetryMetrics}
-          postureMetrics={postureMetrics}
+          asymmetryMetrics={assessedAsymmetryMetrics}
+          postureMetrics={assessedPostureMetrics}
+          baseline={baseline}
+          riskRules={riskRules}
           onRiskUpdate={setRiskLevel}
           onFindingsUpdate={setAssessmentFindings}
+          onScoreUpdate={setRiskScore}
         />
       </main>
 
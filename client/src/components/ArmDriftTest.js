@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createArmDriftTracker, ARM_DRIFT_DURATION_MS } from 'stroke-shield-shared';
+
+const SIDE_LABELS = {
+  left: 'left arm',
+  right: 'right arm'
+};
+
+// Timed arm drift test: the person holds both arms up while the pose
+// landmarks are tracked, then the drop of each arm is compared.
+const ArmDriftTest = ({ isDetecting, poseResults, result, onResult }) => {
+  const trackerRef = useRef(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isRunning = secondsLeft !== null;
+
+  // Feed every pose frame into the tracker while the test is running
+  useEffect(() => {
+    const tracker = trackerRef.current;
+    if (!tracker || !poseResults || !poseResults.poseLandmarks) return;
+
+    tracker.addFrame(poseResults.poseLandmarks, Date.now());
+  }, [poseResults]);
+
+  // Count down and measure the drift once the hold is over
+  useEffect(() => {
+    if (!isRunning) return;
+
+    if (secondsLeft === 0) {
+      const measured = trackerRef.current.getResult();
+      trackerRef.current = null;
+      setSecondsLeft(null);
+
+      if (measured.error) {
+        setError(measured.error);
+      } else {
+        onResult(measured);
+      }
+      return;
+    }
+
+    const timer = setTimeout(() => setSecondsLeft(secondsLeft - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [isRunning, secondsLeft, onResult]);
+
+  // Stopping detection abandons a running test
+  useEffect(() => {
+    if (!isDetecting) {
+      trackerRef.current = null;
+      setSecondsLeft(null);
+    }
+  }, [isDetecting]);
+
+  const startTest = () => {
+    trackerRef.current = createArmDriftTracker();
+    setError(null);
+    onResult(null);
+    setSecondsLeft(Math.round(ARM_DRIFT_DURATION_MS / 1000));
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-100 rounded">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="font-semibold">Arm Drift Test</h3>
+          <p className="text-sm text-gray-600">
+            Raise both arms to shoulder level, palms up, and hold them still until the countdown ends.
+          </p>
+        </div>
+        <button
+          onClick={startTest}
+          disabled={!isDetecting || isRunning}
+          className="px-4 py-2 bg-indigo-500 text-white rounded font-bold disabled:opacity-50"
+        >
+          {result ? 'Repeat Test' : 'Start Test'}
+        </button>
+      </div>
+      {isRunning && (
+        <p className="text-3xl font-bold text-center text-indigo-600 mt-2">Hold: {secondsLeft}</p>
+      )}
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+      {result && !isRunning && (
+        <p className="text-sm mt-1">
+          Pronator drift {(result.pronatorDrift * 100).toFixed(1)}%
+          {result.weakerSide ? ` - ${SIDE_LABELS[result.weakerSide]} dropped more` : ' - both arms held level'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ArmDriftTest;
@@ -0,0 +1,121 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { createBaselineCalibrator } from '../utils/baselineCalibration';
+
+const BaselineCalibration = ({
+  activePatientId,
+  isDetecting,
+  asymmetryMetrics,
+  postureMetrics,
+  baseline,
+  onBaselineChange
+}) => {
+  const calibratorRef = useRef(null);
+  const [progress, setProgress] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  // Load the stored baseline whenever the active patient changes
+  useEffect(() => {
+    calibratorRef.current = null;
+    setProgress(null);
+    setStatus(null);
+
+    if (!activePatientId) {
+      onBaselineChange(null);
+      return;
+    }
+
+    const fetchBaseline = async () => {
+      try {
+        const response = await fetch(`/api/patients/${activePatientId}/baseline`);
+        if (response.status === 404) {
+          onBaselineChange(null);
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP error ${response.status}`);
+        }
+        onBaselineChange(await response.json());
+      } catch (error) {
+        console.error('Error fetching baseline:', error);
+        onBaselineChange(null);
+      }
+    };
+
+    fetchBaseline();
+  }, [activePatientId, onBaselineChange]);
+
+  const saveBaseline = useCallback(async (newBaseline) => {
+    try {
+      const response = await fetch(`/api/patients/${activePatientId}/baseline`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newBaseline)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      onBaselineChange(await response.json());
+      setStatus('Baseline saved');
+    } catch (error) {
+      console.error('Error saving baseline:', error);
+      setStatus('Failed to save baseline');
+    }
+    setProgress(null);
+  }, [activePatientId, onBaselineChange]);
+
+  // Feed every new frame into the calibrator while calibrating
+  useEffect(() => {
+    const calibrator = calibratorRef.current;
+    if (!calibrator) return;
+    if (Object.keys(asymmetryMetrics).length === 0 || Object.keys(postureMetrics).length === 0) return;
+
+    calibrator.addFrame({ ...asymmetryMetrics, ...postureMetrics });
+    setProgress(calibrator.getProgress());
+
+    if (calibrator.isComplete()) {
+      calibratorRef.current = null;
+      saveBaseline(calibrator.getBaseline());
+    }
+  }, [asymmetryMetrics, postureMetrics, saveBaseline]);
+
+  const startCalibration = () => {
+    calibratorRef.current = createBaselineCalibrator();
+    setProgress(0);
+    setStatus('Look straight at the camera with a relaxed face and hold still');
+  };
+
+  const isCalibrating = progress !== null;
+
+  return (
+    <div className="mt-4 bg-gray-100 p-3 rounded">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <h3 className="font-semibold">Personal Baseline</h3>
+          <p className="text-sm text-gray-600">
+            {baseline
+              ? `Calibrated ${new Date(baseline.recordedAt).toLocaleString()} - risk is scored as change from this baseline`
+              : 'Not calibrated - risk is scored on raw values'}
+          </p>
+        </div>
+        <button
+          onClick={startCalibration}
+          disabled={!activePatientId || !isDetecting || isCalibrating}
+          className="px-4 py-2 bg-purple-500 text-white rounded font-bold disabled:opacity-50"
+        >
+          {baseline ? 'Recalibrate' : 'Calibrate'}
+        </button>
+      </div>
+      {!activePatientId && (
+        <p className="text-sm text-gray-600 mt-1">Select a patient to record a baseline.</p>
+      )}
+      {isCalibrating && (
+        <div className="mt-2 w-full bg-gray-300 rounded h-2">
+          <div className="bg-purple-500 h-2 rounded" style={{ width: `${Math.round(progress * 100)}%` }} />
+        </div>
+      )}
+      {status && <p className="text-sm mt-1">{status}</p>}
+    </div>
+  );
+};
+
+export default BaselineCalibration;
@@ -3,7 +3,10 @@ import { drawConnectors, drawLandmarks } from '@mediapipe/drawing_utils';
 import { FACEMESH_TESSELATION, FACEMESH_RIGHT_EYE, FACEMESH_LEFT_EYE, FACEMESH_RIGHT_EYEBROW, FACEMESH_LEFT_EYEBROW, FACEMESH_FACE_OVAL, FACEMESH_LIPS } from '@mediapipe/face_mesh';
 import { POSE_CONNECTIONS } from '@mediapipe/pose';
 
-const DetectionView = forwardRef(({ faceMeshResults, poseResults }, ref) => {
+// Gaze target dot for the eye movement test
+const GAZE_TARGET_RADIUS = 12;
+
+const DetectionView = forwardRef(({ faceMeshResults, poseResults, gazeTarget }, ref) => {
   useEffect(() => {
     const ctx = ref.current?.getContext('2d');
     if (!ctx) return;
@@ -49,7 +52,18 @@ const DetectionView = forwardRef(({ faceMeshResults, poseResults }, ref) => {
         fillColor: '#FFFFFF'
       });
     }
-  }, [faceMeshResults, poseResults, ref]);
+    
+    // Draw the gaze target on top of everything else
+    if (gazeTarget) {
+      ctx.beginPath();
+      ctx.arc(gazeTarget.x * ctx.canvas.width, gazeTarget.y * ctx.canvas.height, GAZE_TARGET_RADIUS, 0, 2 * Math.PI);
+      ctx.fillStyle = '#FFD700';
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = '#000000';
+      ctx.stroke();
+    }
+  }, [faceMeshResults, poseResults, gazeTarget, ref]);
   
   return (
     <canvas
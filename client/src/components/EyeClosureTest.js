@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  computeEyeAspectRatios,
+  createEyeClosureCheck,
+  EYES_OPEN_SECONDS,
+  EYES_CLOSED_SECONDS
+} from '../utils/eyeClosureTracker';
+
+const PHASES = {
+  open: { seconds: EYES_OPEN_SECONDS, prompt: 'Keep your eyes open', next: 'closed' },
+  closed: { seconds: EYES_CLOSED_SECONDS, prompt: 'Close your eyes tightly', next: null }
+};
+
+const formatPercent = (value) => `${(value * 100).toFixed(0)}%`;
+
+// "Close your eyes tightly" check plus the running blink statistics
+// for each eye
+const EyeClosureTest = ({ isDetecting, faceMeshResults, blinkStats, result, onResult }) => {
+  const checkRef = useRef(null);
+  const [phase, setPhase] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Feed every face frame into the current phase
+  useEffect(() => {
+    const check = checkRef.current;
+    if (!check || !phase || !faceMeshResults || !faceMeshResults.multiFaceLandmarks) return;
+    if (faceMeshResults.multiFaceLandmarks.length === 0) return;
+
+    check.addFrame(phase, computeEyeAspectRatios(faceMeshResults.multiFaceLandmarks[0]));
+  }, [faceMeshResults, phase]);
+
+  // Count down each phase, then move to the next one or measure the result
+  useEffect(() => {
+    if (!phase) return;
+
+    if (secondsLeft === 0) {
+      const next = PHASES[phase].next;
+      if (next) {
+        setPhase(next);
+        setSecondsLeft(PHASES[next].seconds);
+        return;
+      }
+
+      const measured = checkRef.current.getResult();
+      checkRef.current = null;
+      setPhase(null);
+      setSecondsLeft(null);
+
+      if (measured.error) {
+        setError(measured.error);
+      } else {
+        onResult(measured);
+      }
+      return;
+    }
+
+    const timer = setTimeout(() => setSecondsLeft(secondsLeft - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [phase, secondsLeft, onResult]);
+
+  // Stopping detection abandons a running check
+  useEffect(() => {
+    if (!isDetecting) {
+      checkRef.current = null;
+      setPhase(null);
+      setSecondsLeft(null);
+    }
+  }, [isDetecting]);
+
+  const startTest = () => {
+    checkRef.current = createEyeClosureCheck();
+    setError(null);
+    onResult(null);
+    setPhase('open');
+    setSecondsLeft(PHASES.open.seconds);
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-100 rounded">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="font-semibold">Eye Closure Test</h3>
+          <p className="text-sm text-gray-600">
+            Look at the camera, then close both eyes as tightly as you can for {EYES_CLOSED_SECONDS} seconds when asked.
+          </p>
+        </div>
+        <button
+          onClick={startTest}
+          disabled={!isDetecting || phase !== null}
+          className="px-4 py-2 bg-indigo-500 text-white rounded font-bold disabled:opacity-50"
+        >
+          {result ? 'Repeat Test' : 'Start Test'}
+        </button>
+      </div>
+      {phase && (
+        <p className="text-3xl font-bold text-center text-indigo-600 mt-2">
+          {PHASES[phase].prompt}: {secondsLeft}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+      {result && !phase && (
+        <p className="text-sm mt-1">
+          Eye closure: left {formatPercent(result.left.closure)}, right {formatPercent(result.right.closure)}
+          {!result.left.complete && ' - left eye did not close fully'}
+          {!result.right.complete && ' - right eye did not close fully'}
+        </p>
+      )}
+      {blinkStats && blinkStats.durationSeconds > 0 && (
+        <p className="text-sm text-gray-600 mt-1">
+          Blinks in the last {Math.round(blinkStats.durationSeconds)}s: left {blinkStats.left.blinkCount}
+          {blinkStats.left.completeness !== null && ` (${formatPercent(blinkStats.left.completeness)} complete)`},
+          right {blinkStats.right.blinkCount}
+          {blinkStats.right.completeness !== null && ` (${formatPercent(blinkStats.right.completeness)} complete)`}
+          {blinkStats.unilateralBlinks > 0 && `, ${blinkStats.unilateralBlinks} with one eye only`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default EyeClosureTest;
@@ -1,11 +1,28 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { FaceMesh } from '@mediapipe/face_mesh';
 import { Camera } from '@mediapipe/camera_utils';
 import analyzeFacialAsymmetry from '../utils/facialAsymmetryDetector';
+import { createMetricsFilter } from '../utils/metricsFilter';
+import { computeEyeAspectRatios, createBlinkTracker } from '../utils/eyeClosureTracker';
 
-const FaceMeshDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate }) => {
+// Nose tip, eye corners, mouth corners, forehead and chin - checked for implausible jumps
+const JUMP_LANDMARKS = [4, 33, 133, 263, 362, 61, 291, 10, 152];
+
+// How often blink statistics are passed on
+const BLINK_STATS_INTERVAL_MS = 1000;
+
+// Share of landmarks inside the image, used as the detection confidence
+// since the face mesh does not report one
+const faceConfidence = (landmarks) => {
+  const inside = landmarks.filter(point => point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1);
+  return inside.length / landmarks.length;
+};
+
+const FaceMeshDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate, onBlinkStatsUpdate, filterOptions }) => {
   const [faceMesh, setFaceMesh] = useState(null);
   const [camera, setCamera] = useState(null);
+  const filterRef = useRef(null);
+  const blinkTrackerRef = useRef(null);
   
   useEffect(() => {
     if (!webcamRef.current) return;
@@ -25,12 +42,40 @@ const FaceMeshDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate
         refineLandmarks: true
       });
       
+      const filter = createMetricsFilter({ landmarkIndices: JUMP_LANDMARKS, ...filterOptions });
+      filterRef.current = filter;
+      const blinkTracker = createBlinkTracker();
+      blinkTrackerRef.current = blinkTracker;
+      let lastBlinkStats = 0;
+      
       mesh.onResults((results) => {
         onResults(results);
         
         if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-          const metrics = analyzeFacialAsymmetry(results.multiFaceLandmarks[0]);
-          onMetricsUpdate(metrics);
+          const landmarks = results.multiFaceLandmarks[0];
+          const now = Date.now();
+          const { blinking } = blinkTracker.addFrame(computeEyeAspectRatios(landmarks), now);
+          if (onBlinkStatsUpdate && now - lastBlinkStats >= BLINK_STATS_INTERVAL_MS) {
+            onBlinkStatsUpdate(blinkTracker.getStats());
+            lastBlinkStats = now;
+          }
+          
+          // Frames taken mid-blink would skew the eye asymmetry, so they are not scored.
+          // Gaze is left out: looking aside is normal between tests, so it is
+          // only scored from the eye movement test.
+          const { headPose, reliable, ...metrics } = analyzeFacialAsymmetry(landmarks);
+          const filtered = filter.addFrame({
+            metrics,
+            landmarks,
+            confidence: faceConfidence(landmarks),
+            reliable: reliable && !blinking
+          });
+          
+          // Only pass on settled values so the risk does not flicker.
+          // The head pose is reported with them but is not scored.
+          if (filtered.accepted && filtered.isStable) {
+            onMetricsUpdate({ ...filtered.metrics, headPose });
+          }
         }
       });
       
@@ -62,7 +107,17 @@ const FaceMeshDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate
         camera.stop();
       }
     };
-  }, [webcamRef, onResults, onMetricsUpdate]);
+  }, [webcamRef, onResults, onMetricsUpdate, onBlinkStatsUpdate, filterOptions]);
+  
+  // Start each detection run with an empty filter window and blink history
+  useEffect(() => {
+    if (filterRef.current) {
+      filterRef.current.reset();
+    }
+    if (blinkTrackerRef.current) {
+      blinkTrackerRef.current.reset();
+    }
+  }, [isDetecting]);
   
   useEffect(() => {
     if (camera && isDetecting) {
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createDotTask, dotPosition, DOT_TASK_SECONDS } from '../utils/gazeAnalyzer';
+
+const formatPercent = (value) => `${(value * 100).toFixed(0)}%`;
+
+// "Follow the moving dot" task: a dot drawn on the detection canvas sweeps
+// from side to side and the eyes are checked for following it to both sides.
+// The dot position goes out through onTargetChange (null when not running).
+const GazeTest = ({ isDetecting, faceMeshResults, result, onResult, onTargetChange }) => {
+  const taskRef = useRef(null);
+  const startRef = useRef(null);
+  const [running, setRunning] = useState(false);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Feed every face frame into the task with the dot position at that moment
+  useEffect(() => {
+    const task = taskRef.current;
+    if (!task || !running || !faceMeshResults || !faceMeshResults.multiFaceLandmarks) return;
+    if (faceMeshResults.multiFaceLandmarks.length === 0) return;
+
+    task.addFrame(faceMeshResults.multiFaceLandmarks[0], Date.now() - startRef.current);
+  }, [faceMeshResults, running]);
+
+  // Move the dot smoothly while the task runs
+  useEffect(() => {
+    if (!running) return;
+
+    let frame;
+    const move = () => {
+      onTargetChange(dotPosition(Date.now() - startRef.current));
+      frame = requestAnimationFrame(move);
+    };
+    move();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      onTargetChange(null);
+    };
+  }, [running, onTargetChange]);
+
+  // Count down, then measure the result
+  useEffect(() => {
+    if (!running) return;
+
+    if (secondsLeft === 0) {
+      const measured = taskRef.current.getResult();
+      taskRef.current = null;
+      setRunning(false);
+      setSecondsLeft(null);
+
+      if (measured.error) {
+        setError(measured.error);
+      } else {
+        onResult(measured);
+      }
+      return;
+    }
+
+    const timer = setTimeout(() => setSecondsLeft(secondsLeft - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [running, secondsLeft, onResult]);
+
+  // Stopping detection abandons a running task
+  useEffect(() => {
+    if (!isDetecting) {
+      taskRef.current = null;
+      setRunning(false);
+      setSecondsLeft(null);
+    }
+  }, [isDetecting]);
+
+  const startTest = () => {
+    taskRef.current = createDotTask();
+    startRef.current = Date.now();
+    setError(null);
+    onResult(null);
+    setRunning(true);
+    setSecondsLeft(DOT_TASK_SECONDS);
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-100 rounded">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="font-semibold">Eye Movement Test</h3>
+          <p className="text-sm text-gray-600">
+            Keep your head still and follow the moving dot with your eyes only.
+          </p>
+        </div>
+        <button
+          onClick={startTest}
+          disabled={!isDetecting || running}
+          className="px-4 py-2 bg-indigo-500 text-white rounded font-bold disabled:opacity-50"
+        >
+          {result ? 'Repeat Test' : 'Start Test'}
+        </button>
+      </div>
+      {running && (
+        <p className="text-3xl font-bold text-center text-indigo-600 mt-2">
+          Follow the dot: {secondsLeft}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+      {result && !running && (
+        <p className="text-sm mt-1">
+          {result.followedDot
+            ? `Gaze reach asymmetry ${formatPercent(result.reachAsymmetry)}, eye mismatch ${formatPercent(result.gazeMismatch)}`
+            : 'The eyes did not follow the dot'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GazeTest;
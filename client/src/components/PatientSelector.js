@@ -0,0 +1,84 @@
+import React, { useEffect, useState } from 'react';
+
+const PatientSelector = ({ activePatientId, onPatientChange }) => {
+  const [patients, setPatients] = useState([]);
+  const [newPatientName, setNewPatientName] = useState('');
+  const [error, setError] = useState(null);
+
+  // Load the patient list once on mount
+  useEffect(() => {
+    const fetchPatients = async () => {
+      try {
+        const response = await fetch('/api/patients');
+        if (!response.ok) {
+          throw new Error(`HTTP error ${response.status}`);
+        }
+        setPatients(await response.json());
+      } catch (err) {
+        console.error('Error fetching patients:', err);
+        setError('Unable to load patients');
+      }
+    };
+
+    fetchPatients();
+  }, []);
+
+  // Create a patient and make them the active one
+  const addPatient = async (event) => {
+    event.preventDefault();
+    const name = newPatientName.trim();
+    if (!name) return;
+
+    try {
+      const response = await fetch('/api/patients', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      const patient = await response.json();
+      setPatients(current => [...current, patient].sort((a, b) => a.name.localeCompare(b.name)));
+      setNewPatientName('');
+      setError(null);
+      onPatientChange(patient.id);
+    } catch (err) {
+      console.error('Error creating patient:', err);
+      setError('Unable to create patient');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <label htmlFor="active-patient" className="font-semibold">Patient:</label>
+      <select
+        id="active-patient"
+        value={activePatientId || ''}
+        onChange={(event) => onPatientChange(event.target.value || null)}
+        className="px-2 py-1 rounded text-gray-800"
+      >
+        <option value="">Anonymous</option>
+        {patients.map(patient => (
+          <option key={patient.id} value={patient.id}>{patient.name}</option>
+        ))}
+      </select>
+      <form onSubmit={addPatient} className="flex gap-2">
+        <input
+          type="text"
+          value={newPatientName}
+          onChange={(event) => setNewPatientName(event.target.value)}
+          placeholder="New patient name"
+          className="px-2 py-1 rounded text-gray-800"
+        />
+        <button type="submit" className="px-3 py-1 rounded font-bold bg-white text-blue-600">
+          Add
+        </button>
+      </form>
+      {error && <span className="text-sm text-red-200">{error}</span>}
+    </div>
+  );
+};
+
+export default PatientSelector;
@@ -1,11 +1,22 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Pose } from '@mediapipe/pose';
 import { Camera } from '@mediapipe/camera_utils';
 import analyzePosture from '../utils/postureAnalyzer';
+import { createMetricsFilter } from '../utils/metricsFilter';
 
-const PoseDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate }) => {
+// Nose, ears and shoulders - the upper body is what a webcam reliably sees
+const UPPER_BODY_LANDMARKS = [0, 7, 8, 11, 12];
+
+// Average visibility of the upper body landmarks, used as the detection confidence
+const poseConfidence = (landmarks) => {
+  const visibilities = UPPER_BODY_LANDMARKS.map(index => landmarks[index]?.visibility ?? 0);
+  return visibilities.reduce((sum, value) => sum + value, 0) / visibilities.length;
+};
+
+const PoseDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate, filterOptions }) => {
   const [pose, setPose] = useState(null);
   const [camera, setCamera] = useState(null);
+  const filterRef = useRef(null);
   
   useEffect(() => {
     if (!webcamRef.current) return;
@@ -27,12 +38,23 @@ const PoseDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate }) =
         minTrackingConfidence: 0.5
       });
       
+      const filter = createMetricsFilter({ landmarkIndices: UPPER_BODY_LANDMARKS, ...filterOptions });
+      filterRef.current = filter;
+      
       poseModel.onResults((results) => {
         onResults(results);
         
         if (results.poseLandmarks) {
-          const metrics = analyzePosture(results.poseLandmarks);
-          onMetricsUpdate(metrics);
+          const filtered = filter.addFrame({
+            metrics: analyzePosture(results.poseLandmarks),
+            landmarks: results.poseLandmarks,
+            confidence: poseConfidence(results.poseLandmarks)
+          });
+          
+          // Only pass on settled values so the risk does not flicker
+          if (filtered.accepted && filtered.isStable) {
+            onMetricsUpdate(filtered.metrics);
+          }
         }
       });
       
@@ -63,7 +85,14 @@ const PoseDetection = ({ webcamRef, isDetecting, onResults, onMetricsUpdate }) =
       }
       // We don't stop the camera here since FaceMeshDetection manages it
     };
-  }, [webcamRef, onResults, onMetricsUpdate, camera]);
+  }, [webcamRef, onResults, onMetricsUpdate, camera, filterOptions]);
+  
+  // Start each detection run with an empty filter window
+  useEffect(() => {
+    if (filterRef.current) {
+      filterRef.current.reset();
+    }
+  }, [isDetecting]);
   
   useEffect(() => {
     if (camera && isDetecting) {
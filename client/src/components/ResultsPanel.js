@@ -1,7 +1,7 @@
 import React, { useEffect, useRef } from 'react';
 import Chart from 'chart.js/auto';
 
-const ResultsPanel = ({ asymmetryMetrics, postureMetrics, riskLevel, assessmentFindings }) => {
+const ResultsPanel = ({ asymmetryMetrics, postureMetrics, riskLevel, riskScore, assessmentFindings, nihss }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
   
@@ -124,6 +124,11 @@ const ResultsPanel = ({ asymmetryMetrics, postureMetrics, riskLevel, assessmentF
           {riskLevel === 'low' && 'Low Risk - Continue Monitoring'}
           {!riskLevel && 'Awaiting Analysis'}
         </div>
+        {riskScore && (
+          <div className="text-sm text-gray-600 mt-1 text-center">
+            Risk score: {riskScore.score} / {riskScore.maxScore}
+          </div>
+        )}
       </div>
       
       {/* Visualization */}
@@ -152,7 +157,33 @@ const ResultsPanel = ({ asymmetryMetrics, postureMetrics, riskLevel, assessmentF
           <div className="metric-label">Overall Asymmetry</div>
           <div className="metric-value">{formatMetric(asymmetryMetrics.overallAsymmetry)}</div>
         </div>
+        <div className="metric-card">
+          <div className="metric-label">Smile Movement Asymmetry</div>
+          <div className="metric-value">{formatMetric(asymmetryMetrics.mouthMovementAsymmetry)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Eye Closure Asymmetry</div>
+          <div className="metric-value">{formatMetric(asymmetryMetrics.eyeClosureAsymmetry)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Blink Completeness Asymmetry</div>
+          <div className="metric-value">{formatMetric(asymmetryMetrics.blinkCompletenessAsymmetry)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Gaze Deviation</div>
+          <div className="metric-value">{formatMetric(asymmetryMetrics.gazeDeviation)}</div>
+        </div>
+        <div className="metric-card">
+          <div className="metric-label">Gaze Mismatch</div>
+          <div className="metric-value">{formatMetric(asymmetryMetrics.gazeMismatch)}</div>
+        </div>
       </div>
+      {asymmetryMetrics.headPose && (
+        <p className="text-sm text-gray-600 -mt-4 mb-6">
+          Head pose (corrected for): yaw {asymmetryMetrics.headPose.yaw}°,
+          pitch {asymmetryMetrics.headPose.pitch}°, roll {asymmetryMetrics.headPose.roll}°
+        </p>
+      )}
       
       {/* Posture Metrics */}
       <div className="grid grid-cols-2 gap-4 mb-6">
@@ -168,6 +199,10 @@ const ResultsPanel = ({ asymmetryMetrics, postureMetrics, riskLevel, assessmentF
           <div className="metric-label">Body Lean</div>
           <div className="metric-value">{formatMetric(postureMetrics.bodyLean)}</div>
         </div>
+        <div className="metric-card">
+          <div className="metric-label">Pronator Drift</div>
+          <div className="metric-value">{formatMetric(postureMetrics.pronatorDrift)}</div>
+        </div>
       </div>
       
       {/* Findings */}
@@ -182,6 +217,40 @@ const ResultsPanel = ({ asymmetryMetrics, postureMetrics, riskLevel, assessmentF
         </div>
       )}
       
+      {/* Approximate NIHSS */}
+      {nihss && (
+        <div className="mt-6">
+          <h3 className="text-lg font-semibold mb-2">Approximate NIHSS</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left border-b">
+                <th className="py-1 pr-2">Item</th>
+                <th className="py-1 pr-2">Score</th>
+                <th className="py-1">Based on</th>
+              </tr>
+            </thead>
+            <tbody>
+              {nihss.items.map(item => (
+                <tr key={item.item} className={`border-b ${item.status === 'scored' ? '' : 'text-gray-500'}`}>
+                  <td className="py-1 pr-2">{item.item}. {item.label}</td>
+                  <td className="py-1 pr-2 whitespace-nowrap">
+                    {item.status === 'scored'
+                      ? `${item.score} / ${item.maxScore}`
+                      : (item.status === 'not-assessed' ? 'Not assessed' : 'Not assessable')}
+                  </td>
+                  <td className="py-1">{item.basis}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-sm text-gray-600 mt-2">
+            Total {nihss.total} of {nihss.maxTotal} over the {nihss.items.length - nihss.notAssessed.length} items
+            scored; {nihss.notAssessed.length} items could not be assessed. Scores are approximated from camera
+            and microphone data and do not replace an NIHSS examination.
+          </p>
+        </div>
+      )}
+      
       {/* Disclaimer */}
       <div className="mt-6 text-sm text-gray-600 bg-gray-100 p-3 rounded">
         <strong>Disclaimer:</strong> This tool is not a medical device and should not be used for medical diagnosis. 
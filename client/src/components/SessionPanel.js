@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react';
+import { LANGUAGES, DEFAULT_LANGUAGE, getLanguage } from 'stroke-shield-shared';
+
+const RISK_STYLES = {
+  high: { color: 'bg-red-500', text: 'High Risk - Call Emergency Services' },
+  medium: { color: 'bg-yellow-500', text: 'Medium Risk - Seek Medical Advice' },
+  low: { color: 'bg-green-500', text: 'Low Risk - No FAST Signs Detected' }
+};
+
+const COMPONENT_LABELS = {
+  face: 'Face',
+  arm: 'Arms',
+  speech: 'Speech'
+};
+
+// datetime-local inputs hold local time without a zone
+const toLocalInputValue = (isoTime) => {
+  const date = new Date(isoTime);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const toIsoTime = (localValue) => (localValue ? new Date(localValue).toISOString() : null);
+
+// Groups the results saved during one sitting and shows their combined FAST risk.
+// `refreshToken` changes whenever a result was added so the session is reloaded.
+const SessionPanel = ({ activePatientId, session, refreshToken, onSessionChange }) => {
+  // A session belongs to one patient, so switching patient ends it here
+  useEffect(() => {
+    onSessionChange(null);
+  }, [activePatientId, onSessionChange]);
+
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const [lastKnownWell, setLastKnownWell] = useState('');
+  const [lastKnownWellError, setLastKnownWellError] = useState(null);
+
+  const sessionId = session ? session.id : null;
+  const sessionLastKnownWell = session ? session.lastKnownWell : null;
+
+  // Show the time stored with the session once one is loaded
+  useEffect(() => {
+    if (sessionId) {
+      setLastKnownWell(sessionLastKnownWell ? toLocalInputValue(sessionLastKnownWell) : '');
+    }
+  }, [sessionId, sessionLastKnownWell]);
+
+  useEffect(() => {
+    if (!sessionId || !refreshToken) return;
+
+    const refreshSession = async () => {
+      try {
+        const response = await fetch(`/api/sessions/${sessionId}`);
+        if (!response.ok) {
+          throw new Error(`HTTP error ${response.status}`);
+        }
+        onSessionChange(await response.json());
+      } catch (error) {
+        console.error('Error fetching session:', error);
+      }
+    };
+
+    refreshSession();
+  }, [sessionId, refreshToken, onSessionChange]);
+
+  const sendSessionRequest = async (url, body, method = 'POST') => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      onSessionChange(await response.json());
+    } catch (error) {
+      console.error('Error updating session:', error);
+    }
+  };
+
+  const startSession = () => sendSessionRequest('/api/sessions', {
+    patientId: activePatientId,
+    language,
+    lastKnownWell: toIsoTime(lastKnownWell)
+  });
+  const completeSession = () => sendSessionRequest(`/api/sessions/${session.id}/complete`);
+
+  // A new time is kept for the next session, or saved to the current one
+  const changeLastKnownWell = (value) => {
+    setLastKnownWell(value);
+    setLastKnownWellError(null);
+
+    if (value && new Date(value) > new Date()) {
+      setLastKnownWellError('Last known well cannot be in the future');
+      return;
+    }
+    if (session) {
+      sendSessionRequest(`/api/sessions/${session.id}`, { lastKnownWell: toIsoTime(value) }, 'PATCH');
+    }
+  };
+
+  const isOpen = session && session.status === 'open';
+  const fastRisk = session ? session.fastRisk : null;
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const reportUrl = session ? `/api/sessions/${session.id}/report?timeZone=${encodeURIComponent(timeZone)}` : null;
+  // Make the handoff stand out when the session points to a stroke
+  const reportLinkStyle = fastRisk && fastRisk.riskLevel === 'high' ? 'bg-red-100 text-red-800' : 'bg-gray-200';
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h2 className="text-xl font-bold">FAST Session</h2>
+        <div className="flex gap-2">
+          <select
+            value={isOpen ? session.language || DEFAULT_LANGUAGE : language}
+            onChange={(e) => setLanguage(e.target.value)}
+            disabled={isOpen}
+            aria-label="Session language"
+            className="px-2 py-2 rounded border"
+          >
+            {Object.values(LANGUAGES).map(option => (
+              <option key={option.code} value={option.code}>{option.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={startSession}
+            disabled={isOpen}
+            className="px-4 py-2 rounded font-bold bg-green-500 text-white disabled:opacity-50"
+          >
+            Start Session
+          </button>
+          <button
+            onClick={completeSession}
+            disabled={!isOpen}
+            className="px-4 py-2 rounded font-bold bg-blue-500 text-white disabled:opacity-50"
+          >
+            Complete Session
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <label htmlFor="session-last-known-well" className="text-gray-700">Last known well</label>
+        <input
+          id="session-last-known-well"
+          type="datetime-local"
+          value={lastKnownWell}
+          onChange={(e) => changeLastKnownWell(e.target.value)}
+          className="px-2 py-1 rounded border"
+        />
+        {lastKnownWellError && <span className="text-sm text-red-600">{lastKnownWellError}</span>}
+      </div>
+
+      {!session && (
+        <p className="text-gray-700">No session in progress. Start one to combine face, arm and speech results.</p>
+      )}
+
+      {fastRisk && (
+        <div>
+          <p className="mb-4 text-gray-700">
+            {isOpen
+              ? `Session started at ${new Date(session.startedAt).toLocaleTimeString()} in ${getLanguage(session.language).name}. Saved assessments are added to it.`
+              : `Session completed at ${new Date(session.completedAt).toLocaleTimeString()}.`}
+          </p>
+          {fastRisk.riskLevel ? (
+            <div className={`px-4 py-2 rounded text-white font-bold text-center mb-4 ${RISK_STYLES[fastRisk.riskLevel].color}`}>
+              {RISK_STYLES[fastRisk.riskLevel].text} (score {fastRisk.score} / {fastRisk.maxScore})
+            </div>
+          ) : (
+            <div className="px-4 py-2 rounded text-white font-bold text-center mb-4 bg-gray-500">
+              Awaiting Results
+            </div>
+          )}
+          <div className="grid grid-cols-3 gap-4 mb-4">
+            {Object.keys(COMPONENT_LABELS).map(key => (
+              <div key={key} className="metric-card">
+                <div className="metric-label">{COMPONENT_LABELS[key]}</div>
+                <div className="metric-value">
+                  {fastRisk.components[key] ? fastRisk.components[key].riskLevel.toUpperCase() : 'N/A'}
+                </div>
+              </div>
+            ))}
+          </div>
+          <ul className="list-disc pl-5">
+            {fastRisk.findings.map((finding, index) => (
+              <li key={index} className="mb-1">{finding}</li>
+            ))}
+          </ul>
+          <div className="mt-4 flex gap-2">
+            <a href={`${reportUrl}&format=html`} className={`px-4 py-2 rounded font-bold ${reportLinkStyle}`}>
+              Download Report (HTML)
+            </a>
+            <a href={`${reportUrl}&format=pdf`} className={`px-4 py-2 rounded font-bold ${reportLinkStyle}`}>
+              Download Report (PDF)
+            </a>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionPanel;
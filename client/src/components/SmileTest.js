@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createSmileTest, NEUTRAL_SECONDS, SMILE_SECONDS } from '../utils/smileAnalyzer';
+
+const PHASES = {
+  neutral: { seconds: NEUTRAL_SECONDS, prompt: 'Relax your face', next: 'smile' },
+  smile: { seconds: SMILE_SECONDS, prompt: 'Smile as wide as you can', next: null }
+};
+
+// Timed smile test: a relaxed face is recorded first, then a full smile,
+// and the movement of the two sides of the mouth is compared.
+const SmileTest = ({ isDetecting, faceMeshResults, result, onResult }) => {
+  const testRef = useRef(null);
+  const [phase, setPhase] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Feed every face frame into the current phase
+  useEffect(() => {
+    const test = testRef.current;
+    if (!test || !phase || !faceMeshResults || !faceMeshResults.multiFaceLandmarks) return;
+    if (faceMeshResults.multiFaceLandmarks.length === 0) return;
+
+    test.addFrame(phase, faceMeshResults.multiFaceLandmarks[0]);
+  }, [faceMeshResults, phase]);
+
+  // Count down each phase, then move to the next one or measure the result
+  useEffect(() => {
+    if (!phase) return;
+
+    if (secondsLeft === 0) {
+      const next = PHASES[phase].next;
+      if (next) {
+        setPhase(next);
+        setSecondsLeft(PHASES[next].seconds);
+        return;
+      }
+
+      const measured = testRef.current.getResult();
+      testRef.current = null;
+      setPhase(null);
+      setSecondsLeft(null);
+
+      if (measured.error) {
+        setError(measured.error);
+      } else {
+        onResult(measured);
+      }
+      return;
+    }
+
+    const timer = setTimeout(() => setSecondsLeft(secondsLeft - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [phase, secondsLeft, onResult]);
+
+  // Stopping detection abandons a running test
+  useEffect(() => {
+    if (!isDetecting) {
+      testRef.current = null;
+      setPhase(null);
+      setSecondsLeft(null);
+    }
+  }, [isDetecting]);
+
+  const startTest = () => {
+    testRef.current = createSmileTest();
+    setError(null);
+    onResult(null);
+    setPhase('neutral');
+    setSecondsLeft(PHASES.neutral.seconds);
+  };
+
+  return (
+    <div className="mt-4 p-3 bg-gray-100 rounded">
+      <div className="flex justify-between items-center">
+        <div>
+          <h3 className="font-semibold">Smile Test</h3>
+          <p className="text-sm text-gray-600">
+            Look at the camera with a relaxed face, then smile as wide as you can when asked.
+          </p>
+        </div>
+        <button
+          onClick={startTest}
+          disabled={!isDetecting || phase !== null}
+          className="px-4 py-2 bg-indigo-500 text-white rounded font-bold disabled:opacity-50"
+        >
+          {result ? 'Repeat Test' : 'Start Test'}
+        </button>
+      </div>
+      {phase && (
+        <p className="text-3xl font-bold text-center text-indigo-600 mt-2">
+          {PHASES[phase].prompt}: {secondsLeft}
+        </p>
+      )}
+      {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+      {result && !phase && (
+        <p className="text-sm mt-1">
+          Smile movement asymmetry {(result.mouthMovementAsymmetry * 100).toFixed(1)}%
+          {result.weakerSide ? ` - the ${result.weakerSide} side moved less` : ' - both sides moved evenly'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SmileTest;
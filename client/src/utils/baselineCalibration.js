@@ -0,0 +1,66 @@
+/**
+ * Personal baseline calibration
+ * Many healthy people have some natural facial asymmetry or a habitual
+ * posture. We record each person's resting metrics over a number of stable
+ * frames and score later frames by how far they move away from that baseline.
+ */
+
+import { BASELINE_METRICS } from 'stroke-shield-shared';
+
+// Number of stable frames averaged into a baseline
+export const CALIBRATION_FRAMES = 60;
+
+// Largest frame-to-frame change (per metric) for a frame to count as stable
+export const STABILITY_TOLERANCE = 0.05;
+
+// Creates a calibrator that accepts frames until enough stable ones are collected
+export const createBaselineCalibrator = ({
+  frameCount = CALIBRATION_FRAMES,
+  tolerance = STABILITY_TOLERANCE
+} = {}) => {
+  const stableFrames = [];
+  let previousFrame = null;
+
+  // Returns true when the frame was accepted as stable
+  const addFrame = (metrics) => {
+    const frame = {};
+    for (const key of BASELINE_METRICS) {
+      if (typeof metrics[key] !== 'number' || Number.isNaN(metrics[key])) {
+        return false;
+      }
+      frame[key] = metrics[key];
+    }
+
+    const isStable = previousFrame !== null && BASELINE_METRICS.every(
+      key => Math.abs(frame[key] - previousFrame[key]) <= tolerance
+    );
+    previousFrame = frame;
+
+    if (isStable && stableFrames.length < frameCount) {
+      stableFrames.push(frame);
+    }
+    return isStable;
+  };
+
+  const getProgress = () => stableFrames.length / frameCount;
+
+  const isComplete = () => stableFrames.length >= frameCount;
+
+  // Average of the collected stable frames
+  const getBaseline = () => {
+    if (stableFrames.length === 0) return null;
+
+    const metrics = {};
+    for (const key of BASELINE_METRICS) {
+      metrics[key] = stableFrames.reduce((sum, frame) => sum + frame[key], 0) / stableFrames.length;
+    }
+
+    return {
+      metrics,
+      frameCount: stableFrames.length,
+      recordedAt: new Date().toISOString()
+    };
+  };
+
+  return { addFrame, getProgress, isComplete, getBaseline };
+};
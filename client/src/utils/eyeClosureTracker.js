@@ -0,0 +1,218 @@
+/**
+ * Per-eye closure tracking over time
+ * Uses the eye aspect ratio (EAR): eyelid opening divided by eye width, from
+ * six FaceMesh landmarks per eye. Tracked frame by frame it gives:
+ * 1. Blink detection, so blink frames can be left out of the asymmetry metrics
+ * 2. Blink rate and completeness for each eye, and blinks made by one eye only
+ * 3. The "close your eyes tightly" check for incomplete closure on one side
+ */
+
+// Corner, two upper lid points, corner, two lower lid points - in that order.
+// "left" and "right" are the person's own sides.
+const EYE_LANDMARKS = {
+  left: [362, 385, 387, 263, 373, 380],
+  right: [33, 160, 158, 133, 153, 144]
+};
+
+// Frames kept for the open-eye reference
+const OPEN_REFERENCE_FRAMES = 90;
+
+// An eye counts as closing below this share of its open ratio, and as open
+// again above the second one
+const BLINK_CLOSE_RATIO = 0.6;
+const BLINK_OPEN_RATIO = 0.8;
+
+// Closures outside this range are not blinks (tracking noise or eyes held shut)
+const MIN_BLINK_MS = 50;
+const MAX_BLINK_MS = 500;
+
+// Blinks of the two eyes that start this close together are the same blink
+const BLINK_PAIR_MS = 150;
+
+// How long the tight eye closure check records for
+export const EYES_OPEN_SECONDS = 3;
+export const EYES_CLOSED_SECONDS = 3;
+
+// An eye closing less than this share of the way counts as incomplete
+const COMPLETE_CLOSURE = 0.8;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const eyeAspectRatio = (landmarks, [p1, p2, p3, p4, p5, p6]) => {
+  const width = distance(landmarks[p1], landmarks[p4]);
+  if (width === 0) return 0;
+  return (distance(landmarks[p2], landmarks[p6]) + distance(landmarks[p3], landmarks[p5])) / (2 * width);
+};
+
+// Eye aspect ratio of each eye for one frame, or null without a full mesh
+export const computeEyeAspectRatios = (landmarks) => {
+  if (!landmarks || landmarks.length < 468) return null;
+
+  return {
+    left: eyeAspectRatio(landmarks, EYE_LANDMARKS.left),
+    right: eyeAspectRatio(landmarks, EYE_LANDMARKS.right)
+  };
+};
+
+// Difference between the two sides as a share of the larger one (0-1)
+const sideAsymmetry = (left, right) => {
+  const larger = Math.max(left, right);
+  return larger === 0 ? 0 : Math.abs(left - right) / larger;
+};
+
+/**
+ * Follows both eyes' ratios over time and detects blinks.
+ * addFrame(ratios, timestamp) returns { blinking } so callers can skip
+ * frames taken mid-blink. getStats() summarizes the last `windowMs`.
+ */
+export const createBlinkTracker = ({ windowMs = 60000 } = {}) => {
+  let history = [];
+  let blinks = [];
+  let openings = { left: [], right: [] };
+  let closing = { left: null, right: null };
+  let firstTimestamp = null;
+  let lastTimestamp = null;
+
+  const reset = () => {
+    history = [];
+    blinks = [];
+    openings = { left: [], right: [] };
+    closing = { left: null, right: null };
+    firstTimestamp = null;
+    lastTimestamp = null;
+  };
+
+  const openRatio = (eye) => (openings[eye].length > 0 ? median(openings[eye]) : null);
+
+  const trackEye = (eye, ratio, timestamp) => {
+    const open = openRatio(eye);
+
+    if (closing[eye]) {
+      closing[eye].minRatio = Math.min(closing[eye].minRatio, ratio);
+      if (ratio < open * BLINK_OPEN_RATIO) return;
+
+      const duration = timestamp - closing[eye].start;
+      if (duration >= MIN_BLINK_MS && duration <= MAX_BLINK_MS) {
+        blinks.push({
+          eye,
+          start: closing[eye].start,
+          end: timestamp,
+          completeness: Math.min(1, Math.max(0, 1 - closing[eye].minRatio / closing[eye].openRatio))
+        });
+      }
+      closing[eye] = null;
+      return;
+    }
+
+    if (open !== null && ratio < open * BLINK_CLOSE_RATIO) {
+      closing[eye] = { start: timestamp, minRatio: ratio, openRatio: open };
+      return;
+    }
+
+    openings[eye].push(ratio);
+    if (openings[eye].length > OPEN_REFERENCE_FRAMES) {
+      openings[eye].shift();
+    }
+  };
+
+  const addFrame = (ratios, timestamp) => {
+    if (!ratios) return { blinking: false };
+
+    if (firstTimestamp === null) {
+      firstTimestamp = timestamp;
+    }
+    lastTimestamp = timestamp;
+
+    trackEye('left', ratios.left, timestamp);
+    trackEye('right', ratios.right, timestamp);
+
+    history.push({ timestamp, ...ratios });
+    history = history.filter(entry => entry.timestamp >= timestamp - windowMs);
+    blinks = blinks.filter(blink => blink.end >= timestamp - windowMs);
+
+    return { blinking: Boolean(closing.left || closing.right) };
+  };
+
+  const summarizeEye = (eye, minutes) => {
+    const eyeBlinks = blinks.filter(blink => blink.eye === eye);
+    return {
+      blinkCount: eyeBlinks.length,
+      blinkRate: minutes > 0 ? eyeBlinks.length / minutes : 0,
+      completeness: eyeBlinks.length > 0
+        ? eyeBlinks.reduce((sum, blink) => sum + blink.completeness, 0) / eyeBlinks.length
+        : null,
+      openRatio: openRatio(eye)
+    };
+  };
+
+  const getStats = () => {
+    if (firstTimestamp === null) return null;
+
+    const minutes = Math.min(windowMs, lastTimestamp - firstTimestamp) / 60000;
+    const left = summarizeEye('left', minutes);
+    const right = summarizeEye('right', minutes);
+
+    // A blink with no blink of the other eye at about the same time
+    const unilateralBlinks = blinks.filter(blink => !blinks.some(other =>
+      other.eye !== blink.eye && Math.abs(other.start - blink.start) <= BLINK_PAIR_MS
+    )).length;
+
+    return {
+      left,
+      right,
+      blinkRateAsymmetry: sideAsymmetry(left.blinkRate, right.blinkRate),
+      blinkCompletenessAsymmetry: left.completeness !== null && right.completeness !== null
+        ? Math.abs(left.completeness - right.completeness)
+        : null,
+      unilateralBlinks,
+      durationSeconds: minutes * 60,
+      samples: history
+    };
+  };
+
+  return { addFrame, getStats, reset };
+};
+
+/**
+ * The "close your eyes tightly" check: ratios are recorded with the eyes
+ * open and then squeezed shut, and each eye's closure is compared.
+ */
+export const createEyeClosureCheck = () => {
+  const frames = { open: [], closed: [] };
+
+  const addFrame = (phase, ratios) => {
+    if (!ratios) return false;
+    frames[phase].push(ratios);
+    return true;
+  };
+
+  // The closure of each eye, or { error } when it could not be measured
+  const getResult = () => {
+    if (frames.open.length < 5 || frames.closed.length < 5) {
+      return { error: 'Your eyes were not clearly visible. Face the camera and try again.' };
+    }
+
+    const closureOf = (eye) => {
+      const open = median(frames.open.map(frame => frame[eye]));
+      const closed = median(frames.closed.map(frame => frame[eye]));
+      return open === 0 ? 0 : Math.min(1, Math.max(0, 1 - closed / open));
+    };
+
+    const left = closureOf('left');
+    const right = closureOf('right');
+
+    return {
+      eyeClosureAsymmetry: Math.abs(left - right),
+      left: { closure: left, complete: left >= COMPLETE_CLOSURE },
+      right: { closure: right, complete: right >= COMPLETE_CLOSURE }
+    };
+  };
+
+  return { addFrame, getResult };
+};
@@ -2,8 +2,70 @@
  * Analyzes facial landmarks to detect asymmetry
  * The face mesh provides 468 3D landmarks
  * We'll focus on key points around eyes, mouth, and overall face symmetry
+ *
+ * A turned or tilted head makes one side of the face look smaller in the
+ * image, so the head pose is estimated from the 3D mesh first and the
+ * landmarks are rotated back to a frontal view before anything is measured.
+ * Frames where the head is turned or tilted too far are marked unreliable.
  */
 
+// Frames beyond these angles (in degrees) are not scored
+export const MAX_HEAD_YAW = 20;
+export const MAX_HEAD_ROLL = 15;
+
+// Landmark x and z are in image widths but y is in image heights, so y is
+// rescaled by the camera aspect ratio (width / height) before using 3D geometry
+const DEFAULT_ASPECT_RATIO = 640 / 480;
+
+const subtract = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+const cross = (a, b) => ({
+  x: a.y * b.z - a.z * b.y,
+  y: a.z * b.x - a.x * b.z,
+  z: a.x * b.y - a.y * b.x
+});
+const normalize = (v) => {
+  const length = Math.sqrt(dot(v, v));
+  return length === 0 ? v : { x: v.x / length, y: v.y / length, z: v.z / length };
+};
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Estimate the head pose from the 3D mesh.
+ * The face's own axes are built from the outer eye corners (across) and
+ * the forehead and chin (up). Returns the axes together with yaw (turning
+ * left/right), pitch (nodding) and roll (tilting) in degrees.
+ */
+export const estimateHeadPose = (landmarks, aspectRatio = DEFAULT_ASPECT_RATIO) => {
+  const point = (index) => ({
+    x: landmarks[index].x,
+    y: landmarks[index].y / aspectRatio,
+    z: landmarks[index].z || 0
+  });
+
+  const across = normalize(subtract(point(263), point(33)));
+  const up = subtract(point(10), point(152));
+  const forward = normalize(cross(across, up));
+  const vertical = cross(forward, across);
+
+  return {
+    axes: { across, vertical, forward },
+    // Image y grows downwards, so a level face has vertical.y close to -1
+    yaw: toDegrees(Math.atan2(across.z, across.x)),
+    pitch: toDegrees(Math.atan2(vertical.z, -vertical.y)),
+    roll: toDegrees(Math.atan2(across.y, across.x))
+  };
+};
+
+// Express every landmark in the face's own axes, undoing the head rotation
+export const frontalizeLandmarks = (landmarks, axes, aspectRatio = DEFAULT_ASPECT_RATIO) => {
+  return landmarks.map(landmark => {
+    const p = { x: landmark.x, y: landmark.y / aspectRatio, z: landmark.z || 0 };
+    // Keep image orientation: x to the right, y downwards
+    return { x: dot(p, axes.across), y: -dot(p, axes.vertical), z: dot(p, axes.forward) };
+  });
+};
+
 // Helper to calculate distance between two points
 const calculateDistance = (point1, point2) => {
   const dx = point1.x - point2.x;
@@ -12,7 +74,7 @@ const calculateDistance = (point1, point2) => {
 };
 
 // Helper to calculate horizontal ratio difference (asymmetry)
-const calculateAsymmetryRatio = (leftDistance, rightDistance) => {
+export const calculateAsymmetryRatio = (leftDistance, rightDistance) => {
   const maxDistance = Math.max(leftDistance, rightDistance);
   const minDistance = Math.min(leftDistance, rightDistance);
   
@@ -23,17 +85,42 @@ const calculateAsymmetryRatio = (leftDistance, rightDistance) => {
   return 1 - (minDistance / maxDistance);
 };
 
-// Main analysis function
-const analyzeFacialAsymmetry = (landmarks) => {
-  if (!landmarks || landmarks.length < 468) {
+// Main analysis function. `reliable` is false when there is no usable face
+// or the head is turned past MAX_HEAD_YAW / MAX_HEAD_ROLL; the metrics are
+// then null and should not be scored.
+const analyzeFacialAsymmetry = (meshLandmarks, { aspectRatio = DEFAULT_ASPECT_RATIO } = {}) => {
+  if (!meshLandmarks || meshLandmarks.length < 468) {
     return {
       eyeAsymmetry: 0,
       mouthAsymmetry: 0,
       eyebrowAsymmetry: 0,
-      overallAsymmetry: 0
+      overallAsymmetry: 0,
+      headPose: null,
+      reliable: false
+    };
+  }
+  
+  const { axes, ...angles } = estimateHeadPose(meshLandmarks, aspectRatio);
+  const headPose = {
+    yaw: Number(angles.yaw.toFixed(1)),
+    pitch: Number(angles.pitch.toFixed(1)),
+    roll: Number(angles.roll.toFixed(1))
+  };
+  
+  if (Math.abs(headPose.yaw) > MAX_HEAD_YAW || Math.abs(headPose.roll) > MAX_HEAD_ROLL) {
+    return {
+      eyeAsymmetry: null,
+      mouthAsymmetry: null,
+      eyebrowAsymmetry: null,
+      overallAsymmetry: null,
+      headPose,
+      reliable: false
     };
   }
   
+  // All distances below are measured on the pose-corrected landmarks
+  const landmarks = frontalizeLandmarks(meshLandmarks, axes, aspectRatio);
+  
   // Key landmark indices
   // Face midline points
   const noseTip = landmarks[4];
@@ -118,7 +205,9 @@ const analyzeFacialAsymmetry = (landmarks) => {
     eyeAsymmetry,
     mouthAsymmetry,
     eyebrowAsymmetry,
-    overallAsymmetry
+    overallAsymmetry,
+    headPose,
+    reliable: true
   };
 };
 
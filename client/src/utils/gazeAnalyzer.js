@@ -0,0 +1,143 @@
+/**
+ * Gaze analysis from the refined iris landmarks
+ * With refineLandmarks the face mesh adds five points per iris (468-477).
+ * Each iris centre is placed inside its eye opening, giving a horizontal and
+ * vertical position from -1 to 1 for each eye. During the "follow the
+ * moving dot" task we look for:
+ * 1. Forced gaze - the eyes not following the dot or not reaching one side
+ * 2. Mismatch - the two eyes not pointing the same way
+ * Gaze is only scored from this task, never from single frames, where
+ * glancing aside is normal.
+ */
+
+// Corners are listed image-left first so both eyes share one direction.
+// "left" and "right" are the person's own sides.
+const GAZE_LANDMARKS = {
+  left: { iris: 473, cornerA: 362, cornerB: 263, top: 386, bottom: 374 },
+  right: { iris: 468, cornerA: 33, cornerB: 133, top: 159, bottom: 145 }
+};
+
+// Horizontal position (on the -1 to 1 scale) that counts as fully deviated
+const FULL_DEVIATION = 0.6;
+
+// The moving dot sweeps across the canvas and back this many times
+export const DOT_TASK_SECONDS = 10;
+const DOT_SWEEP_SECONDS = 5;
+const DOT_AMPLITUDE = 0.4;
+
+// Dot positions further than this from the centre count as "on one side"
+const DOT_SIDE_OFFSET = 0.25;
+
+// Eyes following the dot less closely than this are reported
+const MIN_TRACKING = 0.3;
+
+// Position of a point along the line from `a` to `b`, from -1 (at a) to 1 (at b)
+const positionAlong = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) return 0;
+  return 2 * (((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared) - 1;
+};
+
+const eyeGaze = (landmarks, eye) => ({
+  horizontal: positionAlong(landmarks[eye.iris], landmarks[eye.cornerA], landmarks[eye.cornerB]),
+  vertical: positionAlong(landmarks[eye.iris], landmarks[eye.top], landmarks[eye.bottom])
+});
+
+// Gaze of each eye for one frame, or null when the iris points are missing
+export const estimateGaze = (landmarks) => {
+  if (!landmarks || landmarks.length < 478) return null;
+
+  const left = eyeGaze(landmarks, GAZE_LANDMARKS.left);
+  const right = eyeGaze(landmarks, GAZE_LANDMARKS.right);
+
+  return {
+    left,
+    right,
+    horizontal: (left.horizontal + right.horizontal) / 2,
+    mismatch: Math.abs(left.horizontal - right.horizontal)
+  };
+};
+
+// Where the dot is, in canvas coordinates (0-1), `elapsedMs` into the task
+export const dotPosition = (elapsedMs) => ({
+  x: 0.5 + DOT_AMPLITUDE * Math.sin((2 * Math.PI * elapsedMs) / (DOT_SWEEP_SECONDS * 1000)),
+  y: 0.5
+});
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const correlation = (xs, ys) => {
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+  return varianceX === 0 || varianceY === 0 ? 0 : covariance / Math.sqrt(varianceX * varianceY);
+};
+
+/**
+ * The "follow the moving dot" task. addFrame(landmarks, elapsedMs) records
+ * the gaze against the dot position at that moment.
+ *
+ * Whether the camera image is mirrored on screen decides which way the eyes
+ * turn for a given dot position, so the result only compares how far the
+ * eyes travel towards each side, not in which direction.
+ */
+export const createDotTask = () => {
+  const frames = [];
+
+  const addFrame = (landmarks, elapsedMs) => {
+    const gaze = estimateGaze(landmarks);
+    if (!gaze) return false;
+
+    frames.push({ dotX: dotPosition(elapsedMs).x, gaze });
+    return true;
+  };
+
+  // The gaze measurements, or { error } when the task could not be measured
+  const getResult = () => {
+    const sideA = frames.filter(frame => frame.dotX < 0.5 - DOT_SIDE_OFFSET);
+    const sideB = frames.filter(frame => frame.dotX > 0.5 + DOT_SIDE_OFFSET);
+
+    if (sideA.length < 5 || sideB.length < 5) {
+      return { error: 'Your eyes were not clearly visible. Face the camera and try again.' };
+    }
+
+    const centre = median(frames.map(frame => frame.gaze.horizontal));
+    const reachA = Math.abs(mean(sideA.map(frame => frame.gaze.horizontal)) - centre);
+    const reachB = Math.abs(mean(sideB.map(frame => frame.gaze.horizontal)) - centre);
+    const larger = Math.max(reachA, reachB);
+    const reachAsymmetry = larger === 0 ? 0 : 1 - Math.min(reachA, reachB) / larger;
+
+    const tracking = Math.abs(correlation(
+      frames.map(frame => frame.dotX),
+      frames.map(frame => frame.gaze.horizontal)
+    ));
+    const mismatch = mean(frames.map(frame => frame.gaze.mismatch));
+
+    return {
+      // Not following at all counts as fully deviated
+      gazeDeviation: tracking < MIN_TRACKING ? 1 : reachAsymmetry,
+      gazeMismatch: Math.min(1, mismatch / FULL_DEVIATION),
+      reachAsymmetry,
+      tracking,
+      followedDot: tracking >= MIN_TRACKING,
+      frameCount: frames.length
+    };
+  };
+
+  return { addFrame, getResult };
+};
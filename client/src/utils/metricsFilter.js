@@ -0,0 +1,150 @@
+/**
+ * Temporal filtering for per-frame metrics
+ * Raw metrics jump from frame to frame, so the face and pose pipelines pass
+ * every frame through a filter before the risk is scored:
+ * 1. Frames below the detection confidence, or that the analyzer marked
+ *    unreliable, are dropped
+ * 2. Frames where the tracked landmarks jump implausibly far are dropped
+ * 3. The remaining values are smoothed with a median or an EMA
+ * 4. The filtered metrics are only reported as stable once they have
+ *    stopped moving across the window
+ */
+
+export const DEFAULT_FILTER_OPTIONS = {
+  // 'median' over the window, or 'ema' (exponential moving average)
+  method: 'median',
+  // Number of accepted frames the filter looks at
+  windowSize: 10,
+  // Weight of the newest frame when method is 'ema'
+  emaAlpha: 0.3,
+  // Frames with a lower detection confidence are ignored
+  minConfidence: 0.5,
+  // Largest average landmark movement between two frames, in image widths
+  maxLandmarkJump: 0.08,
+  // After this many rejected jumps in a row the person has really moved,
+  // so the filter starts again from the new position
+  maxConsecutiveRejects: 5,
+  // Largest spread of a filtered metric across the window that still counts as stable
+  stabilityTolerance: 0.05
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+// Average distance the given landmarks moved between two frames
+const averageLandmarkMovement = (previous, current, indices) => {
+  let total = 0;
+  let count = 0;
+
+  indices.forEach(index => {
+    const a = previous[index];
+    const b = current[index];
+    if (!a || !b) return;
+    total += Math.hypot(a.x - b.x, a.y - b.y);
+    count++;
+  });
+
+  return count > 0 ? total / count : 0;
+};
+
+/**
+ * Create a filter for one detector. `landmarkIndices` lists the landmarks
+ * checked for implausible jumps.
+ *
+ * addFrame({ metrics, landmarks, confidence, reliable }) returns
+ * { accepted, reason, metrics, isStable } where `metrics` are the filtered
+ * values (null until a frame has been accepted).
+ */
+export const createMetricsFilter = ({ landmarkIndices = [], ...options } = {}) => {
+  const settings = { ...DEFAULT_FILTER_OPTIONS, ...options };
+
+  let rawWindow = [];
+  let filteredWindow = [];
+  let ema = null;
+  let previousLandmarks = null;
+  let consecutiveRejects = 0;
+
+  const reset = () => {
+    rawWindow = [];
+    filteredWindow = [];
+    ema = null;
+    previousLandmarks = null;
+    consecutiveRejects = 0;
+  };
+
+  const current = () => (filteredWindow.length > 0 ? filteredWindow[filteredWindow.length - 1] : null);
+
+  // Stable once the window is full and no filtered metric has moved more than the tolerance
+  const isStable = () => {
+    if (filteredWindow.length < settings.windowSize) return false;
+
+    return Object.keys(filteredWindow[0]).every(key => {
+      const values = filteredWindow.map(frame => frame[key]);
+      return Math.max(...values) - Math.min(...values) <= settings.stabilityTolerance;
+    });
+  };
+
+  const reject = (reason) => ({ accepted: false, reason, metrics: current(), isStable: isStable() });
+
+  const smooth = (metrics) => {
+    if (settings.method === 'ema') {
+      const next = {};
+      Object.keys(metrics).forEach(key => {
+        next[key] = ema && typeof ema[key] === 'number'
+          ? settings.emaAlpha * metrics[key] + (1 - settings.emaAlpha) * ema[key]
+          : metrics[key];
+      });
+      ema = next;
+      return next;
+    }
+
+    const next = {};
+    Object.keys(metrics).forEach(key => {
+      next[key] = median(rawWindow.map(frame => frame[key]).filter(value => typeof value === 'number'));
+    });
+    return next;
+  };
+
+  const addFrame = ({ metrics, landmarks, confidence, reliable = true }) => {
+    if (!metrics) {
+      return reject('no-detection');
+    }
+    if (!reliable) {
+      return reject('unreliable');
+    }
+    if (typeof confidence === 'number' && confidence < settings.minConfidence) {
+      return reject('low-confidence');
+    }
+
+    if (landmarks && previousLandmarks && landmarkIndices.length > 0) {
+      const movement = averageLandmarkMovement(previousLandmarks, landmarks, landmarkIndices);
+      if (movement > settings.maxLandmarkJump) {
+        consecutiveRejects++;
+        if (consecutiveRejects < settings.maxConsecutiveRejects) {
+          return reject('landmark-jump');
+        }
+        reset();
+      }
+    }
+
+    consecutiveRejects = 0;
+    previousLandmarks = landmarks || null;
+
+    rawWindow.push(metrics);
+    if (rawWindow.length > settings.windowSize) {
+      rawWindow.shift();
+    }
+
+    filteredWindow.push(smooth(metrics));
+    if (filteredWindow.length > settings.windowSize) {
+      filteredWindow.shift();
+    }
+
+    return { accepted: true, reason: null, metrics: current(), isStable: isStable() };
+  };
+
+  return { addFrame, reset };
+};
@@ -4,6 +4,9 @@
  * 1. Shoulder imbalance (drooping on one side)
  * 2. Head tilt
  * 3. Body lean
+ *
+ * Arm weakness is measured separately by the timed arm drift test
+ * (shared/armDrift.js), which needs the arms tracked over several seconds.
  */
 
 // Helper to calculate the angle between three points
@@ -0,0 +1,160 @@
+/**
+ * Dynamic smile test
+ * Facial droop shows most clearly when the face moves. The test captures a
+ * relaxed face and then a full smile, and compares how far each side of the
+ * mouth moved:
+ * 1. Mouth corner movement on each side
+ * 2. Change of the nasolabial region (beside the nose) on each side
+ *
+ * Landmarks are pose-corrected first (see facialAsymmetryDetector.js) and
+ * measured relative to the bridge of the nose, so turning or moving the head
+ * between the two phases does not count as movement.
+ */
+
+import {
+  MAX_HEAD_YAW,
+  MAX_HEAD_ROLL,
+  estimateHeadPose,
+  frontalizeLandmarks,
+  calculateAsymmetryRatio
+} from './facialAsymmetryDetector';
+
+// "left" and "right" are the person's own sides
+const SMILE_LANDMARKS = {
+  noseBridge: 168,
+  leftEyeOuter: 263,
+  rightEyeOuter: 33,
+  leftMouthCorner: 291,
+  rightMouthCorner: 61,
+  leftNasolabial: [425, 266, 436],
+  rightNasolabial: [205, 36, 216]
+};
+
+// How long each phase of the test records for
+export const NEUTRAL_SECONDS = 3;
+export const SMILE_SECONDS = 3;
+
+// Fewest usable frames in each phase
+const MIN_PHASE_FRAMES = 5;
+
+// Mouth corners moving less than this (in eye widths) means there was no smile
+const MIN_SMILE_MOVEMENT = 0.05;
+
+// Cheek changes smaller than this on both sides are treated as no change
+const MIN_NASOLABIAL_CHANGE = 0.01;
+
+// Corner movement matters more than the cheek change
+const CORNER_WEIGHT = 0.7;
+const NASOLABIAL_WEIGHT = 0.3;
+
+// Key points of one frame in eye widths relative to the nose bridge,
+// or null when the head is turned too far to measure
+const measureFrame = (meshLandmarks) => {
+  if (!meshLandmarks || meshLandmarks.length < 468) return null;
+
+  const pose = estimateHeadPose(meshLandmarks);
+  if (Math.abs(pose.yaw) > MAX_HEAD_YAW || Math.abs(pose.roll) > MAX_HEAD_ROLL) return null;
+
+  const landmarks = frontalizeLandmarks(meshLandmarks, pose.axes);
+  const anchor = landmarks[SMILE_LANDMARKS.noseBridge];
+  const scale = Math.hypot(
+    landmarks[SMILE_LANDMARKS.leftEyeOuter].x - landmarks[SMILE_LANDMARKS.rightEyeOuter].x,
+    landmarks[SMILE_LANDMARKS.leftEyeOuter].y - landmarks[SMILE_LANDMARKS.rightEyeOuter].y
+  );
+  if (scale === 0) return null;
+
+  const relative = (index) => ({
+    x: (landmarks[index].x - anchor.x) / scale,
+    y: (landmarks[index].y - anchor.y) / scale
+  });
+
+  return {
+    leftMouthCorner: relative(SMILE_LANDMARKS.leftMouthCorner),
+    rightMouthCorner: relative(SMILE_LANDMARKS.rightMouthCorner),
+    leftNasolabial: SMILE_LANDMARKS.leftNasolabial.map(relative),
+    rightNasolabial: SMILE_LANDMARKS.rightNasolabial.map(relative)
+  };
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const averagePoint = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length
+});
+
+// Average frame of a phase, point by point
+const averageFrames = (frames) => ({
+  leftMouthCorner: averagePoint(frames.map(frame => frame.leftMouthCorner)),
+  rightMouthCorner: averagePoint(frames.map(frame => frame.rightMouthCorner)),
+  leftNasolabial: frames[0].leftNasolabial.map((_, i) => averagePoint(frames.map(frame => frame.leftNasolabial[i]))),
+  rightNasolabial: frames[0].rightNasolabial.map((_, i) => averagePoint(frames.map(frame => frame.rightNasolabial[i])))
+});
+
+const mouthWidth = (frame) => distance(frame.leftMouthCorner, frame.rightMouthCorner);
+
+const averageMovement = (from, to) => {
+  return from.reduce((sum, point, i) => sum + distance(point, to[i]), 0) / from.length;
+};
+
+// Collects the neutral and smile phases and compares them at the end
+export const createSmileTest = () => {
+  const neutralFrames = [];
+  const smileFrames = [];
+
+  const addFrame = (phase, landmarks) => {
+    const frame = measureFrame(landmarks);
+    if (!frame) return false;
+
+    (phase === 'neutral' ? neutralFrames : smileFrames).push(frame);
+    return true;
+  };
+
+  // The measured movement, or { error } when the test could not be measured
+  const getResult = () => {
+    if (neutralFrames.length < MIN_PHASE_FRAMES || smileFrames.length < MIN_PHASE_FRAMES) {
+      return { error: 'Your face was not clearly visible. Face the camera and try again.' };
+    }
+
+    const neutral = averageFrames(neutralFrames);
+
+    // The peak smile is the widest mouth seen during the smile phase
+    const peak = smileFrames.reduce((widest, frame) => (mouthWidth(frame) > mouthWidth(widest) ? frame : widest));
+
+    const left = {
+      cornerMovement: distance(neutral.leftMouthCorner, peak.leftMouthCorner),
+      nasolabialChange: averageMovement(neutral.leftNasolabial, peak.leftNasolabial)
+    };
+    const right = {
+      cornerMovement: distance(neutral.rightMouthCorner, peak.rightMouthCorner),
+      nasolabialChange: averageMovement(neutral.rightNasolabial, peak.rightNasolabial)
+    };
+
+    if (Math.max(left.cornerMovement, right.cornerMovement) < MIN_SMILE_MOVEMENT) {
+      return { error: 'No smile was detected. Smile as widely as you can and try again.' };
+    }
+
+    const cornerAsymmetry = calculateAsymmetryRatio(left.cornerMovement, right.cornerMovement);
+    const nasolabialAsymmetry = Math.max(left.nasolabialChange, right.nasolabialChange) < MIN_NASOLABIAL_CHANGE
+      ? 0
+      : calculateAsymmetryRatio(left.nasolabialChange, right.nasolabialChange);
+
+    let weakerSide = null;
+    if (cornerAsymmetry > 0.1) {
+      weakerSide = left.cornerMovement < right.cornerMovement ? 'left' : 'right';
+    }
+
+    return {
+      mouthMovementAsymmetry: CORNER_WEIGHT * cornerAsymmetry + NASOLABIAL_WEIGHT * nasolabialAsymmetry,
+      cornerAsymmetry,
+      nasolabialAsymmetry,
+      left,
+      right,
+      weakerSide,
+      neutralFrameCount: neutralFrames.length,
+      smileFrameCount: smileFrames.length
+    };
+  };
+
+  return { addFrame, getResult };
+};
@@ -0,0 +1,32 @@
+/**
+ * Session snapshots
+ * Flattens the camera frame and the detection overlay into one JPEG with a
+ * caption bar underneath, so the handoff report shows what was measured.
+ */
+
+const CAPTION_HEIGHT = 28;
+const JPEG_QUALITY = 0.85;
+
+// Resolves with the JPEG blob, or null when the camera has no frame yet
+export const captureSnapshot = (video, overlay, caption) => {
+  if (!video || !video.videoWidth) {
+    return Promise.resolve(null);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight + CAPTION_HEIGHT;
+
+  const context = canvas.getContext('2d');
+  context.drawImage(video, 0, 0, canvas.width, video.videoHeight);
+  if (overlay) {
+    context.drawImage(overlay, 0, 0, canvas.width, video.videoHeight);
+  }
+  context.fillStyle = '#111827';
+  context.fillRect(0, video.videoHeight, canvas.width, CAPTION_HEIGHT);
+  context.fillStyle = '#ffffff';
+  context.font = '16px sans-serif';
+  context.fillText(caption, 8, video.videoHeight + 19);
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', JPEG_QUALITY));
+};
@@ -0,0 +1,275 @@
+/**
+ * Acoustic features of a speech recording
+ * Transcripts lose how the words were spoken. From the raw audio we measure
+ * the things that change with slurred or effortful speech:
+ * 1. Speaking rate and pauses
+ * 2. How much of the speech is voiced
+ * 3. Pitch range - flat, monotone speech
+ * 4. Loudness variability
+ *
+ * Audio is split into short overlapping frames. Each frame is silent or
+ * speech by its loudness, and speech frames are voiced when a pitch is found.
+ */
+
+const FRAME_MS = 25;
+const HOP_MS = 10;
+
+// Frames this far below the loudest frame, or quieter than the floor, are silent
+const SILENCE_RANGE_DB = 35;
+const SILENCE_FLOOR_DB = -55;
+
+// Silences at least this long between words are pauses
+const MIN_PAUSE_MS = 250;
+
+// Pitch search range for adult voices, and how periodic a frame must be to be voiced
+const MIN_PITCH_HZ = 70;
+const MAX_PITCH_HZ = 400;
+const VOICING_THRESHOLD = 0.45;
+const OCTAVE_TOLERANCE = 0.9;
+
+// Raw PCM sent without a WAV header is 16-bit little-endian mono
+const PCM_BYTES_PER_SAMPLE = 2;
+
+// Sample rates recordings may have; below the minimum speech is not
+// intelligible and frames would be too short to step through
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 192000;
+
+// Recordings are measured in one go on the request, so their length is
+// capped, and the pitch search runs on audio downsampled to about this rate,
+// well above the highest pitch searched for
+const MAX_DURATION_SECONDS = 60;
+const PITCH_SAMPLE_RATE = 16000;
+
+// Reads a WAV file into mono samples from -1 to 1.
+// Throws an Error with a readable message when the file is not usable.
+const decodeWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      data = buffer.subarray(body, Math.min(buffer.length, body + chunkSize));
+    }
+
+    // Chunks are padded to an even length
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file is missing its format or data');
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  if (sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+    throw new Error(`WAV sample rate must be from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE} Hz`);
+  }
+  if (channels < 1) {
+    throw new Error('WAV file has no audio channels');
+  }
+  const isPcm16 = audioFormat === 1 && bitsPerSample === 16;
+  const isFloat32 = audioFormat === 3 && bitsPerSample === 32;
+  if (!isPcm16 && !isFloat32) {
+    throw new Error('Only 16-bit PCM and 32-bit float WAV files are supported');
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+  const samples = new Float32Array(frameCount);
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      const position = (i * channels + channel) * bytesPerSample;
+      sum += isPcm16 ? data.readInt16LE(position) / 32768 : data.readFloatLE(position);
+    }
+    samples[i] = sum / channels;
+  }
+
+  return { sampleRate, samples };
+};
+
+// Reads headerless 16-bit little-endian mono PCM
+const decodePcm = (buffer, sampleRate) => {
+  const samples = new Float32Array(Math.floor(buffer.length / PCM_BYTES_PER_SAMPLE));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = buffer.readInt16LE(i * PCM_BYTES_PER_SAMPLE) / 32768;
+  }
+  return { sampleRate, samples };
+};
+
+// Averages each run of `factor` samples, which also filters out what the
+// lower rate could not hold
+const downsampleFrame = (frame, factor) => {
+  const result = new Float32Array(Math.floor(frame.length / factor));
+  for (let i = 0; i < result.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += frame[i * factor + j];
+    result[i] = sum / factor;
+  }
+  return result;
+};
+
+// Pitch of one frame by autocorrelation, or null when it is not voiced
+const framePitch = (fullFrame, fullSampleRate) => {
+  const factor = Math.max(1, Math.floor(fullSampleRate / PITCH_SAMPLE_RATE));
+  const frame = factor > 1 ? downsampleFrame(fullFrame, factor) : fullFrame;
+  const sampleRate = fullSampleRate / factor;
+
+  let energy = 0;
+  for (let i = 0; i < frame.length; i++) energy += frame[i] * frame[i];
+  if (energy === 0) return null;
+
+  const minLag = Math.floor(sampleRate / MAX_PITCH_HZ);
+  const maxLag = Math.min(frame.length - 1, Math.ceil(sampleRate / MIN_PITCH_HZ));
+  const correlations = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let correlation = 0;
+    for (let i = 0; i + lag < frame.length; i++) {
+      correlation += frame[i] * frame[i + lag];
+    }
+    // Normalized so a perfectly periodic frame scores close to 1
+    correlations.push(correlation / (energy * (frame.length - lag) / frame.length));
+  }
+
+  // Multiples of the period correlate almost as well, so take the shortest
+  // lag that comes close to the best one to avoid halving the pitch
+  const best = maximum(correlations);
+  const bestCorrelation = correlations.find((correlation, i) =>
+    correlation >= OCTAVE_TOLERANCE * best &&
+    (i === 0 || correlation >= correlations[i - 1]) &&
+    (i === correlations.length - 1 || correlation >= correlations[i + 1])
+  );
+  const bestLag = minLag + correlations.indexOf(bestCorrelation);
+
+  return bestCorrelation >= VOICING_THRESHOLD ? sampleRate / bestLag : null;
+};
+
+// Largest value, without spreading long arrays into Math.max
+const maximum = (values) => values.reduce((largest, value) => (value > largest ? value : largest), -Infinity);
+
+const percentile = (sorted, share) => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+};
+
+const round = (value, places = 2) => (value === null ? null : Number(value.toFixed(places)));
+
+/**
+ * Measures a decoded recording. `wordCount` (from the transcript) gives the
+ * speaking rate; without it the rate is null.
+ */
+const computeAcousticFeatures = ({ sampleRate, samples }, { wordCount = null } = {}) => {
+  const frameLength = Math.round(sampleRate * FRAME_MS / 1000);
+  const hop = Math.round(sampleRate * HOP_MS / 1000);
+  const durationSeconds = samples.length / sampleRate;
+
+  if (hop < 1) {
+    throw new Error(`The sample rate must be at least ${MIN_SAMPLE_RATE} Hz`);
+  }
+
+  if (samples.length < frameLength) {
+    throw new Error('The recording is too short to analyze');
+  }
+  if (durationSeconds > MAX_DURATION_SECONDS) {
+    throw new Error(`The recording must be at most ${MAX_DURATION_SECONDS} seconds long`);
+  }
+
+  const frames = [];
+  for (let start = 0; start + frameLength <= samples.length; start += hop) {
+    const frame = samples.subarray(start, start + frameLength);
+    let sumSquares = 0;
+    for (let i = 0; i < frame.length; i++) sumSquares += frame[i] * frame[i];
+    const rms = Math.sqrt(sumSquares / frame.length);
+    frames.push({ frame, db: rms > 0 ? 20 * Math.log10(rms) : -Infinity });
+  }
+
+  const loudest = maximum(frames.map(frame => frame.db));
+  const silenceBelow = Math.max(SILENCE_FLOOR_DB, loudest - SILENCE_RANGE_DB);
+  frames.forEach(frame => {
+    frame.speech = frame.db > silenceBelow;
+    frame.pitch = frame.speech ? framePitch(frame.frame, sampleRate) : null;
+  });
+
+  const firstSpeech = frames.findIndex(frame => frame.speech);
+  if (firstSpeech === -1) {
+    return {
+      durationSeconds: round(durationSeconds),
+      speechSeconds: 0,
+      speakingRate: null,
+      pauseCount: 0,
+      meanPauseSeconds: null,
+      longestPauseSeconds: null,
+      voicedRatio: null,
+      pitchMedianHz: null,
+      pitchRangeSemitones: null,
+      loudnessVariabilityDb: null,
+      sampleRate
+    };
+  }
+  let lastSpeech = frames.length - 1;
+  while (!frames[lastSpeech].speech) lastSpeech--;
+
+  // Silent runs between the first and last speech frames
+  const pauses = [];
+  let silentRun = 0;
+  for (let i = firstSpeech; i <= lastSpeech; i++) {
+    if (frames[i].speech) {
+      if (silentRun * HOP_MS >= MIN_PAUSE_MS) pauses.push(silentRun * HOP_MS / 1000);
+      silentRun = 0;
+    } else {
+      silentRun++;
+    }
+  }
+
+  const speechFrames = frames.filter(frame => frame.speech);
+  const voicedFrames = speechFrames.filter(frame => frame.pitch !== null);
+  const speechSeconds = ((lastSpeech - firstSpeech) * HOP_MS + FRAME_MS) / 1000;
+  const pitches = voicedFrames.map(frame => frame.pitch).sort((a, b) => a - b);
+
+  return {
+    durationSeconds: round(durationSeconds),
+    // From the first word to the last, pauses included
+    speechSeconds: round(speechSeconds),
+    speakingRate: wordCount ? round(wordCount / (speechSeconds / 60), 1) : null,
+    pauseCount: pauses.length,
+    meanPauseSeconds: pauses.length > 0 ? round(mean(pauses)) : null,
+    longestPauseSeconds: pauses.length > 0 ? round(maximum(pauses)) : null,
+    // Share of the speech frames that were voiced (the rest are unvoiced sounds)
+    voicedRatio: round(voicedFrames.length / speechFrames.length),
+    pitchMedianHz: pitches.length > 0 ? round(percentile(pitches, 0.5), 1) : null,
+    // 5th to 95th percentile, so stray pitch errors do not widen it
+    pitchRangeSemitones: pitches.length > 1
+      ? round(12 * Math.log2(percentile(pitches, 0.95) / percentile(pitches, 0.05)), 1)
+      : null,
+    loudnessVariabilityDb: round(standardDeviation(speechFrames.map(frame => frame.db)), 1),
+    sampleRate
+  };
+};
+
+module.exports = {
+  decodeWav,
+  decodePcm,
+  computeAcousticFeatures,
+  MIN_SAMPLE_RATE,
+  MAX_SAMPLE_RATE,
+  MAX_DURATION_SECONDS
+};
@@ -0,0 +1,41 @@
+/**
+ * Server configuration
+ * Everything is read from environment variables with sensible defaults.
+ */
+
+const path = require('path');
+
+const config = {
+  port: process.env.PORT || 8000,
+
+  storage: {
+    // "file" persists to disk; "memory" is for tests and throwaway runs
+    driver: process.env.DB_DRIVER || 'file',
+    filePath: process.env.DB_FILE || path.join(__dirname, 'data', 'db.json'),
+    // Session snapshot images, one JPEG per snapshot, for the "file" driver
+    snapshotDir: process.env.SNAPSHOT_DIR || path.join(__dirname, 'data', 'snapshots')
+  },
+
+  risk: {
+    // Thresholds, points and findings used by the shared risk engine
+    rulesFile: process.env.RISK_RULES_FILE || path.join(__dirname, 'riskRules.json')
+  },
+
+  speechAnalysis: {
+    // "gemini", "local" (rule-based, offline) or "mock" (scripted replies)
+    provider: process.env.SPEECH_PROVIDER || 'gemini',
+    geminiApiKey: process.env.GOOGLE_AI_API_KEY,
+    geminiModel: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+    // JSON array of replies for the mock provider
+    mockScriptFile: process.env.SPEECH_MOCK_SCRIPT || null
+  },
+
+  transcription: {
+    // "assemblyai" or "local" (a stand-in that returns a fixed text)
+    provider: process.env.TRANSCRIPTION_PROVIDER || 'assemblyai',
+    assemblyaiApiKey: process.env.ASSEMBLYAI_API_KEY,
+    localTranscript: process.env.LOCAL_TRANSCRIPT || ''
+  }
+};
+
+module.exports = config;
@@ -0,0 +1,20 @@
+/**
+ * Storage backend selection
+ * Every backend exposes the same surface as createMemoryDb.
+ */
+
+const { createMemoryDb } = require('./memoryDb');
+const { createFileDb } = require('./fileDb');
+
+const createDb = ({ driver, filePath, snapshotDir }) => {
+  switch (driver) {
+    case 'memory':
+      return createMemoryDb();
+    case 'file':
+      return createFileDb({ filePath, snapshotDir });
+    default:
+      throw new Error(`Unknown storage driver "${driver}" (expected "memory" or "file")`);
+  }
+};
+
+module.exports = { createDb };
@@ -0,0 +1,101 @@
+/**
+ * Codes and units used in the FHIR bundles
+ * The metrics have no LOINC codes, so they are coded in this app's own
+ * systems. Quantities use UCUM units; 0-1 ratios have the unit "1".
+ */
+
+const UCUM = 'http://unitsofmeasure.org';
+const METRIC_SYSTEM = 'urn:stroke-shield:fhir:metric';
+const PANEL_SYSTEM = 'urn:stroke-shield:fhir:panel';
+const RULES_SYSTEM = 'urn:stroke-shield:fhir:risk-rules';
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const RISK_PROBABILITY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/risk-probability';
+const ENCOUNTER_CLASS_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+
+// Identifier systems carrying this app's record ids, so imports keep them
+const IDENTIFIER_SYSTEMS = {
+  patient: 'urn:stroke-shield:patient',
+  session: 'urn:stroke-shield:session',
+  assessment: 'urn:stroke-shield:assessment',
+  speechAnalysis: 'urn:stroke-shield:speech-analysis'
+};
+
+const RATIO = { unit: 'ratio', code: '1' };
+const PERCENT = { unit: '%', code: '%' };
+const SECONDS = { unit: 's', code: 's' };
+
+// Facial and posture metrics of an assessment. `group` is where the value is
+// stored on the assessment: asymmetryMetrics unless it says otherwise.
+const ASSESSMENT_METRICS = {
+  eyeAsymmetry: { display: 'Eye asymmetry', ...RATIO },
+  mouthAsymmetry: { display: 'Mouth asymmetry', ...RATIO },
+  eyebrowAsymmetry: { display: 'Eyebrow asymmetry', ...RATIO },
+  overallAsymmetry: { display: 'Overall facial asymmetry', ...RATIO },
+  mouthMovementAsymmetry: { display: 'Smile movement asymmetry', ...RATIO },
+  eyeClosureAsymmetry: { display: 'Eye closure asymmetry', ...RATIO },
+  blinkCompletenessAsymmetry: { display: 'Blink completeness asymmetry', ...RATIO },
+  gazeDeviation: { display: 'Gaze deviation', ...RATIO },
+  gazeMismatch: { display: 'Gaze mismatch between the eyes', ...RATIO },
+  shoulderImbalance: { display: 'Shoulder imbalance', ...RATIO, group: 'postureMetrics' },
+  headTilt: { display: 'Head tilt', ...RATIO, group: 'postureMetrics' },
+  bodyLean: { display: 'Body lean', ...RATIO, group: 'postureMetrics' },
+  pronatorDrift: { display: 'Pronator drift', ...RATIO, group: 'postureMetrics' },
+  riskScore: { display: 'Risk score', unit: 'points', code: '{score}', group: 'assessment' }
+};
+
+// Head pose the facial metrics were corrected for, as one observation with components
+const HEAD_POSE = {
+  code: 'headPose',
+  display: 'Head pose',
+  components: ['yaw', 'pitch', 'roll'],
+  // The same in UCUM
+  unit: 'deg'
+};
+
+// Scores of a speech analysis and the acoustic features of its recording,
+// stored on the analysis itself unless `group` says otherwise
+const SPEECH_METRICS = {
+  coherenceScore: { display: 'Speech coherence score', ...PERCENT },
+  slurredSpeechScore: { display: 'Slurred speech score', ...PERCENT },
+  wordFindingScore: { display: 'Word finding difficulty score', ...PERCENT },
+  durationSeconds: { display: 'Recording duration', ...SECONDS, group: 'acousticFeatures' },
+  speechSeconds: { display: 'Speech duration', ...SECONDS, group: 'acousticFeatures' },
+  speakingRate: { display: 'Speaking rate', unit: 'words/min', code: '{words}/min', group: 'acousticFeatures' },
+  pauseCount: { display: 'Pause count', unit: 'pauses', code: '{count}', group: 'acousticFeatures' },
+  meanPauseSeconds: { display: 'Mean pause length', ...SECONDS, group: 'acousticFeatures' },
+  longestPauseSeconds: { display: 'Longest pause', ...SECONDS, group: 'acousticFeatures' },
+  voicedRatio: { display: 'Voiced share of speech', ...RATIO, group: 'acousticFeatures' },
+  pitchMedianHz: { display: 'Median pitch', unit: 'Hz', code: 'Hz', group: 'acousticFeatures' },
+  pitchRangeSemitones: { display: 'Pitch range', unit: 'semitones', code: '{semitone}', group: 'acousticFeatures' },
+  loudnessVariabilityDb: { display: 'Loudness variability', unit: 'dB', code: 'dB', group: 'acousticFeatures' },
+  sampleRate: { display: 'Recording sample rate', unit: 'Hz', code: 'Hz', group: 'acousticFeatures' }
+};
+
+// Text parts of a speech analysis, carried as components of its panel
+const SPEECH_TEXT_COMPONENTS = ['transcript', 'readingPassage', 'passageId'];
+
+// Panels grouping the observations of one assessment or speech analysis
+const PANELS = {
+  assessment: { code: 'fast-assessment', display: 'FAST face and arm assessment' },
+  speechAnalysis: { code: 'speech-analysis', display: 'Speech analysis' }
+};
+
+// This app's risk levels and the FHIR risk probability codes
+const RISK_LEVEL_CODES = { low: 'low', medium: 'moderate', high: 'high' };
+
+module.exports = {
+  UCUM,
+  METRIC_SYSTEM,
+  PANEL_SYSTEM,
+  RULES_SYSTEM,
+  OBSERVATION_CATEGORY_SYSTEM,
+  RISK_PROBABILITY_SYSTEM,
+  ENCOUNTER_CLASS_SYSTEM,
+  IDENTIFIER_SYSTEMS,
+  ASSESSMENT_METRICS,
+  HEAD_POSE,
+  SPEECH_METRICS,
+  SPEECH_TEXT_COMPONENTS,
+  PANELS,
+  RISK_LEVEL_CODES
+};
@@ -0,0 +1,196 @@
+/**
+ * FHIR R4 export
+ * Writes a patient's assessments and speech analyses, with the session they
+ * were recorded in, as a collection Bundle: Patient, Encounter, one
+ * Observation per metric grouped under a panel Observation per record, and a
+ * RiskAssessment per record. Record ids travel as identifiers so an import
+ * can restore them.
+ *
+ * The bundle carries results, not how they were captured: guided test steps,
+ * word timings and the local scores behind a provider's analysis stay here.
+ */
+
+const crypto = require('crypto');
+const {
+  UCUM,
+  METRIC_SYSTEM,
+  PANEL_SYSTEM,
+  RULES_SYSTEM,
+  OBSERVATION_CATEGORY_SYSTEM,
+  RISK_PROBABILITY_SYSTEM,
+  ENCOUNTER_CLASS_SYSTEM,
+  IDENTIFIER_SYSTEMS,
+  ASSESSMENT_METRICS,
+  HEAD_POSE,
+  SPEECH_METRICS,
+  SPEECH_TEXT_COMPONENTS,
+  PANELS,
+  RISK_LEVEL_CODES
+} = require('./codes');
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// The first word of `sex` as a FHIR administrative gender
+const toGender = (sex) => {
+  const value = typeof sex === 'string' ? sex.trim().toLowerCase() : '';
+  if (value === 'male' || value === 'm') return 'male';
+  if (value === 'female' || value === 'f') return 'female';
+  return value ? 'other' : 'unknown';
+};
+
+const isFhirDate = (value) => typeof value === 'string' && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value);
+
+const coding = (system, code, display) => ({ coding: [{ system, code, display }], text: display });
+
+const quantity = (value, { unit, code }) => ({ value, unit, system: UCUM, code });
+
+const examCategory = [{ coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: 'exam', display: 'Exam' }] }];
+
+/**
+ * Builds the bundle. `patient` and `session` may be null: without a patient
+ * the records are written against an anonymous Patient (FHIR requires a
+ * subject for a RiskAssessment), and without a session each record gets an
+ * Encounter of its own.
+ */
+const buildFhirBundle = ({ patient = null, session = null, assessments = [], speechAnalyses = [] }) => {
+  const entries = [];
+
+  const addResource = (resource) => {
+    const fullUrl = `urn:uuid:${crypto.randomUUID()}`;
+    entries.push({ fullUrl, resource });
+    return { reference: fullUrl };
+  };
+
+  const subject = addResource(patient
+    ? {
+      resourceType: 'Patient',
+      identifier: [{ system: IDENTIFIER_SYSTEMS.patient, value: patient.id }],
+      name: [{ text: patient.name }],
+      gender: toGender(patient.sex),
+      // Dates of birth stored before they were validated may not be FHIR dates
+      ...(isFhirDate(patient.dateOfBirth) ? { birthDate: patient.dateOfBirth } : {})
+    }
+    : { resourceType: 'Patient', gender: 'unknown' });
+
+  const addEncounter = ({ identifier, status, start, end, language }) => addResource({
+    resourceType: 'Encounter',
+    ...(identifier ? { identifier: [identifier] } : {}),
+    ...(language ? { language } : {}),
+    status,
+    class: { system: ENCOUNTER_CLASS_SYSTEM, code: 'VR', display: 'virtual' },
+    subject,
+    period: { start, ...(end ? { end } : {}) }
+  });
+
+  const sessionEncounter = session
+    ? addEncounter({
+      identifier: { system: IDENTIFIER_SYSTEMS.session, value: session.id },
+      status: session.status === 'completed' ? 'finished' : 'in-progress',
+      start: session.startedAt,
+      end: session.completedAt,
+      language: session.language
+    })
+    : null;
+
+  // Each record gets its metric observations, a panel grouping them and a
+  // RiskAssessment based on the panel
+  const addRecord = ({ kind, record, members, panel = {}, riskLevel, findings = [], rulesVersion }) => {
+    const encounter = sessionEncounter ||
+      addEncounter({ status: 'finished', start: record.timestamp, end: record.timestamp });
+    const common = { status: 'final', category: examCategory, subject, encounter, effectiveDateTime: record.timestamp };
+    const identifier = [{ system: IDENTIFIER_SYSTEMS[kind], value: record.id }];
+
+    const hasMember = members.map(member => addResource({ resourceType: 'Observation', ...common, ...member }));
+    const panelReference = addResource({
+      resourceType: 'Observation',
+      identifier,
+      ...common,
+      code: coding(PANEL_SYSTEM, PANELS[kind].code, PANELS[kind].display),
+      hasMember,
+      ...panel
+    });
+
+    if (riskLevel) {
+      addResource({
+        resourceType: 'RiskAssessment',
+        identifier,
+        status: 'final',
+        subject,
+        encounter,
+        occurrenceDateTime: record.timestamp,
+        basis: [panelReference],
+        prediction: [{
+          outcome: { text: 'Stroke' },
+          qualitativeRisk: { coding: [{ system: RISK_PROBABILITY_SYSTEM, code: RISK_LEVEL_CODES[riskLevel] }] }
+        }],
+        ...(rulesVersion ? { method: { coding: [{ system: RULES_SYSTEM, code: String(rulesVersion) }] } } : {}),
+        ...(findings.length > 0 ? { note: findings.map(text => ({ text })) } : {})
+      });
+    }
+  };
+
+  const metricMembers = (definitions, valueOf) => Object.entries(definitions)
+    .filter(([key, definition]) => isNumber(valueOf(key, definition)))
+    .map(([key, definition]) => ({
+      code: coding(METRIC_SYSTEM, key, definition.display),
+      valueQuantity: quantity(valueOf(key, definition), definition)
+    }));
+
+  assessments.forEach(assessment => {
+    const members = metricMembers(ASSESSMENT_METRICS, (key, { group = 'asymmetryMetrics' }) =>
+      (group === 'assessment' ? assessment : assessment[group] || {})[key]);
+
+    const headPose = assessment.asymmetryMetrics && assessment.asymmetryMetrics.headPose;
+    if (headPose) {
+      members.push({
+        code: coding(METRIC_SYSTEM, HEAD_POSE.code, HEAD_POSE.display),
+        component: HEAD_POSE.components.filter(axis => isNumber(headPose[axis])).map(axis => ({
+          code: coding(METRIC_SYSTEM, `${HEAD_POSE.code}.${axis}`, `Head ${axis}`),
+          valueQuantity: quantity(headPose[axis], { unit: HEAD_POSE.unit, code: HEAD_POSE.unit })
+        }))
+      });
+    }
+
+    addRecord({
+      kind: 'assessment',
+      record: assessment,
+      members,
+      riskLevel: assessment.riskLevel,
+      findings: assessment.findings,
+      rulesVersion: assessment.rulesVersion
+    });
+  });
+
+  speechAnalyses.forEach(analysis => {
+    const members = metricMembers(SPEECH_METRICS, (key, { group }) =>
+      (group ? analysis[group] || {} : analysis)[key]);
+
+    const component = SPEECH_TEXT_COMPONENTS
+      .filter(key => typeof analysis[key] === 'string' && analysis[key])
+      .map(key => ({ code: coding(METRIC_SYSTEM, key, key), valueString: analysis[key] }));
+
+    addRecord({
+      kind: 'speechAnalysis',
+      record: analysis,
+      members,
+      panel: {
+        ...(analysis.language ? { language: analysis.language } : {}),
+        ...(analysis.source ? { method: { text: analysis.source } } : {}),
+        component,
+        ...(analysis.observations && analysis.observations.length > 0
+          ? { note: analysis.observations.map(text => ({ text })) }
+          : {})
+      },
+      riskLevel: analysis.overallRisk
+    });
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: entries
+  };
+};
+
+module.exports = { buildFhirBundle };
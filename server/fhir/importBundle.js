@@ -0,0 +1,391 @@
+/**
+ * FHIR R4 import
+ * Reads a Bundle written by exportBundle.js (or by another system following
+ * the same codes) back into a patient, a session and their assessments and
+ * speech analyses. Every problem found is reported; nothing is returned for
+ * storage unless the whole bundle is valid.
+ */
+
+const crypto = require('crypto');
+const {
+  UCUM,
+  METRIC_SYSTEM,
+  PANEL_SYSTEM,
+  RULES_SYSTEM,
+  RISK_PROBABILITY_SYSTEM,
+  IDENTIFIER_SYSTEMS,
+  ASSESSMENT_METRICS,
+  HEAD_POSE,
+  SPEECH_METRICS,
+  SPEECH_TEXT_COMPONENTS,
+  PANELS,
+  RISK_LEVEL_CODES
+} = require('./codes');
+const { DEFAULT_LANGUAGE, isSupportedLanguage } = require('../../shared/languages');
+
+const BUNDLE_TYPES = ['collection', 'transaction'];
+const RESOURCE_TYPES = ['Patient', 'Encounter', 'Observation', 'RiskAssessment'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const findCode = (concept, system) => {
+  const match = isObject(concept) && Array.isArray(concept.coding)
+    ? concept.coding.find(code => code && code.system === system)
+    : null;
+  return match ? match.code : null;
+};
+
+const findIdentifier = (resource, system) => {
+  const match = Array.isArray(resource.identifier)
+    ? resource.identifier.find(identifier => identifier && identifier.system === system)
+    : null;
+  return match && typeof match.value === 'string' && match.value ? match.value : null;
+};
+
+const fromGender = (gender) => (gender === 'male' || gender === 'female' || gender === 'other' ? gender : undefined);
+
+const patientName = (resource) => {
+  const name = Array.isArray(resource.name) ? resource.name[0] : null;
+  if (!isObject(name)) return '';
+  if (typeof name.text === 'string' && name.text.trim()) return name.text.trim();
+  return [...(Array.isArray(name.given) ? name.given : []), name.family]
+    .filter(part => typeof part === 'string' && part.trim())
+    .join(' ');
+};
+
+/**
+ * Validates a bundle and reads its records. Returns { errors } when it is
+ * invalid, otherwise { patient, session, assessments, speechAnalyses }:
+ * - patient: { id, name, sex, dateOfBirth }, id null for one new to this
+ *   app, or null when the Patient is anonymous
+ * - session: { id, status, language, startedAt, completedAt } or null when
+ *   the records were not made in a session
+ * Records keep their ids from the bundle, or get new ones. Assessments
+ * without a RiskAssessment have a null riskLevel, to be scored on import.
+ */
+const parseFhirBundle = (bundle) => {
+  if (!isObject(bundle) || bundle.resourceType !== 'Bundle') {
+    return { errors: ['Body must be a FHIR Bundle'] };
+  }
+  if (!BUNDLE_TYPES.includes(bundle.type)) {
+    return { errors: [`Bundle type must be one of: ${BUNDLE_TYPES.join(', ')}`] };
+  }
+  if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+    return { errors: ['Bundle has no entries'] };
+  }
+
+  const errors = [];
+  const byReference = new Map();
+  const resources = [];
+
+  bundle.entry.forEach((entry, index) => {
+    const resource = entry && entry.resource;
+    if (!isObject(resource) || !RESOURCE_TYPES.includes(resource.resourceType)) {
+      errors.push(`entry[${index}]: resource must be one of ${RESOURCE_TYPES.join(', ')}`);
+      return;
+    }
+    if (entry.fullUrl !== undefined) {
+      if (byReference.has(entry.fullUrl)) {
+        errors.push(`entry[${index}]: duplicate fullUrl ${entry.fullUrl}`);
+      }
+      byReference.set(entry.fullUrl, resource);
+    }
+    if (resource.id !== undefined) {
+      byReference.set(`${resource.resourceType}/${resource.id}`, resource);
+    }
+    resources.push({ resource, label: `entry[${index}] ${resource.resourceType}` });
+  });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const resolve = (reference, resourceType) => {
+    const resource = isObject(reference) ? byReference.get(reference.reference) : null;
+    return resource && resource.resourceType === resourceType ? resource : null;
+  };
+  const ofType = (resourceType) => resources.filter(({ resource }) => resource.resourceType === resourceType);
+
+  // Patient
+  const patients = ofType('Patient');
+  if (patients.length !== 1) {
+    return { errors: [`Bundle must have exactly one Patient, found ${patients.length}`] };
+  }
+  const patientResource = patients[0].resource;
+  let patient = null;
+  const patientId = findIdentifier(patientResource, IDENTIFIER_SYSTEMS.patient);
+  const name = patientName(patientResource);
+  if (patientId || name) {
+    if (!name) {
+      errors.push('Patient: name is required');
+    }
+    if (patientResource.birthDate !== undefined && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(patientResource.birthDate)) {
+      errors.push('Patient: birthDate must be a FHIR date');
+    }
+    patient = { id: patientId, name, sex: fromGender(patientResource.gender), dateOfBirth: patientResource.birthDate };
+  }
+
+  const checkSubject = (resource, label) => {
+    if (resource.subject !== undefined && resolve(resource.subject, 'Patient') !== patientResource) {
+      errors.push(`${label}: subject must reference the bundle's Patient`);
+    }
+  };
+
+  // The session is the Encounter carrying a session id; others only group
+  // records made outside a session
+  const sessionEncounters = ofType('Encounter')
+    .filter(({ resource }) => findIdentifier(resource, IDENTIFIER_SYSTEMS.session));
+  if (sessionEncounters.length > 1) {
+    errors.push('Bundle must have at most one Encounter with a session id');
+  }
+  ofType('Encounter').forEach(({ resource, label }) => checkSubject(resource, label));
+
+  let session = null;
+  const sessionEncounter = sessionEncounters.length === 1 ? sessionEncounters[0].resource : null;
+  if (sessionEncounter) {
+    const period = isObject(sessionEncounter.period) ? sessionEncounter.period : {};
+    const language = sessionEncounter.language || DEFAULT_LANGUAGE;
+    if (!isTimestamp(period.start)) {
+      errors.push('Session Encounter: period.start must be a timestamp');
+    }
+    if (period.end !== undefined && !isTimestamp(period.end)) {
+      errors.push('Session Encounter: period.end must be a timestamp');
+    }
+    if (!isSupportedLanguage(language)) {
+      errors.push(`Session Encounter: unsupported language ${language}`);
+    }
+    session = {
+      id: findIdentifier(sessionEncounter, IDENTIFIER_SYSTEMS.session),
+      status: sessionEncounter.status === 'finished' ? 'completed' : 'open',
+      language,
+      startedAt: period.start,
+      completedAt: sessionEncounter.status === 'finished' ? period.end || period.start : null
+    };
+  }
+
+  // Panels and the metric observations they group
+  const panels = [];
+  const memberOf = new Map();
+  ofType('Observation').forEach(({ resource, label }) => {
+    const panelCode = findCode(resource.code, PANEL_SYSTEM);
+    if (!panelCode) return;
+
+    const kind = Object.keys(PANELS).find(key => PANELS[key].code === panelCode);
+    if (!kind) {
+      errors.push(`${label}: unknown panel ${panelCode}`);
+      return;
+    }
+    panels.push({ resource, label, kind });
+
+    (Array.isArray(resource.hasMember) ? resource.hasMember : []).forEach((reference, index) => {
+      const member = resolve(reference, 'Observation');
+      if (!member) {
+        errors.push(`${label}: hasMember[${index}] does not reference an Observation in the bundle`);
+      } else if (memberOf.has(member)) {
+        errors.push(`${label}: hasMember[${index}] already belongs to another panel`);
+      } else {
+        memberOf.set(member, kind);
+      }
+    });
+  });
+  ofType('Observation').forEach(({ resource, label }) => {
+    if (!findCode(resource.code, PANEL_SYSTEM) && !memberOf.has(resource)) {
+      errors.push(`${label}: Observation is not a member of an assessment or speech analysis panel`);
+    }
+  });
+
+  // A metric value, checked against the unit it must be given in
+  const readQuantity = (valueQuantity, unit, label) => {
+    if (!isObject(valueQuantity) || typeof valueQuantity.value !== 'number' || !Number.isFinite(valueQuantity.value)) {
+      errors.push(`${label}: valueQuantity.value must be a number`);
+      return null;
+    }
+    if (valueQuantity.system !== UCUM || valueQuantity.code !== unit) {
+      errors.push(`${label}: value must be in UCUM unit "${unit}"`);
+      return null;
+    }
+    return valueQuantity.value;
+  };
+
+  const readMembers = (panel, label, definitions, store) => {
+    (panel.hasMember || []).map(reference => resolve(reference, 'Observation')).filter(Boolean)
+      .forEach(member => {
+        const code = findCode(member.code, METRIC_SYSTEM);
+        const memberLabel = `${label} member ${code || '(uncoded)'}`;
+
+        if (code === HEAD_POSE.code && definitions === ASSESSMENT_METRICS) {
+          const headPose = {};
+          (Array.isArray(member.component) ? member.component : []).forEach(component => {
+            const axis = (findCode(component.code, METRIC_SYSTEM) || '').replace(`${HEAD_POSE.code}.`, '');
+            if (!HEAD_POSE.components.includes(axis)) {
+              errors.push(`${memberLabel}: unknown head pose component`);
+              return;
+            }
+            headPose[axis] = readQuantity(component.valueQuantity, HEAD_POSE.unit, `${memberLabel}.${axis}`);
+          });
+          store('asymmetryMetrics', 'headPose', headPose);
+          return;
+        }
+
+        const definition = definitions[code];
+        if (!definition) {
+          errors.push(`${memberLabel}: code must be one of ${METRIC_SYSTEM} ${Object.keys(definitions).join(', ')}`);
+          return;
+        }
+        store(definition.group, code, readQuantity(member.valueQuantity, definition.code, memberLabel));
+      });
+  };
+
+  const records = { assessment: [], speechAnalysis: [] };
+  const recordByPanel = new Map();
+
+  panels.forEach(({ resource, label, kind }) => {
+    if (!isTimestamp(resource.effectiveDateTime)) {
+      errors.push(`${label}: effectiveDateTime must be a timestamp`);
+    }
+    checkSubject(resource, label);
+
+    const encounter = resource.encounter !== undefined ? resolve(resource.encounter, 'Encounter') : null;
+    if (resource.encounter !== undefined && !encounter) {
+      errors.push(`${label}: encounter does not reference an Encounter in the bundle`);
+    }
+
+    const record = {
+      id: findIdentifier(resource, IDENTIFIER_SYSTEMS[kind]) || crypto.randomUUID(),
+      sessionId: encounter && encounter === sessionEncounter ? session.id : null,
+      timestamp: resource.effectiveDateTime
+    };
+
+    if (kind === 'assessment') {
+      Object.assign(record, {
+        asymmetryMetrics: {},
+        postureMetrics: {},
+        armDriftSide: null,
+        riskLevel: null,
+        riskScore: null,
+        findings: [],
+        rulesVersion: null,
+        guidedTest: null
+      });
+      readMembers(resource, label, ASSESSMENT_METRICS, (group = 'asymmetryMetrics', key, value) => {
+        if (group === 'assessment') {
+          record[key] = value;
+        } else {
+          record[group][key] = value;
+        }
+      });
+      if (Object.keys(record.asymmetryMetrics).length === 0 && Object.keys(record.postureMetrics).length === 0) {
+        errors.push(`${label}: an assessment needs at least one facial or posture metric`);
+      }
+    } else {
+      const texts = {};
+      (Array.isArray(resource.component) ? resource.component : []).forEach(component => {
+        const key = findCode(component && component.code, METRIC_SYSTEM);
+        if (!SPEECH_TEXT_COMPONENTS.includes(key) || typeof component.valueString !== 'string') {
+          errors.push(`${label}: components must be ${SPEECH_TEXT_COMPONENTS.join(', ')} with valueString`);
+          return;
+        }
+        texts[key] = component.valueString;
+      });
+      if (!texts.transcript) {
+        errors.push(`${label}: a speech analysis needs a transcript component`);
+      }
+
+      const language = resource.language || (session && record.sessionId ? session.language : DEFAULT_LANGUAGE);
+      if (!isSupportedLanguage(language)) {
+        errors.push(`${label}: unsupported language ${language}`);
+      }
+
+      Object.assign(record, {
+        transcript: texts.transcript,
+        readingPassage: texts.readingPassage || null,
+        passageId: texts.passageId || null,
+        language,
+        transcription: { source: 'fhir', words: [], confidence: null },
+        coherenceScore: null,
+        slurredSpeechScore: null,
+        wordFindingScore: null,
+        overallRisk: null,
+        observations: Array.isArray(resource.note)
+          ? resource.note.map(note => note && note.text).filter(text => typeof text === 'string')
+          : [],
+        source: isObject(resource.method) && typeof resource.method.text === 'string' ? resource.method.text : 'fhir',
+        model: null,
+        promptVersion: null,
+        localFields: [],
+        localAnalysis: null
+      });
+
+      // Acoustic features missing from the bundle could not be measured
+      readMembers(resource, label, SPEECH_METRICS, (group, key, value) => {
+        if (!group) {
+          record[key] = value;
+          return;
+        }
+        if (!record[group]) {
+          record[group] = {};
+          Object.keys(SPEECH_METRICS)
+            .filter(metric => SPEECH_METRICS[metric].group === group)
+            .forEach(metric => { record[group][metric] = null; });
+        }
+        record[group][key] = value;
+      });
+    }
+
+    records[kind].push(record);
+    recordByPanel.set(resource, { kind, record });
+  });
+
+  // Risk levels, from the RiskAssessment based on each panel
+  ofType('RiskAssessment').forEach(({ resource, label }) => {
+    const panel = Array.isArray(resource.basis) ? resolve(resource.basis[0], 'Observation') : null;
+    const target = panel ? recordByPanel.get(panel) : null;
+    if (!target) {
+      errors.push(`${label}: basis must reference an assessment or speech analysis panel`);
+      return;
+    }
+    checkSubject(resource, label);
+
+    const prediction = Array.isArray(resource.prediction) ? resource.prediction[0] : null;
+    const code = findCode(prediction && prediction.qualitativeRisk, RISK_PROBABILITY_SYSTEM);
+    const riskLevel = Object.keys(RISK_LEVEL_CODES).find(level => RISK_LEVEL_CODES[level] === code);
+    if (!riskLevel) {
+      errors.push(`${label}: prediction[0].qualitativeRisk must be one of ${Object.values(RISK_LEVEL_CODES).join(', ')}`);
+      return;
+    }
+
+    const notes = Array.isArray(resource.note)
+      ? resource.note.map(note => note && note.text).filter(text => typeof text === 'string')
+      : [];
+    if (target.kind === 'assessment') {
+      // Rule versions are numbers; FHIR codes are always strings
+      const rulesVersion = findCode(resource.method, RULES_SYSTEM);
+      if (rulesVersion !== null && !/^[1-9]\d*$/.test(rulesVersion)) {
+        errors.push(`${label}: method code ${rulesVersion} is not a risk rules version`);
+        return;
+      }
+      target.record.riskLevel = riskLevel;
+      target.record.findings = notes;
+      target.record.rulesVersion = rulesVersion === null ? null : Number(rulesVersion);
+    } else {
+      target.record.overallRisk = riskLevel;
+    }
+  });
+
+  if (panels.length === 0) {
+    errors.push('Bundle has no assessment or speech analysis panel');
+  }
+
+  const ids = [...records.assessment, ...records.speechAnalysis].map(record => record.id);
+  ids.filter((id, index) => ids.indexOf(id) !== index).forEach(id => {
+    errors.push(`Record id ${id} appears more than once`);
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return { patient, session, assessments: records.assessment, speechAnalyses: records.speechAnalysis };
+};
+
+module.exports = { parseFhirBundle };
@@ -0,0 +1,11 @@
+/**
+ * FHIR R4 exchange
+ * Assessments and speech analyses leave as Bundles (exportBundle.js) and come
+ * back through the import, which validates the whole bundle first
+ * (importBundle.js). Codes and units are listed in codes.js.
+ */
+
+const { buildFhirBundle } = require('./exportBundle');
+const { parseFhirBundle } = require('./importBundle');
+
+module.exports = { buildFhirBundle, parseFhirBundle };
@@ -0,0 +1,68 @@
+/**
+ * File-backed database for the Stroke Detection application
+ * Keeps the in-memory database as the working copy and writes a JSON
+ * snapshot to disk after every change, so data survives restarts. Camera
+ * snapshot images are stored as files in `snapshotDir` instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryDb } = require('./memoryDb');
+const { createFileImageStore } = require('./imageStore');
+const { migrate } = require('./migrations');
+
+// Read the stored data, treating a missing file as an empty database
+const loadData = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const contents = fs.readFileSync(filePath, 'utf8');
+  return contents.trim() ? JSON.parse(contents) : {};
+};
+
+// Write to a temporary file first and rename it, so a crash mid-write
+// never leaves a truncated database behind
+const saveData = (filePath, data) => {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+// Snapshots saved before images were kept apart carry them inline as base64;
+// write those out to the image store and keep only the metadata
+const moveInlineImages = (data, imageStore) => ({
+  ...data,
+  snapshots: data.snapshots.map(({ image, ...snapshot }) => {
+    if (typeof image === 'string') {
+      imageStore.save(snapshot.id, Buffer.from(image, 'base64'));
+    }
+    return snapshot;
+  })
+});
+
+const createFileDb = ({ filePath, snapshotDir }) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const imageStore = createFileImageStore({ directory: snapshotDir });
+  const { data: migrated, fromVersion } = migrate(loadData(filePath));
+  const data = moveInlineImages(migrated, imageStore);
+
+  // Keep a copy of the pre-migration file in case an upgrade goes wrong
+  if (fs.existsSync(filePath) && fromVersion < data.schemaVersion) {
+    fs.copyFileSync(filePath, `${filePath}.v${fromVersion}.bak`);
+    console.log(`Migrated database from schema v${fromVersion} to v${data.schemaVersion}`);
+  }
+
+  const db = createMemoryDb({
+    initialData: data,
+    onChange: () => saveData(filePath, db.snapshot()),
+    imageStore
+  });
+
+  saveData(filePath, db.snapshot());
+
+  return db;
+};
+
+module.exports = { createFileDb };
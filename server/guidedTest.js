@@ -0,0 +1,161 @@
+/**
+ * Guided FAST test results
+ * The static page's wizard runs the smile, arm raise and read-aloud steps in a
+ * fixed order and submits them together as one assessment. Each step carries
+ * only the metrics captured while that step was running.
+ */
+
+const { ARM_SIDES } = require('../shared/armDrift');
+
+const GUIDED_TEST_STEPS = [
+  { key: 'smile', metrics: ['eyeAsymmetry', 'mouthAsymmetry', 'eyebrowAsymmetry', 'overallAsymmetry'] },
+  { key: 'arms', metrics: ['shoulderImbalance', 'headTilt', 'bodyLean', 'pronatorDrift'] },
+  { key: 'speech' }
+];
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Checks the arm drift result the arms step carries from shared/armDrift.js
+const validateArmDrift = (armDrift) => {
+  if (!isObject(armDrift)) {
+    return ['arms: armDrift must be an object'];
+  }
+
+  const errors = [];
+  const fields = ['left', 'right', 'relativeDrop', 'relativeDrift', 'weakerSide', 'frameCount', 'durationMs'];
+  Object.keys(armDrift).forEach(field => {
+    if (!fields.includes(field)) {
+      errors.push(`arms: armDrift.${field} is not part of the arm drift result`);
+    }
+  });
+
+  ['left', 'right'].forEach(side => {
+    if (!isObject(armDrift[side]) || !isFiniteNumber(armDrift[side].drop) || !isFiniteNumber(armDrift[side].drift)) {
+      errors.push(`arms: armDrift.${side} must have numeric drop and drift`);
+    }
+  });
+  ['relativeDrop', 'relativeDrift'].forEach(field => {
+    if (!isFiniteNumber(armDrift[field])) {
+      errors.push(`arms: armDrift.${field} must be a number`);
+    }
+  });
+  if (armDrift.weakerSide !== null && !ARM_SIDES.includes(armDrift.weakerSide)) {
+    errors.push(`arms: armDrift.weakerSide must be null or one of: ${ARM_SIDES.join(', ')}`);
+  }
+  if (!Number.isInteger(armDrift.frameCount) || armDrift.frameCount < 1) {
+    errors.push('arms: armDrift.frameCount must be a positive integer');
+  }
+  if (!isFiniteNumber(armDrift.durationMs) || armDrift.durationMs < 0) {
+    errors.push('arms: armDrift.durationMs must be a non-negative number');
+  }
+
+  return errors;
+};
+
+// Checks one metric-capturing step, returning a list of problems
+const validateMetricStep = (step, definition) => {
+  const errors = [];
+
+  if (!Number.isInteger(step.frameCount) || step.frameCount < 1) {
+    errors.push(`${definition.key}: frameCount must be a positive integer`);
+  }
+  if (!step.metrics || typeof step.metrics !== 'object') {
+    errors.push(`${definition.key}: metrics are required`);
+    return errors;
+  }
+
+  definition.metrics.forEach(metric => {
+    if (typeof step.metrics[metric] !== 'number' || !Number.isFinite(step.metrics[metric])) {
+      errors.push(`${definition.key}: ${metric} must be a number`);
+    }
+  });
+  Object.keys(step.metrics).forEach(metric => {
+    if (!definition.metrics.includes(metric)) {
+      errors.push(`${definition.key}: ${metric} is not captured in this step`);
+    }
+  });
+
+  // Only the arms step measures arm drift, and only when it ran the drift test
+  if (step.armDrift !== undefined) {
+    errors.push(...(definition.key === 'arms'
+      ? validateArmDrift(step.armDrift)
+      : [`${definition.key}: armDrift is only recorded in the arms step`]));
+  }
+
+  return errors;
+};
+
+// Checks the read-aloud step. Its analysis is stored separately through
+// /api/analyze-speech and must belong to the same session.
+const validateSpeechStep = (db, step, sessionId) => {
+  if (step.status === 'unavailable') {
+    return [];
+  }
+
+  const { speechAnalyses } = db.getSessionRecords(sessionId);
+  if (!speechAnalyses.some(analysis => analysis.id === step.speechAnalysisId)) {
+    return ['speech: speechAnalysisId must refer to a speech analysis in this session'];
+  }
+
+  return [];
+};
+
+// Validate a submitted guided test, returning a list of problems (empty when valid)
+const validateGuidedTest = (db, guidedTest, sessionId) => {
+  if (!sessionId) {
+    return ['A guided test must be recorded in a session'];
+  }
+  if (!guidedTest || !Array.isArray(guidedTest.steps)) {
+    return ['steps must be an array'];
+  }
+
+  const expected = GUIDED_TEST_STEPS.map(step => step.key);
+  const received = guidedTest.steps.map(step => step && step.key);
+  if (received.join(',') !== expected.join(',')) {
+    return [`steps must be ${expected.join(', ')} in that order`];
+  }
+
+  const errors = [];
+  let previousCompletedAt = null;
+
+  guidedTest.steps.forEach((step, index) => {
+    const definition = GUIDED_TEST_STEPS[index];
+
+    if (!isTimestamp(step.startedAt) || !isTimestamp(step.completedAt)) {
+      errors.push(`${definition.key}: startedAt and completedAt must be timestamps`);
+      return;
+    }
+    if (Date.parse(step.completedAt) < Date.parse(step.startedAt)) {
+      errors.push(`${definition.key}: completedAt is before startedAt`);
+    }
+    if (previousCompletedAt !== null && Date.parse(step.startedAt) < previousCompletedAt) {
+      errors.push(`${definition.key}: started before the previous step completed`);
+    }
+    previousCompletedAt = Date.parse(step.completedAt);
+
+    errors.push(...(definition.metrics
+      ? validateMetricStep(step, definition)
+      : validateSpeechStep(db, step, sessionId)));
+  });
+
+  return errors;
+};
+
+// The assessment metrics come from the step that captured them, and the
+// weaker arm from the arm drift measured in the arms step
+const getGuidedTestMetrics = (guidedTest) => {
+  const stepsByKey = {};
+  guidedTest.steps.forEach(step => {
+    stepsByKey[step.key] = step;
+  });
+
+  return {
+    asymmetryMetrics: stepsByKey.smile.metrics,
+    postureMetrics: stepsByKey.arms.metrics,
+    armDriftSide: stepsByKey.arms.armDrift?.weakerSide || null
+  };
+};
+
+module.exports = { GUIDED_TEST_STEPS, validateGuidedTest, getGuidedTestMetrics };
@@ -0,0 +1,53 @@
+/**
+ * Snapshot image storage
+ * Images are kept apart from the database records, which only hold their
+ * metadata, so the database file stays small and quick to rewrite. Every
+ * store exposes save(id, data), load(id) and remove(id), with images as
+ * Buffers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Images are named after their snapshot id; anything else is never a file name
+const SAFE_ID = /^[A-Za-z0-9-]+$/;
+
+const createMemoryImageStore = () => {
+  const images = new Map();
+
+  return {
+    save: (id, data) => { images.set(id, Buffer.from(data)); },
+    load: (id) => images.get(id) || null,
+    remove: (id) => { images.delete(id); }
+  };
+};
+
+// One JPEG file per image in `directory`
+const createFileImageStore = ({ directory }) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const fileFor = (id) => {
+    if (!SAFE_ID.test(id)) {
+      throw new Error(`Invalid image id "${id}"`);
+    }
+    return path.join(directory, `${id}.jpg`);
+  };
+
+  return {
+    // Written to a temporary file first, like the database itself
+    save: (id, data) => {
+      const filePath = fileFor(id);
+      fs.writeFileSync(`${filePath}.tmp`, data);
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    },
+    load: (id) => {
+      const filePath = fileFor(id);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    },
+    remove: (id) => {
+      fs.rmSync(fileFor(id), { force: true });
+    }
+  };
+};
+
+module.exports = { createMemoryImageStore, createFileImageStore };
@@ -1,61 +1,151 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { AssemblyAI } = require('assemblyai');
-const { createMemoryDb } = require('./memoryDb');
+const config = require('./config');
+const { createDb } = require('./db');
+const { loadRiskRules, evaluateMetricsRisk } = require('./risk');
+const { createPatientsRouter } = require('./routes/patients');
+const { createRiskRouter } = require('./routes/risk');
+const { createSessionsRouter, checkSessionForRecord } = require('./routes/sessions');
+const { createPassagesRouter } = require('./routes/passages');
+const { createSpeechTasksRouter } = require('./routes/speechTasks');
+const { createNihssRouter } = require('./routes/nihss');
+const { createFhirRouter } = require('./routes/fhir');
+const { createAssessmentsRouter, createSpeechAnalysesRouter } = require('./routes/records');
+const { createStatsRouter } = require('./routes/stats');
+const { seedPassages } = require('./passages');
+const { validateGuidedTest, getGuidedTestMetrics } = require('./guidedTest');
+const { createSpeechProvider, localProvider } = require('./speechAnalysis');
+const { toWords, MAX_TRANSCRIPT_LENGTH, MAX_PASSAGE_LENGTH } = require('./speechScorer');
+const { decodeWav, decodePcm, computeAcousticFeatures, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE } = require('./acousticFeatures');
+const { createTranscriber, validateTranscription } = require('./transcription');
+const { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } = require('../shared/languages');
+const { ARM_SIDES } = require('../shared/armDrift');
 
 // Initialize the app
 const app = express();
-const PORT = process.env.PORT || 8000;
+const PORT = config.port;
 
-// Initialize Google Generative AI
-const GOOGLE_AI_API_KEY = process.env.GOOGLE_AI_API_KEY;
-const genAI = new GoogleGenerativeAI(GOOGLE_AI_API_KEY);
+// Speech analysis provider chosen in the config
+const speechProvider = createSpeechProvider(config.speechAnalysis);
 
-// Initialize AssemblyAI
-const ASSEMBLYAI_API_KEY = process.env.ASSEMBLYAI_API_KEY;
-const assemblyai = new AssemblyAI({
-  apiKey: ASSEMBLYAI_API_KEY
-});
+// Transcription backend for browsers without the Web Speech API
+const transcriber = createTranscriber(config.transcription);
+
+// Create the database using the configured storage backend
+const db = createDb(config.storage);
+
+// Make sure the default reading passages are in the library
+seedPassages(db);
 
-// Create in-memory database
-const db = createMemoryDb();
+// Load the risk scoring rules shared with both front-ends
+const riskRules = loadRiskRules(config.risk.rulesFile);
 
 // Middleware
 app.use(cors());
+
+// FHIR R4 export and import. Mounted before the JSON parser below because
+// the import parses its own, larger bundles; the parser would otherwise
+// reject them at its 100kb default first.
+app.use('/api/fhir', createFhirRouter({ db, rules: riskRules }));
+
 app.use(express.json());
 
 // Serve static files - first try the React build, then fall back to static public folder
 app.use(express.static(path.join(__dirname, '../client/build')));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Shared scoring modules, loaded by the static page as plain scripts
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // API endpoints
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Patient profiles
+app.use('/api/patients', createPatientsRouter(db));
+
+// Risk scoring
+app.use('/api/risk', createRiskRouter({ db, rules: riskRules }));
+
+// FAST sessions combining face, arm and speech results
+app.use('/api/sessions', createSessionsRouter({ db, rules: riskRules }));
+
+// Reading passage library
+app.use('/api/passages', createPassagesRouter(db));
+
+// Naming, repetition and command-following task results
+app.use('/api/speech-tasks', createSpeechTasksRouter(db));
+
+// Approximate NIHSS item scores
+app.use('/api/nihss', createNihssRouter());
+
+// Aggregate statistics over stored records
+app.use('/api/stats', createStatsRouter(db));
+
 // Save assessment data
 app.post('/api/assessments', (req, res) => {
   try {
-    const { asymmetryMetrics, postureMetrics, riskLevel, timestamp } = req.body;
+    const { patientId, sessionId, guidedTest, timestamp } = req.body;
+    let { asymmetryMetrics, postureMetrics, armDriftSide = null } = req.body;
     
-    if (!asymmetryMetrics || !postureMetrics || !riskLevel) {
+    if (!guidedTest && (!asymmetryMetrics || !postureMetrics)) {
       return res.status(400).json({ error: 'Missing required data' });
     }
     
-    const id = Date.now().toString();
+    // Clients may send the time the assessment was taken
+    if (timestamp !== undefined && (typeof timestamp !== 'string' || Number.isNaN(Date.parse(timestamp)))) {
+      return res.status(400).json({ error: 'timestamp must be an ISO 8601 timestamp' });
+    }
+    
+    // The arm that drifted, when the arm drift test found one
+    if (armDriftSide !== null && !ARM_SIDES.includes(armDriftSide)) {
+      return res.status(400).json({ error: `armDriftSide must be one of: ${ARM_SIDES.join(', ')}` });
+    }
+    
+    if (patientId && !db.getPatient(patientId)) {
+      return res.status(400).json({ error: 'Unknown patient id' });
+    }
+    
+    const sessionError = sessionId && checkSessionForRecord(db, sessionId, patientId);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
+    
+    // A guided test supplies its metrics step by step instead
+    if (guidedTest) {
+      const errors = validateGuidedTest(db, guidedTest, sessionId);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid guided test', details: errors });
+      }
+      ({ asymmetryMetrics, postureMetrics, armDriftSide } = getGuidedTestMetrics(guidedTest));
+    }
+    
+    // Risk is always scored here with the shared engine, so stored results
+    // do not depend on which front-end submitted them
+    const risk = evaluateMetricsRisk({ db, rules: riskRules, asymmetryMetrics, postureMetrics, patientId });
+    
+    const id = crypto.randomUUID();
     const assessment = {
       id,
+      patientId: patientId || null,
+      sessionId: sessionId || null,
       asymmetryMetrics,
       postureMetrics,
-      riskLevel,
+      armDriftSide,
+      riskLevel: risk.riskLevel,
+      riskScore: risk.score,
+      findings: risk.findings,
+      rulesVersion: risk.rulesVersion,
+      guidedTest: guidedTest ? { steps: guidedTest.steps } : null,
       timestamp: timestamp || new Date().toISOString()
     };
     
-    db.assessments.push(assessment);
+    db.addAssessment(assessment);
     
-    res.status(201).json({ id, message: 'Assessment saved successfully' });
+    res.status(201).json({ id, riskLevel: risk.riskLevel, riskScore: risk.score, message: 'Assessment saved successfully' });
   } catch (error) {
     console.error('Error saving assessment:', error);
     res.status(500).json({ error: 'Failed to save assessment' });
@@ -65,10 +155,8 @@ app.post('/api/assessments', (req, res) => {
 // Get recent assessments
 app.get('/api/assessments/recent', (req, res) => {
   try {
-    // Sort by timestamp descending and get most recent 10
-    const recentAssessments = [...db.assessments]
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 10);
+    const { patientId } = req.query;
+    const recentAssessments = db.getRecentAssessments(10, { patientId });
       
     res.json(recentAssessments);
   } catch (error) {
@@ -77,145 +165,168 @@ app.get('/api/assessments/recent', (req, res) => {
   }
 });
 
-// Analyze speech using Google AI
+// Analyze speech with the configured provider and the local scorer. The local
+// scores are always stored; they stand in when the provider is unavailable.
 app.post('/api/analyze-speech', async (req, res) => {
   try {
-    const { transcript, readingPassage } = req.body;
+    const { transcript, patientId, sessionId, passageId, transcription } = req.body;
+    let { language, readingPassage } = req.body;
     
     if (!transcript) {
       return res.status(400).json({ error: 'Missing speech transcript' });
     }
+    if (typeof transcript !== 'string') {
+      return res.status(400).json({ error: 'transcript must be a string' });
+    }
+    if (transcript.length > MAX_TRANSCRIPT_LENGTH) {
+      return res.status(400).json({ error: `transcript must be at most ${MAX_TRANSCRIPT_LENGTH} characters` });
+    }
     
-    // Configure the generative model - use the latest available model
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
+    if (readingPassage !== undefined && readingPassage !== null && typeof readingPassage !== 'string') {
+      return res.status(400).json({ error: 'readingPassage must be a string' });
+    }
+    if (readingPassage && readingPassage.length > MAX_PASSAGE_LENGTH) {
+      return res.status(400).json({ error: `readingPassage must be at most ${MAX_PASSAGE_LENGTH} characters` });
+    }
     
-    // Create a prompt based on whether we have a reading passage or not
-    let promptText;
+    const transcriptionErrors = transcription ? validateTranscription(transcription) : [];
+    if (transcriptionErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid transcription', details: transcriptionErrors });
+    }
     
-    if (readingPassage) {
-      // If we have both the transcript and the reading passage, we can do a comparison
-      promptText = `
-      Analyze the following speech transcript for potential stroke symptoms. The person was asked to read a specific passage, so compare their speech with the expected text:
-      
-      Expected reading passage: "${readingPassage}"
-      
-      Actual transcript: "${transcript}"
-      
-      Focus on:
-      1. Speech coherence and clarity
-      2. Word-finding difficulties (missing, substituted, or incorrect words)
-      3. Slurred speech patterns
-      4. Pronunciation errors that could indicate stroke
-      5. Sentence completion and flow
-      6. Omissions or additions compared to the expected reading passage
-      
-      Provide an analysis with:
-      - A coherence score (0-100) - how well their speech matches the expected passage
-      - A slurred speech score (0-100) - indication of slurring or unclear pronunciation
-      - Word finding difficulty score (0-100) - measure of word substitutions or omissions
-      - Overall stroke risk based on speech (low, medium, high)
-      - Key observations including specific words or phrases that show potential issues
-      `;
-    } else {
-      // Fall back to general speech analysis if no reading passage is provided
-      promptText = `
-      Analyze the following speech transcript for potential stroke symptoms:
-      "${transcript}"
-      
-      Focus on:
-      1. Speech coherence and clarity
-      2. Word-finding difficulties
-      3. Slurred speech patterns
-      4. Grammatical errors beyond normal speech
-      5. Repetition or confusion
-      
-      Provide an analysis with:
-      - A coherence score (0-100)
-      - A slurred speech score (0-100)
-      - Word finding difficulty score (0-100)
-      - Overall stroke risk based on speech (low, medium, high)
-      - Key observations
-      `;
+    if (patientId && !db.getPatient(patientId)) {
+      return res.status(400).json({ error: 'Unknown patient id' });
     }
     
-    // Add the response format instructions
-    const prompt = `${promptText}
+    const sessionError = sessionId && checkSessionForRecord(db, sessionId, patientId);
+    if (sessionError) {
+      return res.status(400).json({ error: sessionError });
+    }
     
-    Format the response as a JSON object with these exact fields: 
-    {
-      "coherenceScore": number,
-      "slurredSpeechScore": number,
-      "wordFindingScore": number, 
-      "overallRisk": "low"|"medium"|"high",
-      "observations": string[]
+    // Speech in a session is in the session's language
+    const sessionLanguage = sessionId ? db.getSession(sessionId).language || DEFAULT_LANGUAGE : null;
+    if (language !== undefined && !isSupportedLanguage(language)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        details: [`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`]
+      });
+    }
+    if (language && sessionLanguage && language !== sessionLanguage) {
+      return res.status(400).json({ error: 'Language does not match the session' });
     }
+    language = language || sessionLanguage || DEFAULT_LANGUAGE;
     
-    Return only the JSON, no additional text.
-    `;
+    // A passage from the library is scored against its stored text
+    const passage = passageId ? db.getPassage(passageId) : null;
+    if (passageId && !passage) {
+      return res.status(400).json({ error: 'Unknown passage id' });
+    }
+    if (passage) {
+      // Naming and command items are scored through /api/speech-tasks
+      if (passage.taskType !== 'reading') {
+        return res.status(400).json({ error: 'Passage is not a reading passage' });
+      }
+      if (passage.language !== language) {
+        return res.status(400).json({ error: 'Passage is in a different language' });
+      }
+      if (readingPassage && readingPassage.trim() !== passage.text) {
+        return res.status(400).json({ error: 'Reading passage does not match the passage id' });
+      }
+      readingPassage = passage.text;
+    }
     
-    // Generate content
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
+    const localAnalysis = await localProvider.analyze({ transcript, readingPassage, language });
     
-    try {
-      // Extract the JSON from the response text (could be wrapped in ```json or code blocks)
-      let jsonStr = text.trim();
-      
-      // Remove code block formatting if present
-      if (jsonStr.startsWith('```')) {
-        jsonStr = jsonStr.replace(/```json\n|```\n|```/g, '');
+    let analysisData = null;
+    if (speechProvider !== localProvider) {
+      try {
+        const { missingFields, ...providerAnalysis } = await speechProvider.analyze({ transcript, readingPassage, language });
+        
+        // A partial result keeps what the provider gave and takes the rest
+        // from the local scores, recording which fields those were
+        missingFields.forEach(field => {
+          providerAnalysis[field] = localAnalysis[field];
+        });
+        
+        analysisData = {
+          ...providerAnalysis,
+          source: speechProvider.name,
+          model: speechProvider.model,
+          promptVersion: speechProvider.promptVersion,
+          localFields: missingFields
+        };
+      } catch (providerError) {
+        console.error(`Error getting ${speechProvider.name} speech analysis, using local scores:`, providerError);
       }
-      
-      // Parse JSON
-      const analysisData = JSON.parse(jsonStr);
-      
-      // Save the analysis to the database
-      const id = Date.now().toString();
-      const speechAnalysis = {
-        id,
-        transcript,
-        readingPassage, // Store the reading passage if available
-        ...analysisData,
-        timestamp: new Date().toISOString()
+    }
+    
+    if (!analysisData) {
+      const { alignment, ...localScores } = localAnalysis;
+      analysisData = {
+        ...localScores,
+        source: localProvider.name,
+        model: localProvider.model,
+        promptVersion: localProvider.promptVersion,
+        localFields: []
       };
-      
-      // Add to database
-      db.addSpeechAnalysis(speechAnalysis);
-      
-      res.json(analysisData);
-      
-    } catch (jsonError) {
-      console.error('Error parsing AI response:', jsonError);
-      res.status(500).json({ 
-        error: 'Failed to parse speech analysis',
-        rawResponse: text
-      });
     }
+    analysisData.localAnalysis = localAnalysis;
+    
+    // Save the analysis to the database
+    const id = crypto.randomUUID();
+    const speechAnalysis = {
+      id,
+      patientId: patientId || null,
+      sessionId: sessionId || null,
+      transcript,
+      readingPassage, // Store the reading passage if available
+      passageId: passageId || null,
+      language,
+      // Where the transcript came from, with word timings when the backend gives them
+      transcription: transcription
+        ? {
+          source: transcription.source,
+          words: (transcription.words || []).map(({ text, start, end, confidence }) => ({ text, start, end, confidence: confidence ?? null })),
+          confidence: transcription.confidence ?? null
+        }
+        : { source: 'web-speech', words: [], confidence: null },
+      ...analysisData,
+      timestamp: new Date().toISOString()
+    };
+    
+    db.addSpeechAnalysis(speechAnalysis);
     
+    res.json({ id, ...analysisData });
   } catch (error) {
     console.error('Error analyzing speech:', error);
     res.status(500).json({ error: 'Failed to analyze speech' });
   }
 });
 
-// Transcribe audio with AssemblyAI
+// Transcribe uploaded audio, with word timings and confidences
 app.post('/api/transcribe', async (req, res) => {
   try {
-    const { audioUrl } = req.body;
+    const { audioUrl, languageCode } = req.body;
     
-    if (!audioUrl) {
+    if (typeof audioUrl !== 'string' || !audioUrl) {
       return res.status(400).json({ error: 'Missing audio URL' });
     }
     
-    // Create transcription request with AssemblyAI
-    const transcript = await assemblyai.transcripts.transcribe({
-      audio: audioUrl,
-      language_code: 'en',
-    });
+    if (languageCode !== undefined && !isSupportedLanguage(languageCode)) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        details: [`languageCode must be one of: ${Object.keys(LANGUAGES).join(', ')}`]
+      });
+    }
+    
+    const transcript = await transcriber.transcribe({ audioUrl, languageCode: languageCode || DEFAULT_LANGUAGE });
     
     res.json({ 
       transcript: transcript.text,
+      words: transcript.words,
+      confidence: transcript.confidence,
+      languageCode: transcript.languageCode,
+      source: transcriber.name,
       status: 'completed'
     });
     
@@ -225,18 +336,18 @@ app.post('/api/transcribe', async (req, res) => {
   }
 });
 
-// Upload audio to AssemblyAI
+// Upload audio for transcription
 app.post('/api/upload-audio', express.raw({ type: 'audio/*', limit: '50mb' }), async (req, res) => {
   try {
-    // Upload the audio data to AssemblyAI
-    const uploadResponse = await assemblyai.files.upload(req.body, {
-      // You can provide optional parameters here if needed
-      // data_format: 'wav',
-    });
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Missing audio data' });
+    }
+    
+    const uploadUrl = await transcriber.upload(req.body);
     
     // Return the URL of the uploaded audio file
     res.json({ 
-      upload_url: uploadResponse.url 
+      upload_url: uploadUrl 
     });
     
   } catch (error) {
@@ -245,11 +356,67 @@ app.post('/api/upload-audio', express.raw({ type: 'audio/*', limit: '50mb' }), a
   }
 });
 
+// Acoustic features (speaking rate, pauses, voicing, pitch range, loudness)
+// from a WAV file or raw 16-bit PCM with ?sampleRate=. With ?speechAnalysisId=
+// they are stored on that analysis and its transcript gives the speaking rate.
+// Bodies are capped at a minute of 48 kHz 16-bit mono audio.
+app.post('/api/acoustic-features', express.raw({ type: ['audio/*', 'application/octet-stream'], limit: '6mb' }), (req, res) => {
+  try {
+    const { speechAnalysisId } = req.query;
+    const contentType = req.headers['content-type'] || '';
+    
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Missing audio data' });
+    }
+    
+    const speechAnalysis = speechAnalysisId ? db.getSpeechAnalysis(speechAnalysisId) : null;
+    if (speechAnalysisId && !speechAnalysis) {
+      return res.status(404).json({ error: 'Speech analysis not found' });
+    }
+    
+    let audio;
+    try {
+      if (/wav|wave/.test(contentType)) {
+        audio = decodeWav(req.body);
+      } else {
+        const sampleRate = parseInt(req.query.sampleRate);
+        if (!Number.isInteger(sampleRate) || sampleRate < MIN_SAMPLE_RATE || sampleRate > MAX_SAMPLE_RATE) {
+          return res.status(400).json({ error: `Raw PCM needs a sampleRate from ${MIN_SAMPLE_RATE} to ${MAX_SAMPLE_RATE}` });
+        }
+        audio = decodePcm(req.body, sampleRate);
+      }
+    } catch (decodeError) {
+      return res.status(400).json({ error: 'Invalid audio', details: [decodeError.message] });
+    }
+    
+    const wordCount = speechAnalysis
+      ? toWords(speechAnalysis.transcript).length
+      : parseInt(req.query.wordCount) || null;
+    
+    let acousticFeatures;
+    try {
+      acousticFeatures = computeAcousticFeatures(audio, { wordCount });
+    } catch (featureError) {
+      return res.status(400).json({ error: 'Invalid audio', details: [featureError.message] });
+    }
+    
+    if (speechAnalysis) {
+      db.updateSpeechAnalysis(speechAnalysis.id, { acousticFeatures });
+    }
+    
+    res.json(acousticFeatures);
+  } catch (error) {
+    console.error('Error computing acoustic features:', error);
+    res.status(500).json({ error: 'Failed to compute acoustic features' });
+  }
+});
+
 // Get recent speech analyses
 app.get('/api/speech-analyses/recent', (req, res) => {
   try {
     const limit = req.query.limit ? parseInt(req.query.limit) : 5;
-    const recentAnalyses = db.getRecentSpeechAnalyses(limit);
+    const { patientId } = req.query;
+    const recentAnalyses = db.getRecentSpeechAnalyses(limit, { patientId });
     res.json(recentAnalyses);
   } catch (error) {
     console.error('Error fetching recent speech analyses:', error);
@@ -257,6 +424,16 @@ app.get('/api/speech-analyses/recent', (req, res) => {
   }
 });
 
+// Query, fetch, delete and export stored records. Mounted after the routes
+// above so /recent is not taken for a record id.
+app.use('/api/assessments', createAssessmentsRouter(db));
+app.use('/api/speech-analyses', createSpeechAnalysesRouter(db));
+
+// Unknown API routes answer with the same JSON error body as the rest of the API
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
 // Serve the static files from React app for any other routes
 app.get('*', (req, res) => {
   // Try to serve the React build first, then fall back to public folder
@@ -271,6 +448,19 @@ app.get('*', (req, res) => {
   }
 });
 
+// Malformed or oversized request bodies get the same JSON error body too
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
+
+  console.error('Unhandled error:', error);
+  res.status(error.status || 500).json({ error: 'Request failed' });
+});
+
 // Start the server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on http://0.0.0.0:${PORT}`);
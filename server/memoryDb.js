@@ -1,66 +1,348 @@
 /**
  * Simple in-memory database for the Stroke Detection application
  * Provides basic storage for assessment data
+ *
+ * Other storage backends (see fileDb.js) wrap this one and persist its
+ * snapshot through the onChange hook, so the surface stays identical.
  */
 
-const createMemoryDb = () => {
+const { LATEST_SCHEMA_VERSION } = require('./migrations');
+const { createMemoryImageStore } = require('./imageStore');
+
+// Snapshot images live in `imageStore` (see imageStore.js), not in the records
+const createMemoryDb = ({ initialData, onChange, imageStore = createMemoryImageStore() } = {}) => {
   // Database structure
   const db = {
-    assessments: [],
-    speechAnalyses: [],
-    stats: {
-      totalAssessments: 0,
-      highRiskCount: 0,
-      mediumRiskCount: 0,
-      lowRiskCount: 0,
-      totalSpeechAnalyses: 0
+    assessments: initialData?.assessments ? [...initialData.assessments] : [],
+    speechAnalyses: initialData?.speechAnalyses ? [...initialData.speechAnalyses] : [],
+    patients: initialData?.patients ? [...initialData.patients] : [],
+    sessions: initialData?.sessions ? [...initialData.sessions] : [],
+    passages: initialData?.passages ? [...initialData.passages] : [],
+    taskResults: initialData?.taskResults ? [...initialData.taskResults] : [],
+    snapshots: initialData?.snapshots ? [...initialData.snapshots] : []
+  };
+
+  // Notify the storage backend after every write. Statistics are not kept
+  // here; stats.js computes them from the records when asked.
+  const commit = () => {
+    if (onChange) {
+      onChange();
     }
   };
-  
-  // Helper methods (if needed)
-  const updateStats = () => {
-    db.stats.totalAssessments = db.assessments.length;
-    db.stats.highRiskCount = db.assessments.filter(a => a.riskLevel === 'high').length;
-    db.stats.mediumRiskCount = db.assessments.filter(a => a.riskLevel === 'medium').length;
-    db.stats.lowRiskCount = db.assessments.filter(a => a.riskLevel === 'low').length;
-    db.stats.totalSpeechAnalyses = db.speechAnalyses.length;
+
+  // Sort newest first and take the first `limit` records,
+  // optionally only those belonging to one patient
+  const getRecent = (records, limit, { patientId } = {}) => {
+    return records
+      .filter(record => !patientId || record.patientId === patientId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
   };
-  
+
+  // Records matching every filter given, in storage order. `riskLevels` is
+  // checked against `riskField`; `from` and `to` bound the timestamp (inclusive)
+  const filterRecords = (records, riskField, { patientId, sessionId, riskLevels, from, to } = {}) => {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+
+    return records.filter(record => {
+      const time = Date.parse(record.timestamp);
+      return (!patientId || record.patientId === patientId) &&
+        (!sessionId || record.sessionId === sessionId) &&
+        (!riskLevels || riskLevels.includes(record[riskField])) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime);
+    });
+  };
+
   // Add a method to clear all data (useful for testing)
   const clearAll = () => {
     db.assessments = [];
     db.speechAnalyses = [];
-    updateStats();
+    db.patients = [];
+    db.sessions = [];
+    db.passages = [];
+    db.taskResults = [];
+    db.snapshots.forEach(snapshot => imageStore.remove(snapshot.id));
+    db.snapshots = [];
+    commit();
   };
-  
-  // Add a method to add an assessment and update stats
+
+  // Add a method to add an assessment
   const addAssessment = (assessment) => {
     db.assessments.push(assessment);
-    updateStats();
+    commit();
     return assessment.id;
   };
-  
+
+  // Add a method to get recent assessments
+  const getRecentAssessments = (limit = 10, filters) => {
+    return getRecent(db.assessments, limit, filters);
+  };
+
+  const getAssessment = (id) => {
+    return db.assessments.find(assessment => assessment.id === id) || null;
+  };
+
+  const listAssessments = (filters) => {
+    return filterRecords(db.assessments, 'riskLevel', filters);
+  };
+
+  const deleteAssessment = (id) => {
+    const exists = db.assessments.some(assessment => assessment.id === id);
+    if (!exists) return false;
+
+    db.assessments = db.assessments.filter(assessment => assessment.id !== id);
+    commit();
+    return true;
+  };
+
   // Add a method to add speech analysis
   const addSpeechAnalysis = (analysis) => {
     db.speechAnalyses.push(analysis);
-    updateStats();
+    commit();
     return analysis.id;
   };
-  
+
   // Add a method to get recent speech analyses
-  const getRecentSpeechAnalyses = (limit = 5) => {
-    return [...db.speechAnalyses]
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+  const getRecentSpeechAnalyses = (limit = 5, filters) => {
+    return getRecent(db.speechAnalyses, limit, filters);
+  };
+
+  // Results of the naming, repetition and command speech tasks
+  const addTaskResult = (result) => {
+    db.taskResults.push(result);
+    commit();
+    return result.id;
+  };
+
+  const getRecentTaskResults = (limit = 10, filters) => {
+    return getRecent(db.taskResults, limit, filters);
+  };
+
+  const getSpeechAnalysis = (id) => {
+    return db.speechAnalyses.find(analysis => analysis.id === id) || null;
+  };
+
+  const listSpeechAnalyses = (filters) => {
+    return filterRecords(db.speechAnalyses, 'overallRisk', filters);
+  };
+
+  const deleteSpeechAnalysis = (id) => {
+    const exists = db.speechAnalyses.some(analysis => analysis.id === id);
+    if (!exists) return false;
+
+    db.speechAnalyses = db.speechAnalyses.filter(analysis => analysis.id !== id);
+    commit();
+    return true;
+  };
+
+  const updateSpeechAnalysis = (id, changes) => {
+    const analysis = getSpeechAnalysis(id);
+    if (!analysis) return null;
+
+    Object.assign(analysis, changes);
+    commit();
+    return analysis;
+  };
+
+  // Patient profile methods
+  const addPatient = (patient) => {
+    db.patients.push(patient);
+    commit();
+    return patient.id;
+  };
+
+  const getPatient = (id) => {
+    return db.patients.find(patient => patient.id === id) || null;
+  };
+
+  const listPatients = () => {
+    return [...db.patients].sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const updatePatient = (id, changes) => {
+    const patient = getPatient(id);
+    if (!patient) return null;
+
+    Object.assign(patient, changes);
+    commit();
+    return patient;
+  };
+
+  // Removes the patient, and with `deleteRecords` every record that references them
+  const deletePatient = (id, { deleteRecords = false } = {}) => {
+    const exists = db.patients.some(patient => patient.id === id);
+    if (!exists) return false;
+
+    db.patients = db.patients.filter(patient => patient.id !== id);
+    if (deleteRecords) {
+      db.assessments = db.assessments.filter(a => a.patientId !== id);
+      db.speechAnalyses = db.speechAnalyses.filter(a => a.patientId !== id);
+      db.taskResults = db.taskResults.filter(r => r.patientId !== id);
+      db.snapshots.filter(s => s.patientId === id).forEach(s => imageStore.remove(s.id));
+      db.snapshots = db.snapshots.filter(s => s.patientId !== id);
+      db.sessions = db.sessions.filter(s => s.patientId !== id);
+    }
+    commit();
+    return true;
+  };
+
+  // Number of stored records that reference a patient
+  const countPatientRecords = (id) => {
+    return db.assessments.filter(a => a.patientId === id).length +
+      db.speechAnalyses.filter(a => a.patientId === id).length +
+      db.taskResults.filter(r => r.patientId === id).length +
+      db.snapshots.filter(s => s.patientId === id).length +
+      db.sessions.filter(s => s.patientId === id).length;
+  };
+
+  // Session methods
+  // A session groups the face, arm and speech results from one sitting;
+  // records point at it through their sessionId
+  const addSession = (session) => {
+    db.sessions.push(session);
+    commit();
+    return session.id;
+  };
+
+  const getSession = (id) => {
+    return db.sessions.find(session => session.id === id) || null;
+  };
+
+  const listSessions = ({ patientId } = {}) => {
+    return db.sessions
+      .filter(session => !patientId || session.patientId === patientId)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+  };
+
+  const updateSession = (id, changes) => {
+    const session = getSession(id);
+    if (!session) return null;
+
+    Object.assign(session, changes);
+    commit();
+    return session;
   };
-  
+
+  // Camera snapshots taken during a session. The record holds the metadata
+  // and `image`, the JPEG as a Buffer, goes to the image store.
+  const addSnapshot = (snapshot, image) => {
+    imageStore.save(snapshot.id, image);
+    db.snapshots.push(snapshot);
+    commit();
+    return snapshot.id;
+  };
+
+  const getSnapshot = (id) => {
+    return db.snapshots.find(snapshot => snapshot.id === id) || null;
+  };
+
+  // The JPEG of a snapshot, or null when it is missing
+  const getSnapshotImage = (id) => {
+    return getSnapshot(id) ? imageStore.load(id) : null;
+  };
+
+  // Every assessment, speech analysis, task result and snapshot recorded in a session, oldest first
+  const getSessionRecords = (id) => {
+    const bySessionOldestFirst = (records) => records
+      .filter(record => record.sessionId === id)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return {
+      assessments: bySessionOldestFirst(db.assessments),
+      speechAnalyses: bySessionOldestFirst(db.speechAnalyses),
+      taskResults: bySessionOldestFirst(db.taskResults),
+      snapshots: bySessionOldestFirst(db.snapshots)
+    };
+  };
+
+  // Reading passage methods
+  // Passages are retired with `active: false` rather than removed, because
+  // speech analyses keep pointing at the passage that was read
+  const addPassage = (passage) => {
+    db.passages.push(passage);
+    commit();
+    return passage.id;
+  };
+
+  const getPassage = (id) => {
+    return db.passages.find(passage => passage.id === id) || null;
+  };
+
+  // Passages in library order (the order they were added)
+  const listPassages = ({ language, taskType, difficulty, includeRetired = false } = {}) => {
+    return db.passages.filter(passage =>
+      (!language || passage.language === language) &&
+      (!taskType || passage.taskType === taskType) &&
+      (!difficulty || passage.difficulty === difficulty) &&
+      (includeRetired || passage.active)
+    );
+  };
+
+  const updatePassage = (id, changes) => {
+    const passage = getPassage(id);
+    if (!passage) return null;
+
+    Object.assign(passage, changes);
+    commit();
+    return passage;
+  };
+
+  // Plain serializable copy of the stored data, used by persistent backends
+  const snapshot = () => ({
+    schemaVersion: LATEST_SCHEMA_VERSION,
+    assessments: db.assessments,
+    speechAnalyses: db.speechAnalyses,
+    patients: db.patients,
+    sessions: db.sessions,
+    passages: db.passages,
+    taskResults: db.taskResults,
+    snapshots: db.snapshots
+  });
+
   // Return the database object with any helper methods
   return {
-    ...db,
+    get assessments() { return db.assessments; },
+    get speechAnalyses() { return db.speechAnalyses; },
+    get patients() { return db.patients; },
+    get sessions() { return db.sessions; },
+    get passages() { return db.passages; },
+    get taskResults() { return db.taskResults; },
+    get snapshots() { return db.snapshots; },
     clearAll,
     addAssessment,
+    getRecentAssessments,
+    getAssessment,
+    listAssessments,
+    deleteAssessment,
     addSpeechAnalysis,
-    getRecentSpeechAnalyses
+    getRecentSpeechAnalyses,
+    getSpeechAnalysis,
+    listSpeechAnalyses,
+    deleteSpeechAnalysis,
+    updateSpeechAnalysis,
+    addTaskResult,
+    getRecentTaskResults,
+    addPatient,
+    getPatient,
+    listPatients,
+    updatePatient,
+    deletePatient,
+    countPatientRecords,
+    addSession,
+    getSession,
+    listSessions,
+    updateSession,
+    getSessionRecords,
+    addSnapshot,
+    getSnapshot,
+    getSnapshotImage,
+    addPassage,
+    getPassage,
+    listPassages,
+    updatePassage,
+    snapshot
   };
 };
 
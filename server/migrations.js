@@ -0,0 +1,104 @@
+/**
+ * Schema migrations for persisted database files
+ * Each migration upgrades the stored data by exactly one version.
+ * Append new migrations to the end of the list - never edit old ones.
+ */
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema with assessments and speech analyses',
+    up: (data) => ({
+      ...data,
+      assessments: data.assessments || [],
+      speechAnalyses: data.speechAnalyses || []
+    })
+  },
+  {
+    version: 2,
+    description: 'Add patient profiles',
+    up: (data) => ({
+      ...data,
+      patients: data.patients || []
+    })
+  },
+  {
+    version: 3,
+    description: 'Add FAST sessions grouping face, arm and speech results',
+    up: (data) => ({
+      ...data,
+      sessions: data.sessions || []
+    })
+  },
+  {
+    version: 4,
+    description: 'Record the language of sessions and speech analyses (English before this version)',
+    up: (data) => ({
+      ...data,
+      sessions: (data.sessions || []).map(session => ({ language: 'en', ...session })),
+      speechAnalyses: (data.speechAnalyses || []).map(analysis => ({ language: 'en', ...analysis }))
+    })
+  },
+  {
+    version: 5,
+    description: 'Add the reading passage library; earlier speech analyses have no passage id',
+    up: (data) => ({
+      ...data,
+      passages: data.passages || [],
+      speechAnalyses: (data.speechAnalyses || []).map(analysis => ({ passageId: null, ...analysis }))
+    })
+  },
+  {
+    version: 6,
+    description: 'Add results of the naming, repetition and command speech tasks',
+    up: (data) => ({
+      ...data,
+      taskResults: data.taskResults || []
+    })
+  },
+  {
+    version: 7,
+    description: 'Record the arm that drifted; guided tests kept it in their arms step',
+    up: (data) => ({
+      ...data,
+      assessments: (data.assessments || []).map(assessment => {
+        const armsStep = assessment.guidedTest?.steps?.find(step => step.key === 'arms');
+        return { armDriftSide: armsStep?.armDrift?.weakerSide || null, ...assessment };
+      })
+    })
+  },
+  {
+    version: 8,
+    description: 'Add session snapshots and the time the patient was last known well',
+    up: (data) => ({
+      ...data,
+      sessions: (data.sessions || []).map(session => ({ lastKnownWell: null, ...session })),
+      snapshots: data.snapshots || []
+    })
+  }
+];
+
+const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+// Bring stored data up to the latest schema version
+// Returns the migrated data and the version it started from
+const migrate = (data) => {
+  const fromVersion = data.schemaVersion || 0;
+
+  if (fromVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${fromVersion} is newer than this server supports (${LATEST_SCHEMA_VERSION})`
+    );
+  }
+
+  let migrated = data;
+  migrations
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      migrated = { ...migration.up(migrated), schemaVersion: migration.version };
+    });
+
+  return { data: migrated, fromVersion };
+};
+
+module.exports = { migrate, LATEST_SCHEMA_VERSION };
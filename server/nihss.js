@@ -0,0 +1,25 @@
+/**
+ * Server-side access to the approximate NIHSS scoring
+ * Gathers a session's stored results into the input of shared/nihss.js.
+ */
+
+const { evaluateNihss } = require('../shared/nihss');
+
+// NIHSS items for a session, from its latest assessment and speech analysis
+// and all of its task results
+const evaluateSessionNihss = ({ db, session }) => {
+  const { assessments, speechAnalyses, taskResults } = db.getSessionRecords(session.id);
+  const assessment = assessments[assessments.length - 1];
+  const speechAnalysis = speechAnalyses[speechAnalyses.length - 1];
+
+  return evaluateNihss({
+    face: assessment ? assessment.asymmetryMetrics : null,
+    arm: assessment
+      ? { pronatorDrift: assessment.postureMetrics.pronatorDrift, weakerSide: assessment.armDriftSide || null }
+      : null,
+    speech: speechAnalysis || null,
+    tasks: taskResults
+  });
+};
+
+module.exports = { evaluateSessionNihss };
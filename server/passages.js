@@ -0,0 +1,96 @@
+/**
+ * Reading passage library
+ * Passages are stored with their language, task type, difficulty, length and
+ * the groups of speech sounds they exercise. The default passages in
+ * passages.json are added on startup; they are plain everyday sentences,
+ * since pangrams and tongue-twisters trip up healthy speakers too.
+ *
+ * Besides passages to read aloud the library holds the items of the other
+ * speech tasks: pictures to name (`image`, `acceptedAnswers`), sentences to
+ * repeat, and spoken commands (`action`, see shared/commandTasks.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toWords } = require('./speechScorer');
+
+const DEFAULT_PASSAGES_FILE = path.join(__dirname, 'passages.json');
+
+const TASK_TYPES = ['reading', 'naming', 'repetition', 'command'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Groups of speech sounds that slurred speech affects, approximated from the
+// spelling: the stops of pa-ta-ka (lips, tongue tip, back of the tongue),
+// lip-teeth and hissing sounds, liquids and nasals
+const PHONEME_GROUPS = {
+  bilabial: /[pb]/,
+  alveolar: /[td]/,
+  velar: /[kgqx]|c[aoulr]/,
+  labiodental: /[fv]/,
+  sibilant: /[szßç]|[sc]h/,
+  liquid: /[lr]/,
+  nasal: /[mnñ]/
+};
+
+// The sound groups that appear in a text
+const phonemeCoverage = (text) => {
+  const letters = toWords(text).join(' ');
+  return Object.keys(PHONEME_GROUPS).filter(group => PHONEME_GROUPS[group].test(letters));
+};
+
+// A stored passage with its measured length and sound coverage
+const buildPassage = ({ id, text, language, taskType, difficulty, image, acceptedAnswers, action }) => ({
+  id,
+  text,
+  language,
+  taskType,
+  difficulty,
+  wordCount: toWords(text).length,
+  phonemeCoverage: phonemeCoverage(text),
+  ...(taskType === 'naming' && { image, acceptedAnswers: acceptedAnswers || [text] }),
+  ...(taskType === 'command' && { action }),
+  active: true,
+  createdAt: new Date().toISOString()
+});
+
+// Add the default passages that are not in the library yet. Retired ones stay
+// retired because they are still stored.
+const seedPassages = (db, filePath = DEFAULT_PASSAGES_FILE) => {
+  const defaults = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  defaults
+    .filter(passage => !db.getPassage(passage.id))
+    .forEach(passage => db.addPassage(buildPassage(passage)));
+};
+
+/**
+ * Picks the next passage for a person from `passages` (in library order).
+ * Passages they have never read come first, in library order, so everyone
+ * works through the same sequence; once all have been read the one read
+ * longest ago is repeated. `history` is their speech analyses, newest first.
+ */
+const choosePassage = (passages, history, exclude = []) => {
+  const candidates = passages.filter(passage => !exclude.includes(passage.id));
+  if (candidates.length === 0) return null;
+
+  const lastRead = {};
+  history.forEach(analysis => {
+    if (analysis.passageId && !lastRead[analysis.passageId]) {
+      lastRead[analysis.passageId] = analysis.timestamp;
+    }
+  });
+
+  const unread = candidates.find(passage => !lastRead[passage.id]);
+  if (unread) return unread;
+
+  return [...candidates].sort((a, b) => new Date(lastRead[a.id]) - new Date(lastRead[b.id]))[0];
+};
+
+module.exports = {
+  TASK_TYPES,
+  DIFFICULTIES,
+  PHONEME_GROUPS,
+  phonemeCoverage,
+  buildPassage,
+  seedPassages,
+  choosePassage
+};
@@ -0,0 +1,98 @@
+// Patient Selection
+// The active patient is shared by the detection and speech panels and is
+// remembered between visits. Other scripts read it with getActivePatientId()
+// and listen for the "patientchange" event on document.
+const ACTIVE_PATIENT_KEY = 'activePatientId';
+
+function getActivePatientId() {
+  return localStorage.getItem(ACTIVE_PATIENT_KEY) || null;
+}
+
+function setActivePatientId(patientId) {
+  if (patientId) {
+    localStorage.setItem(ACTIVE_PATIENT_KEY, patientId);
+  } else {
+    localStorage.removeItem(ACTIVE_PATIENT_KEY);
+  }
+  document.dispatchEvent(new CustomEvent('patientchange', { detail: { patientId } }));
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  // DOM elements
+  const patientSelect = document.getElementById('active-patient');
+  const newPatientForm = document.getElementById('new-patient-form');
+  const newPatientName = document.getElementById('new-patient-name');
+  const patientStatus = document.getElementById('patient-status');
+
+  // Function to fill the dropdown, keeping the active patient selected
+  function renderPatients(patients) {
+    const activePatientId = getActivePatientId();
+    patientSelect.innerHTML = '<option value="">Anonymous</option>';
+
+    patients.forEach(patient => {
+      const option = document.createElement('option');
+      option.value = patient.id;
+      option.textContent = patient.name;
+      patientSelect.appendChild(option);
+    });
+
+    // Forget a remembered patient that no longer exists
+    if (activePatientId && !patients.some(patient => patient.id === activePatientId)) {
+      setActivePatientId(null);
+    }
+    patientSelect.value = getActivePatientId() || '';
+  }
+
+  // Function to fetch the patient list
+  async function fetchPatients() {
+    try {
+      const response = await fetch('/api/patients');
+
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      renderPatients(await response.json());
+    } catch (error) {
+      console.error('Error fetching patients:', error);
+      patientStatus.textContent = 'Unable to load patients';
+    }
+  }
+
+  // Function to create a patient and make them active
+  async function addPatient(event) {
+    event.preventDefault();
+    const name = newPatientName.value.trim();
+    if (!name) return;
+
+    try {
+      const response = await fetch('/api/patients', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ name })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      const patient = await response.json();
+      newPatientName.value = '';
+      patientStatus.textContent = '';
+      setActivePatientId(patient.id);
+      fetchPatients();
+    } catch (error) {
+      console.error('Error creating patient:', error);
+      patientStatus.textContent = 'Unable to create patient';
+    }
+  }
+
+  patientSelect.addEventListener('change', function() {
+    setActivePatientId(this.value || null);
+  });
+  newPatientForm.addEventListener('submit', addPatient);
+
+  fetchPatients();
+});
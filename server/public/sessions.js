@@ -0,0 +1,330 @@
+// FAST Session
+// A session groups the face, arm and speech results from one sitting and
+// shows their combined FAST risk. Other scripts attach results with
+// getActiveSessionId() and dispatch "sessionupdate" on document after saving.
+// The session's language is read with getActiveLanguage(); "languagechange"
+// is dispatched on document when it changes, and getLastKnownWell() gives the
+// time entered for a new session. Snapshots of the camera view and
+// the handoff report downloads belong to the session too.
+let activeSession = null;
+
+function getActiveSessionId() {
+  return activeSession && activeSession.status === 'open' ? activeSession.id : null;
+}
+
+// Language of the open session, or the one chosen for the next session
+function getActiveLanguage() {
+  if (getActiveSessionId()) {
+    return activeSession.language || StrokeShield.languages.DEFAULT_LANGUAGE;
+  }
+  const languageSelect = document.getElementById('session-language');
+  return languageSelect && languageSelect.value ? languageSelect.value : StrokeShield.languages.DEFAULT_LANGUAGE;
+}
+
+// Last known well time entered on the page, as an ISO timestamp or null
+function getLastKnownWell() {
+  const lastKnownWellInput = document.getElementById('session-last-known-well');
+  return lastKnownWellInput && lastKnownWellInput.value ? new Date(lastKnownWellInput.value).toISOString() : null;
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  // DOM elements
+  const startSessionBtn = document.getElementById('start-session');
+  const completeSessionBtn = document.getElementById('complete-session');
+  const sessionStatus = document.getElementById('session-status');
+  const sessionRisk = document.getElementById('session-risk');
+  const sessionComponents = document.getElementById('session-components');
+  const sessionFindings = document.getElementById('session-findings');
+  const languageSelect = document.getElementById('session-language');
+  const lastKnownWellInput = document.getElementById('session-last-known-well');
+  const sessionReport = document.getElementById('session-report');
+  const reportHtmlLink = document.getElementById('session-report-html');
+  const reportPdfLink = document.getElementById('session-report-pdf');
+  const takeSnapshotBtn = document.getElementById('take-snapshot');
+  const snapshotLabelInput = document.getElementById('snapshot-label');
+  const snapshotStatus = document.getElementById('snapshot-status');
+  let shownLanguage = null;
+
+  const RISK_COLORS = {
+    high: 'bg-red-500',
+    medium: 'bg-yellow-500',
+    low: 'bg-green-500'
+  };
+
+  const RISK_TEXT = {
+    high: 'High Risk - Call Emergency Services',
+    medium: 'Medium Risk - Seek Medical Advice',
+    low: 'Low Risk - No FAST Signs Detected'
+  };
+
+  const COMPONENT_LABELS = {
+    face: 'Face',
+    arm: 'Arms',
+    speech: 'Speech'
+  };
+
+  // One option per supported language, in the language's own name
+  Object.values(StrokeShield.languages.LANGUAGES).forEach(language => {
+    const option = document.createElement('option');
+    option.value = language.code;
+    option.textContent = language.name;
+    languageSelect.appendChild(option);
+  });
+  languageSelect.value = StrokeShield.languages.DEFAULT_LANGUAGE;
+
+  // datetime-local inputs hold local time without a zone
+  function toLocalInputValue(isoTime) {
+    const date = new Date(isoTime);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  }
+
+  // Report links show times in this browser's time zone
+  function renderReportLinks() {
+    if (!activeSession) {
+      sessionReport.classList.add('hidden');
+      return;
+    }
+
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    const reportUrl = `/api/sessions/${activeSession.id}/report?timeZone=${encodeURIComponent(timeZone)}`;
+    reportHtmlLink.href = `${reportUrl}&format=html`;
+    reportPdfLink.href = `${reportUrl}&format=pdf`;
+
+    // Make the handoff stand out when the session points to a stroke
+    const emphasis = activeSession.fastRisk.riskLevel === 'high' ? 'bg-red-100 text-red-800' : 'bg-gray-200';
+    [reportHtmlLink, reportPdfLink].forEach(link => {
+      link.className = `px-4 py-2 rounded font-bold ${emphasis}`;
+    });
+    sessionReport.classList.remove('hidden');
+  }
+
+  // The language is fixed once a session is open
+  function renderLanguage() {
+    languageSelect.disabled = Boolean(getActiveSessionId());
+    languageSelect.value = getActiveLanguage();
+
+    if (shownLanguage !== getActiveLanguage()) {
+      shownLanguage = getActiveLanguage();
+      document.dispatchEvent(new CustomEvent('languagechange', { detail: { language: shownLanguage } }));
+    }
+  }
+
+  // Function to render the session and its combined FAST result
+  function renderSession() {
+    startSessionBtn.disabled = Boolean(getActiveSessionId());
+    completeSessionBtn.disabled = !getActiveSessionId();
+    takeSnapshotBtn.disabled = !getActiveSessionId();
+    renderLanguage();
+    renderReportLinks();
+
+    if (!activeSession) {
+      sessionStatus.textContent = 'No session in progress. Start one to combine face, arm and speech results.';
+      sessionRisk.className = 'px-4 py-2 rounded text-white font-bold text-center bg-gray-500';
+      sessionRisk.textContent = 'Awaiting Session';
+      sessionComponents.innerHTML = '';
+      sessionFindings.innerHTML = '';
+      return;
+    }
+
+    lastKnownWellInput.value = activeSession.lastKnownWell ? toLocalInputValue(activeSession.lastKnownWell) : '';
+
+    const started = new Date(activeSession.startedAt).toLocaleTimeString();
+    const languageName = StrokeShield.languages.getLanguage(activeSession.language).name;
+    sessionStatus.textContent = activeSession.status === 'open'
+      ? `Session started at ${started} in ${languageName}. Save an assessment and record speech to complete it.`
+      : `Session completed at ${new Date(activeSession.completedAt).toLocaleTimeString()}.`;
+
+    const fastRisk = activeSession.fastRisk;
+    if (fastRisk.riskLevel) {
+      sessionRisk.className = `px-4 py-2 rounded text-white font-bold text-center ${RISK_COLORS[fastRisk.riskLevel]}`;
+      sessionRisk.textContent = `${RISK_TEXT[fastRisk.riskLevel]} (score ${fastRisk.score} / ${fastRisk.maxScore})`;
+    } else {
+      sessionRisk.className = 'px-4 py-2 rounded text-white font-bold text-center bg-gray-500';
+      sessionRisk.textContent = 'Awaiting Results';
+    }
+
+    sessionComponents.innerHTML = '';
+    Object.keys(COMPONENT_LABELS).forEach(key => {
+      const component = fastRisk.components[key];
+      const card = document.createElement('div');
+      card.className = 'metric-card';
+
+      const label = document.createElement('div');
+      label.className = 'metric-label';
+      label.textContent = COMPONENT_LABELS[key];
+
+      const value = document.createElement('div');
+      value.className = 'metric-value';
+      value.textContent = component ? component.riskLevel.toUpperCase() : 'N/A';
+
+      card.appendChild(label);
+      card.appendChild(value);
+      sessionComponents.appendChild(card);
+    });
+
+    sessionFindings.innerHTML = '';
+    fastRisk.findings.forEach(finding => {
+      const li = document.createElement('li');
+      li.textContent = finding;
+      li.className = 'mb-1';
+      sessionFindings.appendChild(li);
+    });
+  }
+
+  // Function to reload the active session from the server
+  async function refreshSession() {
+    if (!activeSession) return;
+
+    try {
+      const response = await fetch(`/api/sessions/${activeSession.id}`);
+
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      activeSession = await response.json();
+      renderSession();
+    } catch (error) {
+      console.error('Error fetching session:', error);
+    }
+  }
+
+  // Function to start a session for the active patient
+  async function startSession() {
+    try {
+      const response = await fetch('/api/sessions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          patientId: getActivePatientId(),
+          language: getActiveLanguage(),
+          lastKnownWell: getLastKnownWell()
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      activeSession = await response.json();
+      renderSession();
+    } catch (error) {
+      console.error('Error starting session:', error);
+      sessionStatus.textContent = 'Failed to start session.';
+    }
+  }
+
+  // Function to complete the active session
+  async function completeSession() {
+    try {
+      const response = await fetch(`/api/sessions/${activeSession.id}/complete`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      activeSession = await response.json();
+      renderSession();
+    } catch (error) {
+      console.error('Error completing session:', error);
+      sessionStatus.textContent = 'Failed to complete session.';
+    }
+  }
+
+  // Function to save a changed last known well time to the session
+  async function updateLastKnownWell() {
+    if (!activeSession) return;
+
+    try {
+      const response = await fetch(`/api/sessions/${activeSession.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ lastKnownWell: getLastKnownWell() })
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.details ? result.details.join(', ') : result.error);
+      }
+
+      activeSession = await response.json();
+      renderSession();
+    } catch (error) {
+      console.error('Error updating last known well:', error);
+      sessionStatus.textContent = `Failed to save last known well time: ${error.message}`;
+    }
+  }
+
+  // Function to save the camera view, with the detection overlay and a
+  // caption, as a JPEG snapshot in the session
+  async function takeSnapshot() {
+    const webcamEl = document.getElementById('webcam');
+    const detectionCanvas = document.getElementById('detection-canvas');
+
+    if (!webcamEl.videoWidth) {
+      snapshotStatus.textContent = 'Start the camera before taking a snapshot.';
+      return;
+    }
+
+    const label = snapshotLabelInput.value.trim() || 'Snapshot';
+    const captionHeight = 28;
+    const canvas = document.createElement('canvas');
+    canvas.width = webcamEl.videoWidth;
+    canvas.height = webcamEl.videoHeight + captionHeight;
+
+    const context = canvas.getContext('2d');
+    context.drawImage(webcamEl, 0, 0, canvas.width, webcamEl.videoHeight);
+    context.drawImage(detectionCanvas, 0, 0, canvas.width, webcamEl.videoHeight);
+    context.fillStyle = '#111827';
+    context.fillRect(0, webcamEl.videoHeight, canvas.width, captionHeight);
+    context.fillStyle = '#ffffff';
+    context.font = '16px sans-serif';
+    context.fillText(`${label} - ${new Date().toLocaleString()}`, 8, webcamEl.videoHeight + 19);
+
+    try {
+      const image = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+      const response = await fetch(
+        `/api/sessions/${activeSession.id}/snapshots?label=${encodeURIComponent(label)}`,
+        { method: 'POST', headers: { 'Content-Type': 'image/jpeg' }, body: image }
+      );
+
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      snapshotStatus.textContent = `Snapshot "${label}" added to the session.`;
+      snapshotLabelInput.value = '';
+      refreshSession();
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+      snapshotStatus.textContent = 'Failed to save snapshot.';
+    }
+  }
+
+  startSessionBtn.addEventListener('click', startSession);
+  lastKnownWellInput.addEventListener('change', updateLastKnownWell);
+  takeSnapshotBtn.addEventListener('click', takeSnapshot);
+  languageSelect.addEventListener('change', renderLanguage);
+  completeSessionBtn.addEventListener('click', completeSession);
+  document.addEventListener('sessionupdate', refreshSession);
+  
+  // Sessions started elsewhere on the page (such as by the guided FAST test)
+  document.addEventListener('sessionstart', function(event) {
+    activeSession = event.detail;
+    renderSession();
+  });
+
+  // A session belongs to one patient, so switching patient ends it here
+  document.addEventListener('patientchange', function() {
+    activeSession = null;
+    renderSession();
+  });
+
+  renderSession();
+});
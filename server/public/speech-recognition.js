@@ -1,33 +1,15 @@
 // Speech Recognition Implementation
 let recognition;
-let mediaRecorder;
+let audioCapture = null;
+let audioWanted = false;
 let audioChunks = [];
 let isRecording = false;
 let transcript = "";
+let useServerTranscription = false;
 let recordingStream = null;
 
-// Sample reading passages for stroke assessment (shorter, max 15 words)
-const readingPassages = [
-  "The quick brown fox jumps over the lazy dog.",
-  
-  "She sells seashells by the seashore.",
-  
-  "The rainbow is a division of white light into many beautiful colors.",
-  
-  "Please fetch my reading glasses from the kitchen table.",
-  
-  "My father enjoys cooking pasta with homemade tomato sauce.",
-  
-  "The sky was clear, and the stars were twinkling brightly.",
-  
-  "Can you please bring six spoons of fresh snow peas?",
-  
-  "How vexingly quick daft zebras jump!",
-  
-  "Pack my box with five dozen liquor jugs.",
-  
-  "Amazingly few discotheques provide jukeboxes."
-];
+// Raw audio is recorded next to recognition and sent at this rate for the acoustic features
+const AUDIO_SAMPLE_RATE = 16000;
 
 document.addEventListener('DOMContentLoaded', function() {
   // DOM elements
@@ -38,8 +20,13 @@ document.addEventListener('DOMContentLoaded', function() {
   const readingPassageEl = document.getElementById('reading-passage');
   const newPassageBtn = document.getElementById('new-passage');
   
+  // Passage shown for reading, from the server's passage library
+  let currentPassageId = null;
+  let skippedPassageIds = [];
+  let passageRequest = 0;
+  
   // Set initial reading passage
-  setRandomPassage();
+  loadNextPassage();
 
   // Check if browser supports speech recognition
   if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
@@ -47,7 +34,7 @@ document.addEventListener('DOMContentLoaded', function() {
     recognition = new SpeechRecognition();
     recognition.continuous = true;
     recognition.interimResults = true;
-    recognition.lang = 'en-US';
+    recognition.lang = StrokeShield.languages.getLanguage(getActiveLanguage()).recognitionLang;
     
     recognition.onstart = function() {
       isRecording = true;
@@ -61,14 +48,16 @@ document.addEventListener('DOMContentLoaded', function() {
       isRecording = false;
       recordingStatus.textContent = "Processing speech...";
       recordingStatus.style.color = "";
+      const audio = stopAudioCapture();
       
       // If we have a transcript, analyze it
       if (transcript.trim().length > 0) {
-        analyzeSpeech(transcript);
+        analyzeSpeech(transcript, audio);
       } else {
         recordingStatus.textContent = "No speech detected. Please try again.";
         startRecordingBtn.disabled = false;
         stopRecordingBtn.disabled = true;
+        notifySpeechAnalysis({ error: "No speech detected" });
       }
     };
     
@@ -90,13 +79,24 @@ document.addEventListener('DOMContentLoaded', function() {
     
     recognition.onerror = function(event) {
       console.error('Speech recognition error', event.error);
+      stopAudioCapture();
       recordingStatus.textContent = "Error: " + event.error;
       recordingStatus.style.color = "red";
       startRecordingBtn.disabled = false;
       stopRecordingBtn.disabled = true;
+      notifySpeechAnalysis({ error: event.error });
     };
     
     // Event listeners for recording buttons
+    if (startRecordingBtn && stopRecordingBtn) {
+      startRecordingBtn.addEventListener('click', startRecording);
+      stopRecordingBtn.addEventListener('click', stopRecording);
+    }
+  } else if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+    // Without the Web Speech API the recording is transcribed on the server
+    useServerTranscription = true;
+    recordingStatus.textContent = "Your speech will be transcribed after you stop recording.";
+    
     if (startRecordingBtn && stopRecordingBtn) {
       startRecordingBtn.addEventListener('click', startRecording);
       stopRecordingBtn.addEventListener('click', stopRecording);
@@ -112,12 +112,135 @@ document.addEventListener('DOMContentLoaded', function() {
     transcript = "";
     transcriptEl.innerHTML = "";
     
+    if (useServerTranscription) {
+      isRecording = true;
+      recordingStatus.textContent = "Recording... Speak now.";
+      recordingStatus.style.color = "red";
+      startRecordingBtn.disabled = true;
+      stopRecordingBtn.disabled = false;
+      startAudioCapture();
+      return;
+    }
+    
     // Start the Web Speech API recognition
     recognition.start();
+    startAudioCapture();
+  }
+  
+  // Record the raw microphone signal as PCM samples. Recognition works
+  // without it, so a refused or missing microphone only loses the acoustic features.
+  async function startAudioCapture() {
+    audioChunks = [];
+    audioWanted = true;
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      
+      // Recording may have ended while the microphone permission was pending
+      if (!audioWanted) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      
+      recordingStream = stream;
+      const context = new AudioContext();
+      const source = context.createMediaStreamSource(recordingStream);
+      const processor = context.createScriptProcessor(4096, 1, 1);
+      processor.onaudioprocess = function(event) {
+        audioChunks.push(new Float32Array(event.inputBuffer.getChannelData(0)));
+      };
+      source.connect(processor);
+      processor.connect(context.destination);
+      audioCapture = { context, source, processor };
+    } catch (error) {
+      console.warn('Raw audio could not be recorded:', error);
+      audioCapture = null;
+    }
+  }
+  
+  // Stop recording and return the audio as a WAV blob, or null if there is none
+  function stopAudioCapture() {
+    audioWanted = false;
+    if (!audioCapture) return null;
+    
+    const { context, source, processor } = audioCapture;
+    audioCapture = null;
+    source.disconnect();
+    processor.disconnect();
+    if (recordingStream) {
+      recordingStream.getTracks().forEach(track => track.stop());
+      recordingStream = null;
+    }
+    context.close();
+    
+    if (audioChunks.length === 0) return null;
+    
+    const length = audioChunks.reduce((total, chunk) => total + chunk.length, 0);
+    const samples = new Float32Array(length);
+    let offset = 0;
+    audioChunks.forEach(chunk => {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    });
+    
+    return encodeWav(downsample(samples, context.sampleRate, AUDIO_SAMPLE_RATE), AUDIO_SAMPLE_RATE);
+  }
+  
+  // Average blocks of samples down to the target rate
+  function downsample(samples, fromRate, toRate) {
+    if (fromRate <= toRate) return samples;
+    
+    const ratio = fromRate / toRate;
+    const result = new Float32Array(Math.floor(samples.length / ratio));
+    for (let i = 0; i < result.length; i++) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += samples[j];
+      result[i] = sum / Math.max(1, end - start);
+    }
+    return result;
+  }
+  
+  // 16-bit mono PCM WAV file
+  function encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeText(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    samples.forEach((sample, i) => {
+      const clamped = Math.max(-1, Math.min(1, sample));
+      view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+    });
+    
+    return new Blob([buffer], { type: 'audio/wav' });
   }
   
   // Function to stop recording
   function stopRecording() {
+    if (useServerTranscription && isRecording) {
+      isRecording = false;
+      stopRecordingBtn.disabled = true;
+      recordingStatus.textContent = "Processing speech...";
+      recordingStatus.style.color = "";
+      processRecording(stopAudioCapture());
+      return;
+    }
+    
     if (recognition && isRecording) {
       // Stop the speech recognition
       recognition.stop();
@@ -127,24 +250,69 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
   
-  // Process the recording - we'll switch back to using Web Speech API
-  // for real-time transcription since it provides better real-time capabilities
-  function processRecording() {
-    if (audioChunks.length > 0) {
-      // If we have audio data but no transcript (Web Speech API failed),
-      // we could process the audio through AssemblyAI here
-      // But for now, we'll just use the transcript we collected in real-time
+  // Upload the raw recording, transcribe it on the server, then analyze the transcript
+  async function processRecording(audio) {
+    if (!audio) {
+      recordingStatus.textContent = "No audio was recorded. Please check your microphone and try again.";
+      startRecordingBtn.disabled = false;
+      notifySpeechAnalysis({ error: "No audio recorded" });
+      return;
+    }
+    
+    recordingStatus.textContent = "Transcribing speech...";
+    
+    try {
+      const uploadResponse = await fetch('/api/upload-audio', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'audio/wav'
+        },
+        body: audio
+      });
+      if (!uploadResponse.ok) {
+        throw new Error(`HTTP error ${uploadResponse.status}`);
+      }
+      const { upload_url: audioUrl } = await uploadResponse.json();
       
-      // Analyze the speech if we have a transcript
-      if (transcript && transcript.trim().length > 0) {
-        analyzeSpeech(transcript);
+      const transcribeResponse = await fetch('/api/transcribe', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          audioUrl,
+          languageCode: StrokeShield.languages.getLanguage(getActiveLanguage()).transcriptionCode
+        })
+      });
+      if (!transcribeResponse.ok) {
+        throw new Error(`HTTP error ${transcribeResponse.status}`);
+      }
+      const result = await transcribeResponse.json();
+      
+      transcript = result.transcript || "";
+      transcriptEl.innerHTML = sanitizeHTML(transcript);
+      
+      if (transcript.trim().length > 0) {
+        analyzeSpeech(transcript, audio, { source: result.source, words: result.words, confidence: result.confidence });
       } else {
         recordingStatus.textContent = "No speech detected. Please try again.";
         startRecordingBtn.disabled = false;
+        notifySpeechAnalysis({ error: "No speech detected" });
       }
+    } catch (error) {
+      console.error('Error transcribing speech:', error);
+      recordingStatus.textContent = "Error transcribing speech. Please try again.";
+      startRecordingBtn.disabled = false;
+      notifySpeechAnalysis({ error: "Error transcribing speech" });
     }
   }
   
+  // Let other scripts (such as the guided FAST test) know how a recording
+  // ended: detail is { analysis } on success or { error } otherwise
+  function notifySpeechAnalysis(detail) {
+    document.dispatchEvent(new CustomEvent('speechanalysis', { detail }));
+  }
+  
   // Function to sanitize HTML to prevent XSS
   function sanitizeHTML(text) {
     const element = document.createElement('div');
@@ -153,11 +321,22 @@ document.addEventListener('DOMContentLoaded', function() {
   }
   
   // Function to analyze speech through the backend API
-  async function analyzeSpeech(transcript) {
+  // `transcription` describes a server transcription (source, word timings);
+  // without it the transcript came from the Web Speech API
+  async function analyzeSpeech(transcript, audio, transcription) {
+    // Answers to the naming and repetition tasks are scored by speech-tasks.js
+    if (getSpeechTaskType() !== 'reading') {
+      recordingStatus.textContent = "Scoring your answer...";
+      await submitSpeechTaskResponse(transcript);
+      recordingStatus.textContent = 'Answer recorded. Click "Start Recording" to answer the next item.';
+      startRecordingBtn.disabled = false;
+      return;
+    }
+    
     recordingStatus.textContent = "Analyzing speech...";
     
-    // Get the current reading passage text
-    const readingPassage = readingPassageEl.textContent.trim();
+    // Get the current reading passage, if one was loaded
+    const readingPassage = currentPassageId ? readingPassageEl.textContent.trim() : undefined;
     
     try {
       const response = await fetch('/api/analyze-speech', {
@@ -167,7 +346,12 @@ document.addEventListener('DOMContentLoaded', function() {
         },
         body: JSON.stringify({ 
           transcript,
-          readingPassage
+          readingPassage,
+          passageId: currentPassageId,
+          patientId: getActivePatientId(),
+          sessionId: getActiveSessionId(),
+          language: getActiveLanguage(),
+          transcription
         })
       });
       
@@ -177,11 +361,48 @@ document.addEventListener('DOMContentLoaded', function() {
       
       const data = await response.json();
       displaySpeechAnalysis(data);
+      if (audio) {
+        sendAcousticFeatures(data.id, audio);
+      }
       fetchRecentSpeechAnalyses();
+      document.dispatchEvent(new CustomEvent('sessionupdate'));
+      notifySpeechAnalysis({ analysis: data });
     } catch (error) {
       console.error('Error analyzing speech:', error);
       recordingStatus.textContent = 
         "Error analyzing speech. Please try again.";
+      notifySpeechAnalysis({ error: "Error analyzing speech" });
+    } finally {
+      startRecordingBtn.disabled = false;
+    }
+  }
+  
+  // Measure the recording on the server and store the features with the analysis
+  async function sendAcousticFeatures(speechAnalysisId, audio) {
+    try {
+      const response = await fetch(`/api/acoustic-features?speechAnalysisId=${encodeURIComponent(speechAnalysisId)}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'audio/wav'
+        },
+        body: audio
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      
+      const features = await response.json();
+      if (features.speechSeconds > 0) {
+        const li = document.createElement('li');
+        li.textContent = `Acoustics: ${features.speakingRate !== null ? `${features.speakingRate} words/min, ` : ''}` +
+          `${features.pauseCount} pause${features.pauseCount === 1 ? '' : 's'}, ` +
+          `pitch range ${features.pitchRangeSemitones !== null ? `${features.pitchRangeSemitones} semitones` : 'N/A'}, ` +
+          `loudness variation ${features.loudnessVariabilityDb} dB`;
+        document.getElementById('speech-observations').appendChild(li);
+      }
+    } catch (error) {
+      console.error('Error computing acoustic features:', error);
     }
   }
   
@@ -225,14 +446,34 @@ document.addEventListener('DOMContentLoaded', function() {
       li.textContent = "No specific observations.";
       observationsList.appendChild(li);
     }
+
+    // Say where the scores came from, and give the local word check next to the AI's
+    const sourceLi = document.createElement('li');
+    const alignment = analysis.localAnalysis && analysis.localAnalysis.alignment;
+    if (analysis.source === 'local') {
+      sourceLi.textContent = "Scored by the local rule-based scorer.";
+    } else if (alignment && alignment.wordErrorRate !== null) {
+      sourceLi.textContent = `Local word check: ${Math.round(alignment.wordErrorRate * 100)}% word error rate, ` +
+        `${alignment.omissions} omitted, ${alignment.substitutions} substituted, ${alignment.repetitions} repeated.`;
+    }
+    if (sourceLi.textContent) {
+      observationsList.appendChild(sourceLi);
+    }
+    if (analysis.localFields && analysis.localFields.length > 0) {
+      const partialLi = document.createElement('li');
+      partialLi.textContent = `The ${analysis.source} analysis was incomplete; ${analysis.localFields.join(', ')} came from the local scorer.`;
+      observationsList.appendChild(partialLi);
+    }
     
     recordingStatus.textContent = "Analysis complete.";
   }
   
-  // Function to fetch recent speech analyses
+  // Function to fetch recent speech analyses for the active patient
   async function fetchRecentSpeechAnalyses() {
     try {
-      const response = await fetch('/api/speech-analyses/recent');
+      const patientId = getActivePatientId();
+      const query = patientId ? `?patientId=${encodeURIComponent(patientId)}` : '';
+      const response = await fetch(`/api/speech-analyses/recent${query}`);
       
       if (!response.ok) {
         throw new Error(`HTTP error ${response.status}`);
@@ -307,15 +548,80 @@ document.addEventListener('DOMContentLoaded', function() {
     });
   }
   
-  // Fetch recent speech analyses on page load
+  // Fetch recent speech analyses on page load and whenever the patient changes
   fetchRecentSpeechAnalyses();
+  document.addEventListener('patientchange', fetchRecentSpeechAnalyses);
   
-  // Function to set a random reading passage
-  function setRandomPassage() {
-    const randomIndex = Math.floor(Math.random() * readingPassages.length);
-    readingPassageEl.textContent = readingPassages[randomIndex];
+  // Load the passage this person should read next; the server skips ones
+  // they have already read and the `exclude` ids (passages skipped here)
+  async function loadNextPassage(exclude = []) {
+    const requested = ++passageRequest;
+    const params = new URLSearchParams({ language: getActiveLanguage() });
+    if (getActiveSessionId()) {
+      params.set('sessionId', getActiveSessionId());
+    } else if (getActivePatientId()) {
+      params.set('patientId', getActivePatientId());
+    }
+    if (exclude.length > 0) {
+      params.set('exclude', exclude.join(','));
+    }
+    
+    try {
+      const response = await fetch(`/api/passages/next?${params}`);
+      
+      // Every passage was skipped, so start over from the current one
+      if (response.status === 404 && exclude.length > 1) {
+        if (requested === passageRequest) {
+          skippedPassageIds = [currentPassageId];
+          loadNextPassage(skippedPassageIds);
+        }
+        return;
+      }
+      if (response.status === 404 && exclude.length > 0) {
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+      
+      const passage = await response.json();
+      if (requested !== passageRequest) return;
+      
+      currentPassageId = passage.id;
+      readingPassageEl.textContent = passage.text;
+    } catch (error) {
+      console.error('Error loading reading passage:', error);
+      if (requested !== passageRequest) return;
+      
+      currentPassageId = null;
+      readingPassageEl.textContent = 'Could not load a reading passage. Your speech will be analyzed as free speech.';
+    }
   }
   
+  // Recognize speech and offer passages in the session's language
+  document.addEventListener('languagechange', function() {
+    if (recognition) {
+      recognition.lang = StrokeShield.languages.getLanguage(getActiveLanguage()).recognitionLang;
+    }
+    if (!isRecording) {
+      skippedPassageIds = [];
+      loadNextPassage();
+    }
+  });
+  
+  // Another patient has read different passages
+  document.addEventListener('patientchange', function() {
+    if (!isRecording) {
+      skippedPassageIds = [];
+      loadNextPassage();
+    }
+  });
+  
   // Event listener for new passage button
-  newPassageBtn.addEventListener('click', setRandomPassage);
+  newPassageBtn.addEventListener('click', function() {
+    if (currentPassageId) {
+      skippedPassageIds.push(currentPassageId);
+    }
+    loadNextPassage(skippedPassageIds);
+  });
 });
\ No newline at end of file
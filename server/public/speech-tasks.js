@@ -0,0 +1,264 @@
+// Naming, repetition and command-following speech tasks
+// The task chosen in the Speech Analysis panel is read with getSpeechTaskType().
+// Naming and repetition answers are recorded with the speech recording
+// buttons, which hand the transcript to submitSpeechTaskResponse() instead of
+// the reading analysis. Command tasks watch the "landmarks" event the
+// detection loop dispatches on document for every face and pose frame.
+let activeTaskItem = null;
+let submitTaskAnswer = null;
+
+function getSpeechTaskType() {
+  const taskTypeSelect = document.getElementById('speech-task-type');
+  return taskTypeSelect ? taskTypeSelect.value : 'reading';
+}
+
+// Scores a recorded answer to the naming or repetition item on screen
+async function submitSpeechTaskResponse(transcript) {
+  if (submitTaskAnswer) {
+    await submitTaskAnswer(transcript);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+  // DOM elements
+  const taskTypeSelect = document.getElementById('speech-task-type');
+  const readingTask = document.getElementById('reading-task');
+  const speechTask = document.getElementById('speech-task');
+  const taskTitle = document.getElementById('speech-task-title');
+  const taskPrompt = document.getElementById('speech-task-prompt');
+  const runTaskBtn = document.getElementById('run-speech-task');
+  const nextTaskBtn = document.getElementById('next-speech-task');
+  const taskResult = document.getElementById('speech-task-result');
+
+  const TASK_TEXT = {
+    naming: {
+      title: 'Name the Picture',
+      instruction: 'Record yourself saying the name of this object.'
+    },
+    repetition: {
+      title: 'Repeat the Sentence',
+      instruction: 'Press "Play Sentence", listen, then record yourself repeating it exactly.',
+      button: 'Play Sentence'
+    },
+    command: {
+      title: 'Follow the Command',
+      instruction: 'Start detection so the camera can see you, then press "Give Command" and do what you hear.',
+      button: 'Give Command'
+    }
+  };
+
+  // Without speech synthesis a sentence to repeat is shown this long instead
+  const SHOW_SENTENCE_MS = 4000;
+
+  // Command check while one is running, otherwise null
+  let commandRun = null;
+  let itemRequest = 0;
+
+  // Say a sentence or command in the session's language.
+  // Returns false when the browser cannot speak.
+  function speak(text) {
+    if (!('speechSynthesis' in window)) return false;
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = StrokeShield.languages.getLanguage(getActiveLanguage()).recognitionLang;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+    return true;
+  }
+
+  function showInstruction(text) {
+    taskPrompt.innerHTML = '';
+    const p = document.createElement('p');
+    p.textContent = text;
+    taskPrompt.appendChild(p);
+  }
+
+  // Show the item: the picture for naming, only the instruction for
+  // repetition (the sentence must be heard, not read) and commands
+  function renderItem() {
+    const text = TASK_TEXT[getSpeechTaskType()];
+    taskTitle.textContent = text.title;
+    runTaskBtn.textContent = text.button || '';
+    runTaskBtn.classList.toggle('hidden', !text.button);
+    runTaskBtn.disabled = !activeTaskItem;
+
+    showInstruction(activeTaskItem ? text.instruction : 'No task item available in this language.');
+    if (activeTaskItem && activeTaskItem.image) {
+      const image = document.createElement('img');
+      image.src = activeTaskItem.image;
+      image.alt = 'Object to name';
+      image.className = 'w-40 h-40 mx-auto mt-2 bg-white rounded';
+      taskPrompt.appendChild(image);
+    }
+  }
+
+  // Load the next item of the chosen task this person has not done yet
+  async function loadNextItem(exclude) {
+    const requested = ++itemRequest;
+    const params = new URLSearchParams({ language: getActiveLanguage(), taskType: getSpeechTaskType() });
+    if (getActiveSessionId()) {
+      params.set('sessionId', getActiveSessionId());
+    } else if (getActivePatientId()) {
+      params.set('patientId', getActivePatientId());
+    }
+    if (exclude) {
+      params.set('exclude', exclude);
+    }
+
+    try {
+      const response = await fetch(`/api/passages/next?${params}`);
+      if (requested !== itemRequest) return;
+
+      // Excluding the only item left keeps the current one
+      if (response.status === 404 && exclude) {
+        return;
+      }
+      if (response.status === 404) {
+        activeTaskItem = null;
+      } else if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      } else {
+        activeTaskItem = await response.json();
+      }
+    } catch (error) {
+      console.error('Error loading speech task item:', error);
+      if (requested !== itemRequest) return;
+      activeTaskItem = null;
+    }
+
+    renderItem();
+  }
+
+  async function saveTaskResult(body) {
+    taskResult.textContent = 'Scoring...';
+    taskResult.className = 'text-sm mt-2';
+
+    try {
+      const response = await fetch('/api/speech-tasks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          passageId: activeTaskItem.id,
+          patientId: getActivePatientId(),
+          sessionId: getActiveSessionId(),
+          ...body
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}`);
+      }
+
+      const result = await response.json();
+      taskResult.textContent = `${result.correct ? 'Correct' : 'Not correct'}: ${result.observations.join('. ')}`;
+      taskResult.className = `text-sm mt-2 font-medium ${result.correct ? 'text-green-600' : 'text-red-600'}`;
+      document.dispatchEvent(new CustomEvent('sessionupdate'));
+
+      // Move on so the same item is not answered twice
+      loadNextItem();
+    } catch (error) {
+      console.error('Error saving speech task result:', error);
+      taskResult.textContent = 'Error saving the task result. Please try again.';
+      taskResult.className = 'text-sm mt-2 text-red-600';
+    }
+  }
+
+  submitTaskAnswer = async function(transcript) {
+    if (!activeTaskItem) return;
+    if (activeTaskItem.taskType === 'command') {
+      taskResult.textContent = 'Command tasks are checked with the camera. Press "Give Command" instead of recording.';
+      taskResult.className = 'text-sm mt-2 text-red-600';
+      return;
+    }
+    await saveTaskResult({ transcript });
+  };
+
+  // Give the command and watch the landmarks until it is carried out or time runs out
+  function runCommand() {
+    const check = StrokeShield.commandTasks.createCommandCheck(activeTaskItem.action);
+    const startedAt = Date.now();
+    commandRun = { check };
+    runTaskBtn.disabled = true;
+    taskResult.textContent = '';
+
+    showInstruction(activeTaskItem.text);
+    speak(activeTaskItem.text);
+
+    const poll = setInterval(function() {
+      if (!commandRun || commandRun.check !== check) {
+        clearInterval(poll);
+        return;
+      }
+      // Frames may never arrive when detection is off, so time out regardless
+      const timedOut = Date.now() - startedAt >= StrokeShield.commandTasks.COMMAND_DURATION_MS;
+      if (!check.isComplete() && !timedOut) return;
+
+      clearInterval(poll);
+      commandRun = null;
+      runTaskBtn.disabled = false;
+
+      const result = check.getResult();
+      if (result.error) {
+        renderItem();
+        taskResult.textContent = result.error;
+        taskResult.className = 'text-sm mt-2 text-red-600';
+        return;
+      }
+      saveTaskResult({ command: result });
+    }, 200);
+  }
+
+  // Play the sentence to repeat, or show it briefly when the browser cannot speak
+  function playSentence() {
+    if (speak(activeTaskItem.text)) return;
+
+    showInstruction(activeTaskItem.text);
+    setTimeout(renderItem, SHOW_SENTENCE_MS);
+  }
+
+  document.addEventListener('landmarks', function(event) {
+    if (!commandRun) return;
+    commandRun.check.addFrame({ [event.detail.source]: event.detail.landmarks }, Date.now());
+  });
+
+  // Show the reading passage or the other task, and load its first item
+  function changeTask() {
+    const isReading = getSpeechTaskType() === 'reading';
+    readingTask.classList.toggle('hidden', !isReading);
+    speechTask.classList.toggle('hidden', isReading);
+    commandRun = null;
+    activeTaskItem = null;
+    itemRequest++;
+    taskResult.textContent = '';
+
+    if (!isReading) {
+      renderItem();
+      loadNextItem();
+    }
+  }
+
+  taskTypeSelect.addEventListener('change', changeTask);
+
+  runTaskBtn.addEventListener('click', function() {
+    if (!activeTaskItem) return;
+    if (activeTaskItem.taskType === 'command') {
+      runCommand();
+    } else {
+      playSentence();
+    }
+  });
+
+  nextTaskBtn.addEventListener('click', function() {
+    if (commandRun) return;
+    taskResult.textContent = '';
+    loadNextItem(activeTaskItem ? activeTaskItem.id : null);
+  });
+
+  // Items are in the session's language and depend on what the person has done
+  document.addEventListener('languagechange', function() {
+    if (getSpeechTaskType() !== 'reading') changeTask();
+  });
+  document.addEventListener('patientchange', function() {
+    if (getSpeechTaskType() !== 'reading') changeTask();
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Listing stored records
+ * Parses the filters, sort and page size of a list request and pages through
+ * the matching records with a cursor. The cursor holds the sort value and id
+ * of the last record returned, so later pages neither skip nor repeat
+ * records when new ones are saved in between.
+ */
+
+const { RISK_LEVELS } = require('./speechAnalysis/analysisSchema');
+
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds the time zone's clock is ahead of UTC at the instant
+const zoneOffset = (time, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(time)).map(({ type, value }) => [type, Number(value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+// The instant a calendar day starts in the time zone. The offset is looked up
+// again at the first guess in case daylight saving time changes that day.
+const startOfDay = (utcMidnight, timeZone) => {
+  const guess = utcMidnight - zoneOffset(utcMidnight, timeZone);
+  return utcMidnight - zoneOffset(guess, timeZone);
+};
+
+/**
+ * The instant a `from` or `to` parameter stands for, or null when it is not
+ * a valid date or timestamp. A date without a time covers the whole day in
+ * `timeZone`: as `from` it means the start of the day and as `to` its last
+ * millisecond, so ?to=2026-10-19 includes records from that day.
+ */
+const resolveBound = (value, bound, timeZone) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  if (!DATE_ONLY.test(value)) return time;
+
+  // Date.parse rolls days like 2026-02-30 over into the next month
+  if (new Date(time).toISOString().slice(0, 10) !== value) return null;
+  return bound === 'from' ? startOfDay(time, timeZone) : startOfDay(time + DAY_MS, timeZone) - 1;
+};
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (text) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+    return cursor && typeof cursor.id === 'string' ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Orders missing values before every other value
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+const compareKeys = (a, b) => compareValues(a.value, b.value) || compareValues(a.id, b.id);
+
+// Problems with query parameters given more than once
+const checkSingleValues = (params) => Object.entries(params)
+  .filter(([, value]) => value !== undefined && typeof value !== 'string')
+  .map(([name]) => `${name} must be given once`);
+
+/**
+ * Reads the record filters from query parameters. Returns the problems found
+ * as `errors` (empty when there are none) and the `filters` for the
+ * database's list methods, which are left out when a parameter was repeated.
+ * Dates given without a time follow the calendar of `timeZone`, a valid IANA
+ * name.
+ */
+const parseRecordFilters = (query, { timeZone = 'UTC' } = {}) => {
+  const { patientId, sessionId, riskLevel, from, to } = query;
+  const errors = checkSingleValues({ patientId, sessionId, riskLevel, from, to });
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // riskLevel may list several levels, comma separated
+  const riskLevels = riskLevel ? riskLevel.split(',') : null;
+  if (riskLevels && riskLevels.some(level => !RISK_LEVELS.includes(level))) {
+    errors.push(`riskLevel must be one or more of: ${RISK_LEVELS.join(', ')}`);
+  }
+  const bounds = {};
+  [['from', from], ['to', to]].forEach(([name, value]) => {
+    if (value === undefined) return;
+    bounds[name] = resolveBound(value, name, timeZone);
+    if (bounds[name] === null) {
+      errors.push(`${name} must be an ISO 8601 date or timestamp`);
+    }
+  });
+  if (typeof bounds.from === 'number' && typeof bounds.to === 'number' && bounds.from > bounds.to) {
+    errors.push('from must not be after to');
+  }
+
+  const toTimestamp = (time) => (typeof time === 'number' ? new Date(time).toISOString() : undefined);
+  return {
+    errors,
+    filters: { patientId, sessionId, riskLevels, from: toTimestamp(bounds.from), to: toTimestamp(bounds.to) }
+  };
+};
+
+/**
+ * Reads the list query parameters. `sortFields` maps each field that can be
+ * sorted on to the function reading its value from a record. Returns
+ * { errors } when a parameter is invalid, otherwise { filters, page }.
+ */
+const parseRecordQuery = (query, { sortFields }) => {
+  const { sort = 'timestamp', order = 'desc', limit, cursor } = query;
+  const { errors, filters } = parseRecordFilters(query);
+  const repeated = checkSingleValues({ sort, order, limit, cursor });
+  if (!filters || repeated.length > 0) {
+    return { errors: [...errors, ...repeated] };
+  }
+
+  if (!sortFields[sort]) {
+    errors.push(`sort must be one of: ${Object.keys(sortFields).join(', ')}`);
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    errors.push(`order must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    errors.push('cursor is not valid');
+  } else if (after && (after.sort !== sort || after.order !== order)) {
+    errors.push('cursor belongs to a different sort or order');
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    filters,
+    page: { sort, order, readValue: sortFields[sort], limit: pageSize, after }
+  };
+};
+
+// Pairs each record with its sort key and sorts them, the id breaking ties
+const sortWithKeys = (records, { order, readValue }) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return records
+    .map(record => ({ record, key: { value: readValue(record), id: record.id } }))
+    .sort((a, b) => direction * compareKeys(a.key, b.key));
+};
+
+// Every record in the page's sort order, for exports
+const sortRecords = (records, page) => sortWithKeys(records, page).map(({ record }) => record);
+
+// One page of the records: { items, nextCursor }, nextCursor being null on the last page
+const paginateRecords = (records, page) => {
+  const direction = page.order === 'asc' ? 1 : -1;
+  const remaining = sortWithKeys(records, page)
+    .filter(({ key }) => !page.after || direction * compareKeys(key, page.after) > 0);
+  const items = remaining.slice(0, page.limit);
+  const last = items[items.length - 1];
+
+  return {
+    items: items.map(({ record }) => record),
+    nextCursor: remaining.length > page.limit
+      ? encodeCursor({ sort: page.sort, order: page.order, value: last.key.value, id: last.key.id })
+      : null
+  };
+};
+
+module.exports = { parseRecordFilters, parseRecordQuery, sortRecords, paginateRecords, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE };
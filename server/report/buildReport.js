@@ -0,0 +1,335 @@
+/**
+ * Clinician handoff report for a session
+ * Collects what paramedics or the emergency department need in one document:
+ * when the patient was last known well and when each result was recorded,
+ * every metric next to the thresholds it is scored against, the findings,
+ * the reading compared word by word with the passage, and the snapshots.
+ *
+ * The report is a plain document model (sections of blocks) so the HTML and
+ * PDF renderers lay out exactly the same content.
+ */
+
+const { applyBaseline } = require('../../shared/riskEngine');
+const { getLanguage } = require('../../shared/languages');
+const { evaluateSessionRisk } = require('../risk');
+const { evaluateSessionNihss } = require('../nihss');
+const { scoreSpeech, RISK_THRESHOLDS } = require('../speechScorer');
+// The metric names and units are the ones used in FHIR exports
+const { ASSESSMENT_METRICS, SPEECH_METRICS } = require('../fhir/codes');
+
+const FACE_METRICS = Object.keys(ASSESSMENT_METRICS).filter(key => !ASSESSMENT_METRICS[key].group);
+const POSTURE_METRICS = Object.keys(ASSESSMENT_METRICS).filter(key => ASSESSMENT_METRICS[key].group === 'postureMetrics');
+const SPEECH_SCORES = Object.keys(SPEECH_METRICS).filter(key => !SPEECH_METRICS[key].group);
+const ACOUSTIC_FEATURES = Object.keys(SPEECH_METRICS).filter(key => SPEECH_METRICS[key].group === 'acousticFeatures' && key !== 'sampleRate');
+
+const RISK_TEXT = {
+  high: 'HIGH RISK - possible stroke signs',
+  medium: 'MEDIUM RISK - a possible stroke sign',
+  low: 'LOW RISK - no FAST signs detected'
+};
+
+const DISCLAIMER = 'Screening results from a camera and microphone, not a diagnosis. ' +
+  'Thresholds and NIHSS scores are approximations for handoff and triage only.';
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Dates in the requested time zone, e.g. "19 Oct 2026, 14:45:56 GMT-4"
+const createTimeFormatter = (timeZone) => {
+  const format = new Intl.DateTimeFormat('en-GB', { timeZone, dateStyle: 'medium', timeStyle: 'long' });
+  return (timestamp) => (timestamp ? format.format(new Date(timestamp)) : 'Not recorded');
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    createTimeFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "2 h 05 min" between two timestamps
+const formatDuration = (from, to) => {
+  const minutes = Math.max(0, Math.round((new Date(to) - new Date(from)) / 60000));
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours} h ${String(minutes % 60).padStart(2, '0')} min` : `${minutes} min`;
+};
+
+// "> 10% (1 pt), > 20% (2 pts), > 30% (3 pts, high risk)"
+const describeLevels = (levels) => [...levels]
+  .sort((a, b) => a.above - b.above)
+  .map(level => `> ${percent(level.above)} (${level.points} pt${level.points === 1 ? '' : 's'}${level.highRisk ? ', high risk' : ''})`)
+  .join(', ');
+
+// One row per metric: the value, the thresholds and the level it reached.
+// With a baseline the thresholds apply to the increase over it.
+const metricRows = (keys, values, rules, baseline) => {
+  const scored = applyBaseline(values, baseline);
+
+  return keys
+    .filter(key => typeof values[key] === 'number')
+    .map(key => {
+      const levels = rules.metrics[key] ? rules.metrics[key].levels : [];
+      const level = levels.find(candidate => scored[key] > candidate.above);
+      const value = scored[key] !== values[key]
+        ? `${percent(values[key])} (+${percent(scored[key])} over baseline)`
+        : percent(values[key]);
+
+      return {
+        cells: [
+          ASSESSMENT_METRICS[key].display,
+          value,
+          levels.length > 0 ? describeLevels(levels) : 'Not scored',
+          level ? level.finding || `${level.points} pts` : 'Below thresholds'
+        ],
+        flagged: Boolean(level)
+      };
+    });
+};
+
+const METRIC_COLUMNS = ['Metric', 'Value', 'Thresholds', 'Result'];
+
+// The reading word by word: what was said against what the passage says
+const comparisonBlock = (analysis) => {
+  if (!analysis.readingPassage) {
+    return [
+      { type: 'paragraph', text: 'No reading passage was used, so the transcript is shown as recorded.', tone: 'muted' },
+      { type: 'quote', text: analysis.transcript }
+    ];
+  }
+
+  const { alignment } = scoreSpeech({
+    transcript: analysis.transcript,
+    readingPassage: analysis.readingPassage,
+    language: analysis.language
+  });
+  if (!alignment) {
+    return [{ type: 'paragraph', text: 'No words were recognized in the transcript.' }];
+  }
+
+  return [
+    { type: 'quote', label: 'Passage', text: analysis.readingPassage },
+    {
+      type: 'comparison',
+      words: alignment.operations.map(({ type, expected, spoken }) => ({ kind: type, expected, spoken }))
+    },
+    {
+      type: 'paragraph',
+      tone: 'muted',
+      text: `${alignment.spokenWords} words read for ${alignment.passageWords} in the passage: ` +
+        `${alignment.substitutions} changed (${alignment.nearMisses} close to the passage word), ` +
+        `${alignment.omissions} left out, ${alignment.insertions} added, ${alignment.repetitions} repeated, ` +
+        `${alignment.fillers} hesitation sounds. Word error rate ${percent(alignment.wordErrorRate)}.`
+    }
+  ];
+};
+
+/**
+ * Builds the report model for a session. `timeZone` is the IANA zone the
+ * times are written in. Returns { title, subtitle, riskLevel, sections, disclaimer }.
+ */
+const buildSessionReport = ({ db, rules, session, timeZone = 'UTC', now = new Date().toISOString() }) => {
+  const formatTime = createTimeFormatter(timeZone);
+  const patient = session.patientId ? db.getPatient(session.patientId) : null;
+  const baseline = patient ? patient.baseline : null;
+  const { assessments, speechAnalyses, taskResults, snapshots } = db.getSessionRecords(session.id);
+  const assessment = assessments[assessments.length - 1];
+  const fastRisk = evaluateSessionRisk({ db, rules, session });
+  const nihss = evaluateSessionNihss({ db, session });
+  const sections = [];
+
+  // Risk and the times that decide treatment
+  const timing = [
+    ['Last known well', formatTime(session.lastKnownWell)],
+    ...(session.lastKnownWell
+      ? [['Time since last known well', `${formatDuration(session.lastKnownWell, now)} at the time of this report`]]
+      : []),
+    ['Session started', formatTime(session.startedAt)],
+    ['Session completed', session.completedAt ? formatTime(session.completedAt) : 'Still in progress'],
+    ['Report generated', formatTime(now)]
+  ];
+  sections.push({
+    heading: 'Summary',
+    blocks: [
+      {
+        type: 'banner',
+        level: fastRisk.riskLevel,
+        text: fastRisk.riskLevel
+          ? `${RISK_TEXT[fastRisk.riskLevel]} (FAST score ${fastRisk.score} / ${fastRisk.maxScore})`
+          : 'No results recorded in this session'
+      },
+      {
+        type: 'fields',
+        rows: [
+          ['Patient', patient ? patient.name : 'Not recorded'],
+          ...(patient && patient.dateOfBirth ? [['Date of birth', patient.dateOfBirth]] : []),
+          ...(patient && patient.sex ? [['Sex', patient.sex]] : []),
+          ['Language', getLanguage(session.language).name],
+          ...timing,
+          ['NIHSS (approximate)', `${nihss.total} over the ${nihss.items.length - nihss.notAssessed.length} items that could be scored`]
+        ]
+      }
+    ]
+  });
+
+  sections.push({ heading: 'Findings', blocks: [{ type: 'list', items: fastRisk.findings }] });
+
+  // Everything with a time, in order
+  const events = [
+    ...(session.lastKnownWell ? [{ time: session.lastKnownWell, text: 'Last known well' }] : []),
+    { time: session.startedAt, text: 'Session started' },
+    ...assessments.map(record => ({ time: record.timestamp, text: `Face and arm assessment saved - ${record.riskLevel} risk` })),
+    ...speechAnalyses.map(record => ({ time: record.timestamp, text: `Speech recorded - ${record.overallRisk || 'unscored'} risk` })),
+    ...taskResults.map(record => ({ time: record.timestamp, text: `${capitalize(record.taskType)} task - ${record.correct ? 'correct' : 'not correct'}` })),
+    ...snapshots.map(record => ({ time: record.timestamp, text: `Snapshot: ${record.label}` })),
+    ...(session.completedAt ? [{ time: session.completedAt, text: 'Session completed' }] : [])
+  ].sort((a, b) => new Date(a.time) - new Date(b.time));
+  sections.push({
+    heading: 'Timeline',
+    blocks: [{ type: 'table', columns: ['Time', 'Event'], rows: events.map(event => ({ cells: [formatTime(event.time), event.text] })) }]
+  });
+
+  // Face and arms, from the latest assessment as the FAST risk uses
+  if (assessment) {
+    const blocks = [];
+    if (assessments.length > 1) {
+      blocks.push({
+        type: 'paragraph',
+        tone: 'muted',
+        text: `Latest of ${assessments.length} assessments, recorded ${formatTime(assessment.timestamp)}. Earlier ones are in the timeline.`
+      });
+    }
+    if (baseline) {
+      blocks.push({ type: 'paragraph', tone: 'muted', text: 'Thresholds apply to the increase over this patient\'s personal baseline.' });
+    }
+    blocks.push(
+      { type: 'subheading', text: 'Face' },
+      { type: 'table', columns: METRIC_COLUMNS, rows: metricRows(FACE_METRICS, assessment.asymmetryMetrics || {}, rules, baseline) },
+      { type: 'subheading', text: 'Arms and posture' },
+      { type: 'table', columns: METRIC_COLUMNS, rows: metricRows(POSTURE_METRICS, assessment.postureMetrics || {}, rules, baseline) }
+    );
+    if (assessment.armDriftSide) {
+      blocks.push({ type: 'paragraph', text: `The ${assessment.armDriftSide} arm drifted more.` });
+    }
+    sections.push({ heading: 'Face and arm metrics', blocks });
+  } else {
+    sections.push({ heading: 'Face and arm metrics', blocks: [{ type: 'paragraph', text: 'No face and arm assessment in this session.' }] });
+  }
+
+  // Each reading, scored and compared with its passage
+  if (speechAnalyses.length === 0) {
+    sections.push({ heading: 'Speech', blocks: [{ type: 'paragraph', text: 'No speech was recorded in this session.' }] });
+  }
+  speechAnalyses.forEach((analysis, index) => {
+    const points = rules.fast.components.speech.points;
+    const rows = SPEECH_SCORES
+      .filter(key => typeof analysis[key] === 'number')
+      .map(key => ({ cells: [SPEECH_METRICS[key].display, `${analysis[key]}%`, 'Combined into the overall risk', ''] }));
+    rows.push({
+      cells: [
+        'Overall speech risk',
+        analysis.overallRisk || 'Not scored',
+        `Word error rate >= ${percent(RISK_THRESHOLDS.medium)} medium, >= ${percent(RISK_THRESHOLDS.high)} high; ` +
+          `FAST points: ${Object.keys(points).map(level => `${level} ${points[level]}`).join(', ')}`,
+        analysis.overallRisk ? `${points[analysis.overallRisk]} pts` : ''
+      ],
+      flagged: analysis.overallRisk === 'medium' || analysis.overallRisk === 'high'
+    });
+
+    const blocks = [
+      {
+        type: 'paragraph',
+        tone: 'muted',
+        text: `Recorded ${formatTime(analysis.timestamp)} in ${getLanguage(analysis.language).name}, scored by ${analysis.source || 'the local scorer'}.`
+      },
+      { type: 'table', columns: METRIC_COLUMNS, rows },
+      { type: 'subheading', text: 'Transcript compared with the passage' },
+      ...comparisonBlock(analysis)
+    ];
+
+    if (analysis.acousticFeatures) {
+      blocks.push(
+        { type: 'subheading', text: 'Voice measurements' },
+        {
+          type: 'table',
+          columns: ['Measurement', 'Value'],
+          rows: ACOUSTIC_FEATURES
+            .filter(key => typeof analysis.acousticFeatures[key] === 'number')
+            .map(key => ({ cells: [SPEECH_METRICS[key].display, `${analysis.acousticFeatures[key]} ${SPEECH_METRICS[key].unit}`] }))
+        }
+      );
+    }
+    if (analysis.observations && analysis.observations.length > 0) {
+      blocks.push({ type: 'subheading', text: 'Observations' }, { type: 'list', items: analysis.observations });
+    }
+
+    sections.push({
+      heading: speechAnalyses.length > 1 ? `Speech (${index + 1} of ${speechAnalyses.length})` : 'Speech',
+      blocks
+    });
+  });
+
+  if (taskResults.length > 0) {
+    sections.push({
+      heading: 'Naming, repetition and commands',
+      blocks: [{
+        type: 'table',
+        columns: ['Task', 'Item', 'Response', 'Score'],
+        rows: taskResults.map(result => ({
+          cells: [
+            capitalize(result.taskType),
+            result.expected,
+            result.taskType === 'command' ? result.observations.join('. ') : (result.transcript || '(nothing said)'),
+            `${Math.round(result.score * 100)}%`
+          ],
+          flagged: !result.correct
+        }))
+      }]
+    });
+  }
+
+  sections.push({
+    heading: 'Approximate NIHSS',
+    blocks: [{
+      type: 'table',
+      columns: ['Item', 'Score', 'Based on'],
+      rows: nihss.items.map(item => ({
+        cells: [
+          `${item.item}. ${item.label}`,
+          item.status === 'scored' ? `${item.score} / ${item.maxScore}` : 'Not assessed',
+          item.basis
+        ],
+        flagged: item.status === 'scored' && item.score > 0
+      }))
+    }]
+  });
+
+  // Snapshots whose image file has gone missing are left out
+  const images = snapshots
+    .map(snapshot => ({
+      data: db.getSnapshotImage(snapshot.id),
+      mimeType: snapshot.mimeType,
+      width: snapshot.width,
+      height: snapshot.height,
+      caption: `${snapshot.label} - ${formatTime(snapshot.timestamp)}`
+    }))
+    .filter(image => image.data);
+  sections.push({
+    heading: 'Snapshots',
+    blocks: images.length > 0
+      ? [{ type: 'images', images }]
+      : [{ type: 'paragraph', text: 'No snapshots were taken in this session.' }]
+  });
+
+  return {
+    title: 'Stroke screening handoff report',
+    subtitle: `Session ${session.id}`,
+    riskLevel: fastRisk.riskLevel,
+    sections,
+    disclaimer: DISCLAIMER
+  };
+};
+
+module.exports = { buildSessionReport, isValidTimeZone };
@@ -0,0 +1,10 @@
+/**
+ * Clinician handoff reports
+ * Builds a session report once and renders it as HTML or PDF.
+ */
+
+const { buildSessionReport, isValidTimeZone } = require('./buildReport');
+const { renderReportHtml } = require('./renderHtml');
+const { renderReportPdf } = require('./renderPdf');
+
+module.exports = { buildSessionReport, isValidTimeZone, renderReportHtml, renderReportPdf };
@@ -0,0 +1,36 @@
+/**
+ * JPEG header reading
+ * Snapshots are stored and embedded in PDFs as the JPEG the browser sent, so
+ * only the size and colour components need reading from its frame header.
+ */
+
+// Start-of-frame markers of baseline, extended and progressive JPEGs
+const FRAME_MARKERS = [0xc0, 0xc1, 0xc2];
+
+// Returns { width, height, components } of a JPEG, or null when the data is not one
+const readJpegInfo = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    if (FRAME_MARKERS.includes(marker)) {
+      if (offset + 10 > buffer.length) return null;
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+        components: buffer[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+
+  return null;
+};
+
+module.exports = { readJpegInfo };
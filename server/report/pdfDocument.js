@@ -0,0 +1,189 @@
+/**
+ * Minimal PDF writer
+ * Just enough of PDF 1.4 for the report: pages of text in the standard
+ * Helvetica fonts, filled rectangles, lines and JPEG images. Coordinates are
+ * in points from the top left of the page; text is placed by its baseline.
+ *
+ * Text is written in WinAnsi encoding, which covers the accented letters of
+ * the supported languages; other characters are replaced.
+ */
+
+const zlib = require('zlib');
+
+const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+  italic: { name: 'F3', baseFont: 'Helvetica-Oblique' }
+};
+
+// Advance widths (1/1000 em) of the printable ASCII characters, from the
+// Adobe font metrics. The oblique font has the regular widths.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// Accented letters and other characters outside ASCII
+const DEFAULT_WIDTH = 556;
+
+// Characters WinAnsi places in 0x80-0x9F, and replacements for a few it lacks
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+const REPLACEMENTS = { '≥': '>=', '≤': '<=', ' ': ' ' };
+
+const toWinAnsiBytes = (text) => {
+  const normalized = String(text).normalize('NFC').replace(/[≥≤ ]/g, char => REPLACEMENTS[char]);
+  return Array.from(normalized, char => {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char] !== undefined) return WIN_ANSI_EXTRAS[char];
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) return code;
+    return 0x3f; // "?"
+  });
+};
+
+// A PDF literal string, with anything outside printable ASCII escaped
+const pdfString = (text) => `(${toWinAnsiBytes(text).map(byte => {
+  if (byte === 0x28 || byte === 0x29 || byte === 0x5c) return `\\${String.fromCharCode(byte)}`;
+  if (byte < 0x20 || byte > 0x7e) return `\\${byte.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(byte);
+}).join('')})`;
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+// "#rrggbb" as PDF colour components
+const rgb = (hex) => [1, 3, 5].map(index => number(parseInt(hex.slice(index, index + 2), 16) / 255)).join(' ');
+
+const createPdfDocument = ({ width = A4.width, height = A4.height } = {}) => {
+  const pages = [];
+  const images = [];
+
+  const textWidth = (text, { font = 'regular', size }) => {
+    const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = Array.from(String(text)).reduce((total, char) => {
+      const code = char.codePointAt(0);
+      return total + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH);
+    }, 0);
+    return units * size / 1000;
+  };
+
+  // `info` is { width, height, components } from readJpegInfo
+  const addImage = (data, info) => {
+    const image = { name: `Im${images.length + 1}`, data, ...info };
+    images.push(image);
+    return image;
+  };
+
+  const addPage = () => {
+    const operations = [];
+    const y = (top) => number(height - top);
+
+    const page = {
+      operations,
+      text: (x, top, text, { font = 'regular', size = 10, color = '#000000' } = {}) => {
+        operations.push(`BT /${FONTS[font].name} ${number(size)} Tf ${rgb(color)} rg ${number(x)} ${y(top)} Td ${pdfString(text)} Tj ET`);
+      },
+      rect: (x, top, rectWidth, rectHeight, { fill, stroke, lineWidth = 0.5 } = {}) => {
+        const path = `${number(x)} ${y(top + rectHeight)} ${number(rectWidth)} ${number(rectHeight)} re`;
+        if (fill) operations.push(`${rgb(fill)} rg ${path} f`);
+        if (stroke) operations.push(`${number(lineWidth)} w ${rgb(stroke)} RG ${path} S`);
+      },
+      line: (x1, top1, x2, top2, { color = '#000000', lineWidth = 0.5 } = {}) => {
+        operations.push(`${number(lineWidth)} w ${rgb(color)} RG ${number(x1)} ${y(top1)} m ${number(x2)} ${y(top2)} l S`);
+      },
+      image: (image, x, top, imageWidth, imageHeight) => {
+        operations.push(`q ${number(imageWidth)} 0 0 ${number(imageHeight)} ${number(x)} ${y(top + imageHeight)} cm /${image.name} Do Q`);
+      }
+    };
+    pages.push(page);
+    return page;
+  };
+
+  // Serialize every object and the cross-reference table
+  const toBuffer = () => {
+    const objects = [];
+    const reserve = () => objects.push(null);
+    const set = (id, body) => { objects[id - 1] = body; };
+
+    reserve(); // 1: catalog
+    reserve(); // 2: page tree
+    const fontIds = {};
+    Object.values(FONTS).forEach(font => {
+      fontIds[font.name] = objects.push(
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+      );
+    });
+    const imageIds = {};
+    images.forEach(image => {
+      const colorSpace = image.components === 1 ? '/DeviceGray' : (image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB');
+      imageIds[image.name] = objects.push({
+        dictionary: `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+        stream: image.data
+      });
+    });
+
+    const resources = `<< /Font << ${Object.keys(fontIds).map(name => `/${name} ${fontIds[name]} 0 R`).join(' ')} >>` +
+      (images.length > 0 ? ` /XObject << ${images.map(image => `/${image.name} ${imageIds[image.name]} 0 R`).join(' ')} >>` : '') +
+      ' >>';
+
+    const pageIds = pages.map(page => {
+      const contentId = objects.push({
+        dictionary: '/Filter /FlateDecode',
+        stream: zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'))
+      });
+      return objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] ` +
+        `/Resources ${resources} /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    set(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    set(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+    const write = (chunk) => {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+      chunks.push(buffer);
+      length += buffer.length;
+    };
+
+    objects.forEach((object, index) => {
+      offsets.push(length);
+      if (typeof object === 'string') {
+        write(`${index + 1} 0 obj\n${object}\nendobj\n`);
+      } else {
+        write(`${index + 1} 0 obj\n<< ${object.dictionary} /Length ${object.stream.length} >>\nstream\n`);
+        write(object.stream);
+        write('\nendstream\nendobj\n');
+      }
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    return Buffer.concat(chunks);
+  };
+
+  return { width, height, addPage, addImage, textWidth, toBuffer, get pages() { return pages.slice(); } };
+};
+
+module.exports = { createPdfDocument };
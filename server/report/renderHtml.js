@@ -0,0 +1,107 @@
+/**
+ * Report as a self-contained HTML page
+ * Styles are inline and snapshots are embedded as data URLs, so the file can
+ * be saved, mailed or printed without the server.
+ */
+
+const RISK_COLORS = { high: '#dc2626', medium: '#ca8a04', low: '#16a34a' };
+
+const STYLE = `
+  body { font-family: Helvetica, Arial, sans-serif; color: #111827; margin: 24px auto; max-width: 800px; line-height: 1.4; }
+  h1 { font-size: 22px; margin: 0; }
+  h2 { font-size: 17px; border-bottom: 2px solid #1d4ed8; padding-bottom: 2px; margin: 24px 0 8px; }
+  h3 { font-size: 14px; margin: 12px 0 4px; }
+  p, li { font-size: 13px; }
+  .muted { color: #6b7280; }
+  .banner { color: #fff; font-weight: bold; padding: 10px; border-radius: 4px; text-align: center; font-size: 16px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; margin-bottom: 8px; }
+  th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  tr.flagged td { background: #fef2f2; }
+  table.fields th { width: 35%; }
+  blockquote { margin: 4px 0 8px; padding: 6px 10px; background: #f9fafb; border-left: 3px solid #9ca3af; font-size: 13px; }
+  .comparison { font-size: 14px; line-height: 1.8; }
+  .substitution { color: #dc2626; font-weight: bold; }
+  .expected { color: #6b7280; text-decoration: line-through; }
+  .omission { color: #6b7280; text-decoration: line-through; }
+  .insertion, .repetition { color: #c2410c; text-decoration: underline; }
+  .filler { color: #6b7280; font-style: italic; }
+  figure { display: inline-block; margin: 0 8px 8px 0; width: 48%; page-break-inside: avoid; }
+  figure img { width: 100%; border: 1px solid #d1d5db; }
+  figcaption { font-size: 12px; }
+  .disclaimer { margin-top: 24px; font-size: 12px; color: #6b7280; border-top: 1px solid #d1d5db; padding-top: 8px; }
+  @media print { body { margin: 0; } h2 { page-break-after: avoid; } table, blockquote { page-break-inside: avoid; } }
+`;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderWord = ({ kind, expected, spoken }) => {
+  switch (kind) {
+    case 'match':
+      return escapeHtml(spoken);
+    case 'substitution':
+      return `<span class="substitution">${escapeHtml(spoken)}</span> <span class="expected">${escapeHtml(expected)}</span>`;
+    case 'omission':
+      return `<span class="omission">${escapeHtml(expected)}</span>`;
+    default:
+      return `<span class="${kind}">${escapeHtml(spoken)}</span>`;
+  }
+};
+
+const renderBlock = (block) => {
+  switch (block.type) {
+    case 'banner':
+      return `<div class="banner" style="background: ${RISK_COLORS[block.level] || '#6b7280'}">${escapeHtml(block.text)}</div>`;
+    case 'subheading':
+      return `<h3>${escapeHtml(block.text)}</h3>`;
+    case 'paragraph':
+      return `<p${block.tone === 'muted' ? ' class="muted"' : ''}>${escapeHtml(block.text)}</p>`;
+    case 'quote':
+      return `<blockquote>${block.label ? `<strong>${escapeHtml(block.label)}:</strong> ` : ''}${escapeHtml(block.text)}</blockquote>`;
+    case 'fields':
+      return `<table class="fields">${block.rows
+        .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('')}</table>`;
+    case 'list':
+      return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    case 'table':
+      return `<table><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>${block.rows
+        .map(row => `<tr${row.flagged ? ' class="flagged"' : ''}>${row.cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+        .join('')}</table>`;
+    case 'comparison':
+      return `<p class="comparison"><strong>Read:</strong> ${block.words.map(renderWord).join(' ')}</p>` +
+        '<p class="muted"><span class="substitution">changed</span> <span class="expected">passage word</span> &middot; ' +
+        '<span class="omission">left out</span> &middot; <span class="insertion">added or repeated</span> &middot; ' +
+        '<span class="filler">hesitation</span></p>';
+    case 'images':
+      return block.images.map(image =>
+        `<figure><img src="data:${image.mimeType};base64,${image.data.toString('base64')}" alt="${escapeHtml(image.caption)}">` +
+        `<figcaption>${escapeHtml(image.caption)}</figcaption></figure>`
+      ).join('');
+    default:
+      throw new Error(`Unknown report block "${block.type}"`);
+  }
+};
+
+// Renders the report model from buildReport.js as a complete HTML document
+const renderReportHtml = (report) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="muted">${escapeHtml(report.subtitle)}</p>
+${report.sections.map(section => `<h2>${escapeHtml(section.heading)}</h2>\n${section.blocks.map(renderBlock).join('\n')}`).join('\n')}
+<p class="disclaimer">${escapeHtml(report.disclaimer)}</p>
+</body>
+</html>
+`;
+
+module.exports = { renderReportHtml };
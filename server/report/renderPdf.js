@@ -0,0 +1,292 @@
+/**
+ * Report as a PDF
+ * Lays out the same report model as the HTML page on A4 pages, breaking
+ * pages between lines, table rows and snapshot rows.
+ */
+
+const { createPdfDocument } = require('./pdfDocument');
+const { readJpegInfo } = require('./jpeg');
+
+const RISK_COLORS = { high: '#dc2626', medium: '#ca8a04', low: '#16a34a' };
+const TEXT = '#111827';
+const MUTED = '#6b7280';
+const BORDER = '#d1d5db';
+const ACCENT = '#1d4ed8';
+
+const MARGIN = 48;
+const FOOTER_HEIGHT = 24;
+const BODY_SIZE = 10;
+const TABLE_SIZE = 9;
+const LINE_GAP = 1.35;
+const CELL_PADDING = 4;
+
+// Wraps text into lines no wider than maxWidth, splitting words that do not fit
+const wrapText = (pdf, text, maxWidth, style) => {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (pdf.textWidth(candidate, style) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (pdf.textWidth(line, style) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && pdf.textWidth(line.slice(0, cut), style) > maxWidth) cut -= 1;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Splits the content width between table columns by how much text each holds
+const columnWidths = (pdf, columns, rows, totalWidth) => {
+  const natural = columns.map((column, index) => Math.max(
+    pdf.textWidth(column, { font: 'bold', size: TABLE_SIZE }),
+    ...rows.map(row => pdf.textWidth(row.cells[index] ?? '', { size: TABLE_SIZE }))
+  ) + CELL_PADDING * 2);
+  const naturalTotal = natural.reduce((sum, width) => sum + width, 0);
+  if (naturalTotal <= totalWidth) {
+    return natural.map(width => width + (totalWidth - naturalTotal) / natural.length);
+  }
+
+  // Keep short columns whole and share what is left among the long ones
+  const share = totalWidth / columns.length;
+  const short = natural.filter(width => width <= share);
+  const shortTotal = short.reduce((sum, width) => sum + width, 0);
+  const longTotal = naturalTotal - shortTotal;
+  return natural.map(width => (width <= share ? width : (width / longTotal) * (totalWidth - shortTotal)));
+};
+
+// Renders the report model from buildReport.js as a PDF document buffer
+const renderReportPdf = (report) => {
+  const pdf = createPdfDocument();
+  const contentWidth = pdf.width - MARGIN * 2;
+  const bottom = pdf.height - MARGIN - FOOTER_HEIGHT;
+  let page = pdf.addPage();
+  let y = MARGIN;
+
+  const newPage = () => {
+    page = pdf.addPage();
+    y = MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y + height > bottom && y > MARGIN) newPage();
+  };
+
+  const writeLines = (lines, { x = MARGIN, size = BODY_SIZE, font = 'regular', color = TEXT } = {}) => {
+    const lineHeight = size * LINE_GAP;
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      y += lineHeight;
+      page.text(x, y - lineHeight * 0.25, line, { font, size, color });
+    });
+  };
+
+  const writeParagraph = (text, style = {}) => {
+    const x = style.x ?? MARGIN;
+    writeLines(wrapText(pdf, text, MARGIN + contentWidth - x, { font: style.font, size: style.size ?? BODY_SIZE }), style);
+    y += 4;
+  };
+
+  const drawTable = (columns, rows, { header = true, firstColumnBold = false } = {}) => {
+    const widths = columnWidths(pdf, columns, rows, contentWidth);
+    const lineHeight = TABLE_SIZE * LINE_GAP;
+
+    const cellFont = (index, font) => (font === 'bold' || (firstColumnBold && index === 0) ? 'bold' : 'regular');
+
+    const drawRow = (cells, { font, fill, onNewPage } = {}) => {
+      const wrapped = cells.map((cell, index) => wrapText(pdf, cell ?? '', widths[index] - CELL_PADDING * 2, {
+        font: cellFont(index, font),
+        size: TABLE_SIZE
+      }));
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + CELL_PADDING * 2;
+      if (y + height > bottom && y > MARGIN) {
+        newPage();
+        if (onNewPage) onNewPage();
+      }
+
+      let x = MARGIN;
+      wrapped.forEach((lines, index) => {
+        page.rect(x, y, widths[index], height, { fill, stroke: BORDER });
+        lines.forEach((line, lineIndex) => {
+          page.text(x + CELL_PADDING, y + CELL_PADDING + (lineIndex + 0.75) * lineHeight, line, {
+            font: cellFont(index, font),
+            size: TABLE_SIZE,
+            color: TEXT
+          });
+        });
+        x += widths[index];
+      });
+      y += height;
+    };
+
+    const drawHeader = () => drawRow(columns, { font: 'bold', fill: '#f3f4f6' });
+    if (header) {
+      ensureSpace(lineHeight * 2 + CELL_PADDING * 4);
+      drawHeader();
+    }
+    // Repeat the header when a row moves to a new page
+    rows.forEach(row => drawRow(row.cells, {
+      fill: row.flagged ? '#fef2f2' : undefined,
+      onNewPage: header ? drawHeader : undefined
+    }));
+    y += 8;
+  };
+
+  const drawComparison = (words) => {
+    const size = 11;
+    const lineHeight = size * 1.8;
+    const space = pdf.textWidth(' ', { size });
+    const runs = [{ text: 'Read:', font: 'bold', color: TEXT }];
+    words.forEach(({ kind, expected, spoken }) => {
+      if (kind === 'match') runs.push({ text: spoken, color: TEXT });
+      else if (kind === 'substitution') {
+        runs.push({ text: spoken, font: 'bold', color: '#dc2626' });
+        runs.push({ text: expected, color: MUTED, strike: true });
+      } else if (kind === 'omission') runs.push({ text: expected, color: MUTED, strike: true });
+      else if (kind === 'filler') runs.push({ text: spoken, font: 'italic', color: MUTED });
+      else runs.push({ text: spoken, color: '#c2410c', underline: true });
+    });
+
+    let x = MARGIN;
+    ensureSpace(lineHeight);
+    y += lineHeight;
+    runs.forEach(run => {
+      const width = pdf.textWidth(run.text, { font: run.font, size });
+      if (x > MARGIN && x + width > MARGIN + contentWidth) {
+        x = MARGIN;
+        ensureSpace(lineHeight);
+        y += lineHeight;
+      }
+      const baseline = y - lineHeight * 0.3;
+      page.text(x, baseline, run.text, { font: run.font || 'regular', size, color: run.color });
+      if (run.strike) page.line(x, baseline - size * 0.3, x + width, baseline - size * 0.3, { color: run.color, lineWidth: 0.8 });
+      if (run.underline) page.line(x, baseline + 1.5, x + width, baseline + 1.5, { color: run.color, lineWidth: 0.8 });
+      x += width + space;
+    });
+    y += 6;
+    writeParagraph('Red: changed word, followed by the passage word struck through. Grey struck through: left out. ' +
+      'Orange underlined: added or repeated. Grey italic: hesitation.', { size: 8.5, color: MUTED });
+  };
+
+  const drawImages = (images) => {
+    const gap = 12;
+    const width = (contentWidth - gap) / 2;
+    for (let index = 0; index < images.length; index += 2) {
+      const row = images.slice(index, index + 2).map(image => {
+        const info = readJpegInfo(image.data);
+        const captionLines = wrapText(pdf, image.caption, width, { size: TABLE_SIZE });
+        return { image, info, captionLines, height: info ? width * (info.height / info.width) : 0 };
+      });
+      const rowHeight = Math.max(...row.map(item => item.height + item.captionLines.length * TABLE_SIZE * LINE_GAP + 6));
+      ensureSpace(rowHeight);
+      row.forEach((item, column) => {
+        const x = MARGIN + column * (width + gap);
+        if (item.info) {
+          page.image(pdf.addImage(item.image.data, item.info), x, y, width, item.height);
+          page.rect(x, y, width, item.height, { stroke: BORDER });
+        }
+        item.captionLines.forEach((line, lineIndex) => {
+          page.text(x, y + item.height + 4 + (lineIndex + 0.75) * TABLE_SIZE * LINE_GAP, line, { size: TABLE_SIZE, color: TEXT });
+        });
+      });
+      y += rowHeight + 8;
+    }
+  };
+
+  const drawBlock = (block) => {
+    switch (block.type) {
+      case 'banner': {
+        const lines = wrapText(pdf, block.text, contentWidth - 20, { font: 'bold', size: 13 });
+        const height = lines.length * 13 * LINE_GAP + 14;
+        ensureSpace(height);
+        page.rect(MARGIN, y, contentWidth, height, { fill: RISK_COLORS[block.level] || MUTED });
+        lines.forEach((line, index) => {
+          const width = pdf.textWidth(line, { font: 'bold', size: 13 });
+          page.text(MARGIN + (contentWidth - width) / 2, y + 7 + (index + 0.8) * 13 * LINE_GAP, line, { font: 'bold', size: 13, color: '#ffffff' });
+        });
+        y += height + 8;
+        break;
+      }
+      case 'subheading':
+        ensureSpace(60);
+        y += 4;
+        writeParagraph(block.text, { font: 'bold', size: 11 });
+        break;
+      case 'paragraph':
+        writeParagraph(block.text, { color: block.tone === 'muted' ? MUTED : TEXT });
+        break;
+      case 'quote': {
+        const x = MARGIN + 10;
+        const top = y;
+        const startPage = page;
+        writeParagraph(block.label ? `${block.label}: ${block.text}` : block.text, { x });
+        // The bar only marks quotes that stayed on one page
+        if (page === startPage) page.line(MARGIN + 3, top + 2, MARGIN + 3, y - 2, { color: '#9ca3af', lineWidth: 2.5 });
+        y += 4;
+        break;
+      }
+      case 'fields':
+        drawTable(['', ''], block.rows.map(cells => ({ cells })), { header: false, firstColumnBold: true });
+        break;
+      case 'list':
+        block.items.forEach(item => {
+          const lines = wrapText(pdf, item, contentWidth - 14, { size: BODY_SIZE });
+          ensureSpace(BODY_SIZE * LINE_GAP);
+          page.text(MARGIN + 2, y + BODY_SIZE * LINE_GAP * 0.75, '•', { size: BODY_SIZE, color: TEXT });
+          writeLines(lines, { x: MARGIN + 14 });
+          y += 2;
+        });
+        y += 4;
+        break;
+      case 'table':
+        drawTable(block.columns, block.rows);
+        break;
+      case 'comparison':
+        drawComparison(block.words);
+        break;
+      case 'images':
+        drawImages(block.images);
+        break;
+      default:
+        throw new Error(`Unknown report block "${block.type}"`);
+    }
+  };
+
+  writeLines([report.title], { font: 'bold', size: 18 });
+  y += 2;
+  writeParagraph(report.subtitle, { color: MUTED });
+
+  report.sections.forEach(section => {
+    // Keep a heading with the start of its section
+    ensureSpace(80);
+    y += 10;
+    writeLines([section.heading], { font: 'bold', size: 13 });
+    page.line(MARGIN, y + 2, MARGIN + contentWidth, y + 2, { color: ACCENT, lineWidth: 1.5 });
+    y += 10;
+    section.blocks.forEach(drawBlock);
+  });
+
+  y += 8;
+  ensureSpace(40);
+  page.line(MARGIN, y, MARGIN + contentWidth, y, { color: BORDER });
+  y += 4;
+  writeParagraph(report.disclaimer, { size: 8.5, color: MUTED });
+
+  // Footers go on last, once the page count is known
+  pdf.pages.forEach((footerPage, index) => {
+    const footer = `${report.subtitle} - page ${index + 1} of ${pdf.pages.length}`;
+    footerPage.text(MARGIN, pdf.height - MARGIN + 8, footer, { size: 8, color: MUTED });
+  });
+
+  return pdf.toBuffer();
+};
+
+module.exports = { renderReportPdf };
@@ -0,0 +1,50 @@
+/**
+ * Server-side access to the shared risk engine
+ * Loads the configured risk rules and scores stored or submitted metrics.
+ */
+
+const fs = require('fs');
+const { evaluateRisk, evaluateFastRisk, validateRiskRules } = require('../shared/riskEngine');
+
+// Read and validate a rules file, failing fast on startup if it is broken
+const loadRiskRules = (filePath) => {
+  const rules = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const errors = validateRiskRules(rules);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid risk rules in ${filePath}:\n- ${errors.join('\n- ')}`);
+  }
+
+  return rules;
+};
+
+// Score facial and posture metrics, applying the patient's baseline when they have one
+const evaluateMetricsRisk = ({ db, rules, asymmetryMetrics, postureMetrics, patientId }) => {
+  const patient = patientId ? db.getPatient(patientId) : null;
+
+  return evaluateRisk(
+    { ...asymmetryMetrics, ...postureMetrics },
+    rules,
+    { baseline: patient?.baseline }
+  );
+};
+
+// Combined FAST risk for a session, from its latest assessment and speech analysis
+const evaluateSessionRisk = ({ db, rules, session }) => {
+  const { assessments, speechAnalyses } = db.getSessionRecords(session.id);
+  const assessment = assessments[assessments.length - 1];
+  const speechAnalysis = speechAnalyses[speechAnalyses.length - 1];
+  const patient = session.patientId ? db.getPatient(session.patientId) : null;
+
+  return evaluateFastRisk(
+    {
+      asymmetryMetrics: assessment?.asymmetryMetrics,
+      postureMetrics: assessment?.postureMetrics,
+      speechAnalysis
+    },
+    rules,
+    { baseline: patient?.baseline }
+  );
+};
+
+module.exports = { loadRiskRules, evaluateMetricsRisk, evaluateSessionRisk };
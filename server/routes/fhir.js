@@ -0,0 +1,194 @@
+/**
+ * FHIR R4 routes
+ * Export an assessment, a speech analysis or a whole session as a Bundle for
+ * an EHR, and import such bundles. Imports keep the record ids they carry,
+ * so the same bundle cannot be imported twice.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { buildFhirBundle, parseFhirBundle } = require('../fhir');
+const { evaluateMetricsRisk, evaluateSessionRisk } = require('../risk');
+const { checkSessionForRecord } = require('./sessions');
+const { SCORE_FIELDS, validateSpeechAnalysis } = require('../speechAnalysis/analysisSchema');
+
+const FHIR_JSON = 'application/fhir+json';
+
+const createFhirRouter = ({ db, rules }) => {
+  const router = express.Router();
+
+  // Imported speech analyses must hold the same scores and risk level as
+  // ones analysed here; scores are checked, never clamped
+  const checkSpeechAnalysis = (analysis) => {
+    const { errors } = validateSpeechAnalysis(analysis);
+    SCORE_FIELDS.filter(field => typeof analysis[field] === 'number' && (analysis[field] < 0 || analysis[field] > 100))
+      .forEach(field => errors.push(`${field} must be a number from 0 to 100`));
+    return errors.map(error => `Speech analysis ${analysis.id}: ${error}`);
+  };
+
+  const sendBundle = (res, bundle) => {
+    res.type(FHIR_JSON).json(bundle);
+  };
+
+  // The patient and session a record belongs to
+  const recordContext = (record) => ({
+    patient: record.patientId ? db.getPatient(record.patientId) : null,
+    session: record.sessionId ? db.getSession(record.sessionId) : null
+  });
+
+  // One assessment, with its patient and session
+  router.get('/assessments/:id', (req, res) => {
+    try {
+      const assessment = db.getAssessment(req.params.id);
+
+      if (!assessment) {
+        return res.status(404).json({ error: 'Assessment not found' });
+      }
+
+      sendBundle(res, buildFhirBundle({ ...recordContext(assessment), assessments: [assessment] }));
+    } catch (error) {
+      console.error('Error exporting assessment:', error);
+      res.status(500).json({ error: 'Failed to export assessment' });
+    }
+  });
+
+  // One speech analysis, with its patient and session
+  router.get('/speech-analyses/:id', (req, res) => {
+    try {
+      const analysis = db.getSpeechAnalysis(req.params.id);
+
+      if (!analysis) {
+        return res.status(404).json({ error: 'Speech analysis not found' });
+      }
+
+      sendBundle(res, buildFhirBundle({ ...recordContext(analysis), speechAnalyses: [analysis] }));
+    } catch (error) {
+      console.error('Error exporting speech analysis:', error);
+      res.status(500).json({ error: 'Failed to export speech analysis' });
+    }
+  });
+
+  // A session with all of its assessments and speech analyses
+  router.get('/sessions/:id', (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const { assessments, speechAnalyses } = db.getSessionRecords(session.id);
+      sendBundle(res, buildFhirBundle({
+        patient: session.patientId ? db.getPatient(session.patientId) : null,
+        session,
+        assessments,
+        speechAnalyses
+      }));
+    } catch (error) {
+      console.error('Error exporting session:', error);
+      res.status(500).json({ error: 'Failed to export session' });
+    }
+  });
+
+  // Import a bundle. Nothing is stored unless the whole bundle is valid and
+  // none of its records exist yet; its patient and session are reused when
+  // they do, provided the session is still open and is the patient's.
+  router.post('/import', express.json({ type: [FHIR_JSON, 'application/json'], limit: '10mb' }), (req, res) => {
+    try {
+      const parsed = parseFhirBundle(req.body);
+      if (parsed.errors) {
+        return res.status(400).json({ error: 'Invalid FHIR bundle', details: parsed.errors });
+      }
+      const { patient, session, assessments, speechAnalyses } = parsed;
+
+      const invalid = speechAnalyses.flatMap(checkSpeechAnalysis);
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Invalid FHIR bundle', details: invalid });
+      }
+
+      const conflicts = [
+        ...assessments.filter(assessment => db.getAssessment(assessment.id))
+          .map(assessment => `Assessment ${assessment.id} already exists`),
+        ...speechAnalyses.filter(analysis => db.getSpeechAnalysis(analysis.id))
+          .map(analysis => `Speech analysis ${analysis.id} already exists`)
+      ];
+
+      const existingPatient = patient && patient.id ? db.getPatient(patient.id) : null;
+      const patientId = patient ? (patient.id || crypto.randomUUID()) : null;
+
+      const existingSession = session ? db.getSession(session.id) : null;
+      // Records join a stored session only as they would when saved here
+      const sessionError = existingSession && checkSessionForRecord(db, session.id, patientId);
+      if (sessionError) {
+        conflicts.push(`Session ${session.id}: ${sessionError}`);
+      }
+      if (conflicts.length > 0) {
+        return res.status(409).json({ error: 'Bundle conflicts with stored records', details: conflicts });
+      }
+
+      if (patient && !existingPatient) {
+        const now = new Date().toISOString();
+        db.addPatient({
+          id: patientId,
+          name: patient.name,
+          ...(patient.sex ? { sex: patient.sex } : {}),
+          ...(patient.dateOfBirth ? { dateOfBirth: patient.dateOfBirth } : {}),
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+
+      if (session && !existingSession) {
+        db.addSession({ ...session, patientId, status: 'open', completedAt: null });
+      }
+
+      // Assessments without a risk level in the bundle are scored here, as on save
+      assessments.forEach(assessment => {
+        if (!assessment.riskLevel) {
+          const risk = evaluateMetricsRisk({
+            db,
+            rules,
+            asymmetryMetrics: assessment.asymmetryMetrics,
+            postureMetrics: assessment.postureMetrics,
+            patientId
+          });
+          Object.assign(assessment, {
+            riskLevel: risk.riskLevel,
+            riskScore: assessment.riskScore ?? risk.score,
+            findings: risk.findings,
+            rulesVersion: risk.rulesVersion
+          });
+        }
+        db.addAssessment({ ...assessment, patientId });
+      });
+      speechAnalyses.forEach(analysis => {
+        db.addSpeechAnalysis({ ...analysis, patientId });
+      });
+
+      // A completed session freezes its combined risk once its records are in
+      if (session && !existingSession && session.status === 'completed') {
+        const fastRisk = evaluateSessionRisk({ db, rules, session: db.getSession(session.id) });
+        db.updateSession(session.id, {
+          status: 'completed',
+          completedAt: session.completedAt,
+          riskLevel: fastRisk.riskLevel,
+          riskScore: fastRisk.score
+        });
+      }
+
+      res.status(201).json({
+        patientId,
+        sessionId: session ? session.id : null,
+        assessmentIds: assessments.map(assessment => assessment.id),
+        speechAnalysisIds: speechAnalyses.map(analysis => analysis.id)
+      });
+    } catch (error) {
+      console.error('Error importing FHIR bundle:', error);
+      res.status(500).json({ error: 'Failed to import FHIR bundle' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createFhirRouter };
@@ -0,0 +1,62 @@
+/**
+ * Approximate NIHSS routes
+ * Scores submitted results on the NIH Stroke Scale items the app can
+ * approximate; a session's stored results are scored at /api/sessions/:id/nihss.
+ */
+
+const express = require('express');
+const { evaluateNihss } = require('../../shared/nihss');
+const { ARM_SIDES } = require('../../shared/armDrift');
+
+// Returns the problems with submitted results, empty when they are valid
+const validateNihssInput = ({ face, arm, speech, tasks }) => {
+  const errors = [];
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!face && !arm && !speech && !tasks) {
+    return ['At least one of face, arm, speech or tasks is required'];
+  }
+  if (face !== undefined && face !== null && !isObject(face)) {
+    errors.push('face must be an object of facial metrics');
+  }
+  if (arm !== undefined && arm !== null) {
+    if (!isObject(arm)) {
+      errors.push('arm must be an object with pronatorDrift and weakerSide');
+    } else if (arm.weakerSide !== undefined && arm.weakerSide !== null && !ARM_SIDES.includes(arm.weakerSide)) {
+      errors.push(`arm.weakerSide must be one of: ${ARM_SIDES.join(', ')}`);
+    }
+  }
+  if (speech !== undefined && speech !== null && !isObject(speech)) {
+    errors.push('speech must be a speech analysis');
+  }
+  if (tasks !== undefined && (!Array.isArray(tasks) || !tasks.every(isObject))) {
+    errors.push('tasks must be a list of task results');
+  }
+
+  return errors;
+};
+
+const createNihssRouter = () => {
+  const router = express.Router();
+
+  // Score a set of results without storing anything
+  router.post('/evaluate', (req, res) => {
+    try {
+      const { face, arm, speech, tasks } = req.body;
+
+      const errors = validateNihssInput({ face, arm, speech, tasks });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid NIHSS input', details: errors });
+      }
+
+      res.json(evaluateNihss({ face, arm, speech, tasks }));
+    } catch (error) {
+      console.error('Error evaluating NIHSS:', error);
+      res.status(500).json({ error: 'Failed to evaluate NIHSS' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createNihssRouter };
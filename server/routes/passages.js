@@ -0,0 +1,204 @@
+/**
+ * Reading passage routes
+ * The library of passages read aloud in the speech test (and of the naming,
+ * repetition and command task items), and the choice of the next one for a
+ * person so they do not get the same one twice.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { TASK_TYPES, DIFFICULTIES, buildPassage, choosePassage } = require('../passages');
+const { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } = require('../../shared/languages');
+const { COMMAND_ACTIONS } = require('../../shared/commandTasks');
+const { MAX_PASSAGE_LENGTH } = require('../speechScorer');
+
+// Returns the problems with passage filters or fields, empty when they are valid
+const validatePassageFields = ({ language, taskType, difficulty }) => {
+  const errors = [];
+
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    errors.push(`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  if (taskType !== undefined && !TASK_TYPES.includes(taskType)) {
+    errors.push(`taskType must be one of: ${TASK_TYPES.join(', ')}`);
+  }
+  if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty)) {
+    errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+const createPassagesRouter = (db) => {
+  const router = express.Router();
+
+  // List passages, optionally filtered; retired ones only with ?includeRetired=true
+  router.get('/', (req, res) => {
+    try {
+      const { language, taskType, difficulty, includeRetired } = req.query;
+
+      const errors = validatePassageFields({ language, taskType, difficulty });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid passage filters', details: errors });
+      }
+
+      res.json(db.listPassages({ language, taskType, difficulty, includeRetired: includeRetired === 'true' }));
+    } catch (error) {
+      console.error('Error fetching passages:', error);
+      res.status(500).json({ error: 'Failed to fetch passages' });
+    }
+  });
+
+  // The passage a person should read next. A session gives the patient and
+  // language; ?exclude= lists passage ids to skip (comma separated).
+  router.get('/next', (req, res) => {
+    try {
+      const { sessionId, taskType = 'reading', difficulty } = req.query;
+      let { patientId, language } = req.query;
+      const exclude = req.query.exclude ? req.query.exclude.split(',') : [];
+
+      const session = sessionId ? db.getSession(sessionId) : null;
+      if (sessionId && !session) {
+        return res.status(400).json({ error: 'Unknown session id' });
+      }
+      if (session) {
+        patientId = session.patientId || undefined;
+        language = session.language || DEFAULT_LANGUAGE;
+      }
+
+      if (patientId && !db.getPatient(patientId)) {
+        return res.status(400).json({ error: 'Unknown patient id' });
+      }
+
+      const errors = validatePassageFields({ language, taskType, difficulty });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid passage filters', details: errors });
+      }
+
+      // What the person has read or answered before; without a patient,
+      // earlier records in the session
+      let history = [];
+      if (patientId) {
+        history = [
+          ...db.getRecentSpeechAnalyses(Infinity, { patientId }),
+          ...db.getRecentTaskResults(Infinity, { patientId })
+        ];
+      } else if (session) {
+        const { speechAnalyses, taskResults } = db.getSessionRecords(session.id);
+        history = [...speechAnalyses, ...taskResults];
+      }
+      history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+      const passages = db.listPassages({ language: language || DEFAULT_LANGUAGE, taskType, difficulty });
+      const passage = choosePassage(passages, history, exclude);
+
+      if (!passage) {
+        return res.status(404).json({ error: 'No passage available' });
+      }
+
+      res.json(passage);
+    } catch (error) {
+      console.error('Error choosing passage:', error);
+      res.status(500).json({ error: 'Failed to choose passage' });
+    }
+  });
+
+  // Get one passage, retired or not
+  router.get('/:id', (req, res) => {
+    try {
+      const passage = db.getPassage(req.params.id);
+
+      if (!passage) {
+        return res.status(404).json({ error: 'Passage not found' });
+      }
+
+      res.json(passage);
+    } catch (error) {
+      console.error('Error fetching passage:', error);
+      res.status(500).json({ error: 'Failed to fetch passage' });
+    }
+  });
+
+  // Add a passage; its length and sound coverage are measured here
+  router.post('/', (req, res) => {
+    try {
+      const { text, language = DEFAULT_LANGUAGE, taskType = 'reading', difficulty, image, acceptedAnswers, action } = req.body;
+
+      const errors = validatePassageFields({ language, taskType, difficulty });
+      if (typeof text !== 'string' || !text.trim()) {
+        errors.unshift('text is required');
+      } else if (text.trim().length > MAX_PASSAGE_LENGTH) {
+        errors.unshift(`text must be at most ${MAX_PASSAGE_LENGTH} characters`);
+      }
+      if (difficulty === undefined) {
+        errors.push('difficulty is required');
+      }
+      if (taskType === 'naming' && (typeof image !== 'string' || !image)) {
+        errors.push('image is required for naming items');
+      }
+      if (taskType === 'naming' && acceptedAnswers !== undefined &&
+        (!Array.isArray(acceptedAnswers) || acceptedAnswers.length === 0 || !acceptedAnswers.every(answer => typeof answer === 'string' && answer.trim()))) {
+        errors.push('acceptedAnswers must be a list of words');
+      }
+      if (taskType === 'command' && !COMMAND_ACTIONS[action]) {
+        errors.push(`action must be one of: ${Object.keys(COMMAND_ACTIONS).join(', ')}`);
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid passage', details: errors });
+      }
+
+      const passage = buildPassage({
+        id: crypto.randomUUID(),
+        text: text.trim(),
+        language,
+        taskType,
+        difficulty,
+        image,
+        acceptedAnswers,
+        action
+      });
+      db.addPassage(passage);
+
+      res.status(201).json(passage);
+    } catch (error) {
+      console.error('Error creating passage:', error);
+      res.status(500).json({ error: 'Failed to create passage' });
+    }
+  });
+
+  // Change a passage's difficulty or retire it (active: false). The text
+  // cannot change, since earlier readings were scored against it.
+  router.patch('/:id', (req, res) => {
+    try {
+      const { difficulty, active, text } = req.body;
+
+      if (!db.getPassage(req.params.id)) {
+        return res.status(404).json({ error: 'Passage not found' });
+      }
+
+      const errors = validatePassageFields({ difficulty });
+      if (text !== undefined) {
+        errors.push('text cannot be changed; add a new passage instead');
+      }
+      if (active !== undefined && typeof active !== 'boolean') {
+        errors.push('active must be true or false');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid passage', details: errors });
+      }
+
+      const changes = {};
+      if (difficulty !== undefined) changes.difficulty = difficulty;
+      if (active !== undefined) changes.active = active;
+
+      res.json(db.updatePassage(req.params.id, changes));
+    } catch (error) {
+      console.error('Error updating passage:', error);
+      res.status(500).json({ error: 'Failed to update passage' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPassagesRouter };
@@ -0,0 +1,261 @@
+/**
+ * Patient profile routes
+ * Assessments and speech analyses reference patients by id.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { BASELINE_METRICS } = require('../../shared/baseline');
+
+const PATIENT_FIELDS = ['name', 'dateOfBirth', 'sex', 'notes'];
+
+// Copy only the known, editable fields from a request body
+const pickPatientFields = (body) => {
+  const fields = {};
+  PATIENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  });
+  return fields;
+};
+
+const isCalendarDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(value)) &&
+  new Date(value).toISOString().slice(0, 10) === value;
+
+// Problems with the optional patient fields; empty or null values clear them
+const validatePatientFields = ({ dateOfBirth, sex, notes }) => {
+  const errors = [];
+  const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+  if (isSet(dateOfBirth) && (typeof dateOfBirth !== 'string' || !isCalendarDate(dateOfBirth))) {
+    errors.push('dateOfBirth must be a date as YYYY-MM-DD');
+  } else if (isSet(dateOfBirth) && Date.parse(dateOfBirth) > Date.now()) {
+    errors.push('dateOfBirth cannot be in the future');
+  }
+  if (isSet(sex) && typeof sex !== 'string') {
+    errors.push('sex must be a string');
+  }
+  if (isSet(notes) && typeof notes !== 'string') {
+    errors.push('notes must be a string');
+  }
+
+  return errors;
+};
+
+// Returns an error message for an invalid baseline, or null when it is valid
+const validateBaseline = ({ metrics, frameCount }) => {
+  if (!metrics || typeof metrics !== 'object') {
+    return 'Missing baseline metrics';
+  }
+
+  const invalid = BASELINE_METRICS.filter(key =>
+    typeof metrics[key] !== 'number' || metrics[key] < 0 || metrics[key] > 1
+  );
+  if (invalid.length > 0) {
+    return `Baseline metrics must be numbers between 0 and 1: ${invalid.join(', ')}`;
+  }
+
+  if (!Number.isInteger(frameCount) || frameCount <= 0) {
+    return 'Baseline frameCount must be a positive integer';
+  }
+
+  return null;
+};
+
+const createPatientsRouter = (db) => {
+  const router = express.Router();
+
+  // List all patients
+  router.get('/', (req, res) => {
+    try {
+      res.json(db.listPatients());
+    } catch (error) {
+      console.error('Error fetching patients:', error);
+      res.status(500).json({ error: 'Failed to fetch patients' });
+    }
+  });
+
+  // Create a patient
+  router.post('/', (req, res) => {
+    try {
+      const fields = pickPatientFields(req.body);
+
+      if (!fields.name) {
+        return res.status(400).json({ error: 'Missing patient name' });
+      }
+      if (typeof fields.name !== 'string') {
+        return res.status(400).json({ error: 'Patient name must be a string' });
+      }
+
+      const fieldErrors = validatePatientFields(fields);
+      if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid patient fields', details: fieldErrors });
+      }
+
+      const now = new Date().toISOString();
+      const patient = {
+        id: crypto.randomUUID(),
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      db.addPatient(patient);
+
+      res.status(201).json(patient);
+    } catch (error) {
+      console.error('Error creating patient:', error);
+      res.status(500).json({ error: 'Failed to create patient' });
+    }
+  });
+
+  // Get a single patient
+  router.get('/:id', (req, res) => {
+    try {
+      const patient = db.getPatient(req.params.id);
+
+      if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+
+      res.json(patient);
+    } catch (error) {
+      console.error('Error fetching patient:', error);
+      res.status(500).json({ error: 'Failed to fetch patient' });
+    }
+  });
+
+  // Update a patient
+  router.put('/:id', (req, res) => {
+    try {
+      const fields = pickPatientFields(req.body);
+
+      if (fields.name !== undefined && !fields.name) {
+        return res.status(400).json({ error: 'Patient name cannot be empty' });
+      }
+      if (fields.name !== undefined && typeof fields.name !== 'string') {
+        return res.status(400).json({ error: 'Patient name must be a string' });
+      }
+
+      const fieldErrors = validatePatientFields(fields);
+      if (fieldErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid patient fields', details: fieldErrors });
+      }
+
+      const patient = db.updatePatient(req.params.id, {
+        ...fields,
+        updatedAt: new Date().toISOString()
+      });
+
+      if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+
+      res.json(patient);
+    } catch (error) {
+      console.error('Error updating patient:', error);
+      res.status(500).json({ error: 'Failed to update patient' });
+    }
+  });
+
+  // Delete a patient
+  // Refuses while records reference the patient unless ?deleteRecords=true
+  router.delete('/:id', (req, res) => {
+    try {
+      const { id } = req.params;
+      const deleteRecords = req.query.deleteRecords === 'true';
+
+      if (!db.getPatient(id)) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+
+      const recordCount = db.countPatientRecords(id);
+      if (recordCount > 0 && !deleteRecords) {
+        return res.status(409).json({
+          error: 'Patient has stored records',
+          details: `${recordCount} record(s) reference this patient. Pass deleteRecords=true to delete them too.`
+        });
+      }
+
+      db.deletePatient(id, { deleteRecords });
+
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting patient:', error);
+      res.status(500).json({ error: 'Failed to delete patient' });
+    }
+  });
+
+  // Get the patient's personal baseline
+  router.get('/:id/baseline', (req, res) => {
+    try {
+      const patient = db.getPatient(req.params.id);
+
+      if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+      if (!patient.baseline) {
+        return res.status(404).json({ error: 'Patient has no baseline' });
+      }
+
+      res.json(patient.baseline);
+    } catch (error) {
+      console.error('Error fetching baseline:', error);
+      res.status(500).json({ error: 'Failed to fetch baseline' });
+    }
+  });
+
+  // Record (or replace) the patient's personal baseline
+  router.put('/:id/baseline', (req, res) => {
+    try {
+      if (!db.getPatient(req.params.id)) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+
+      const validationError = validateBaseline(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const metrics = {};
+      BASELINE_METRICS.forEach(key => {
+        metrics[key] = req.body.metrics[key];
+      });
+
+      const baseline = {
+        metrics,
+        frameCount: req.body.frameCount,
+        recordedAt: req.body.recordedAt || new Date().toISOString()
+      };
+
+      db.updatePatient(req.params.id, { baseline, updatedAt: new Date().toISOString() });
+
+      res.json(baseline);
+    } catch (error) {
+      console.error('Error saving baseline:', error);
+      res.status(500).json({ error: 'Failed to save baseline' });
+    }
+  });
+
+  // Remove the patient's baseline so risk is scored on raw values again
+  router.delete('/:id/baseline', (req, res) => {
+    try {
+      const patient = db.updatePatient(req.params.id, { baseline: null, updatedAt: new Date().toISOString() });
+
+      if (!patient) {
+        return res.status(404).json({ error: 'Patient not found' });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error deleting baseline:', error);
+      res.status(500).json({ error: 'Failed to delete baseline' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPatientsRouter };
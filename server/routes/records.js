@@ -0,0 +1,192 @@
+/**
+ * Stored assessment and speech analysis routes
+ * Listing with filters, sorting and cursor pagination, fetching and deleting
+ * one record, and exporting every matching record as CSV or NDJSON. Both
+ * record types are served by the same routes, set up by createRecordsRouter.
+ */
+
+const express = require('express');
+const { parseRecordQuery, sortRecords, paginateRecords } = require('../recordQuery');
+const { ASSESSMENT_METRICS, SPEECH_METRICS } = require('../fhir/codes');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Quotes a CSV field when needed. Text starting like a formula is prefixed
+// with an apostrophe so spreadsheets show it instead of evaluating it.
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, records) => [
+  columns.map(([header]) => header).join(','),
+  ...records.map(record => columns.map(([, read]) => csvField(read(record))).join(','))
+].join('\r\n') + '\r\n';
+
+const timestampValue = (record) => Date.parse(record.timestamp);
+
+// Metric columns read from the group each metric is stored in
+const metricColumns = (metrics, defaultGroup) => Object.keys(metrics).map(key => {
+  const group = metrics[key].group || defaultGroup;
+  return [key, record => (group === 'record' ? record[key] : record[group]?.[key])];
+});
+
+const ASSESSMENTS = {
+  name: 'assessment',
+  plural: 'assessments',
+  list: (db, filters) => db.listAssessments(filters),
+  get: (db, id) => db.getAssessment(id),
+  remove: (db, id) => db.deleteAssessment(id),
+  sortFields: {
+    timestamp: timestampValue,
+    riskScore: record => record.riskScore ?? null
+  },
+  csvColumns: [
+    ['id', record => record.id],
+    ['timestamp', record => record.timestamp],
+    ['patientId', record => record.patientId],
+    ['sessionId', record => record.sessionId],
+    ['riskLevel', record => record.riskLevel],
+    ['riskScore', record => record.riskScore],
+    ['armDriftSide', record => record.armDriftSide],
+    ...metricColumns(
+      Object.fromEntries(Object.entries(ASSESSMENT_METRICS).filter(([key]) => key !== 'riskScore')),
+      'asymmetryMetrics'
+    )
+  ]
+};
+
+const SPEECH_ANALYSES = {
+  name: 'speech analysis',
+  plural: 'speech analyses',
+  list: (db, filters) => db.listSpeechAnalyses(filters),
+  get: (db, id) => db.getSpeechAnalysis(id),
+  remove: (db, id) => db.deleteSpeechAnalysis(id),
+  sortFields: {
+    timestamp: timestampValue,
+    coherenceScore: record => record.coherenceScore ?? null,
+    slurredSpeechScore: record => record.slurredSpeechScore ?? null,
+    wordFindingScore: record => record.wordFindingScore ?? null
+  },
+  csvColumns: [
+    ['id', record => record.id],
+    ['timestamp', record => record.timestamp],
+    ['patientId', record => record.patientId],
+    ['sessionId', record => record.sessionId],
+    ['language', record => record.language],
+    ['passageId', record => record.passageId],
+    ['overallRisk', record => record.overallRisk],
+    ['source', record => record.source],
+    ...metricColumns(SPEECH_METRICS, 'record'),
+    ['transcript', record => record.transcript],
+    ['readingPassage', record => record.readingPassage]
+  ]
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const createRecordsRouter = (db, recordType) => {
+  const router = express.Router();
+  const { name, plural, sortFields } = recordType;
+
+  // Parses the list parameters, answering 400 itself when they are invalid
+  const parseQuery = (params, res) => {
+    const query = parseRecordQuery(params, { sortFields });
+    if (query.errors) {
+      res.status(400).json({ error: `Invalid ${name} query`, details: query.errors });
+      return null;
+    }
+    if (query.filters.patientId && !db.getPatient(query.filters.patientId)) {
+      res.status(400).json({ error: 'Unknown patient id' });
+      return null;
+    }
+    return query;
+  };
+
+  // List records, newest first unless ?sort= and ?order= say otherwise.
+  // Filters: ?patientId=, ?sessionId=, ?riskLevel= (comma separated), ?from=, ?to=.
+  // Pages hold ?limit= records; pass back nextCursor as ?cursor= for the next one.
+  router.get('/', (req, res) => {
+    try {
+      const query = parseQuery(req.query, res);
+      if (!query) return;
+
+      const records = recordType.list(db, query.filters);
+      res.json({ ...paginateRecords(records, query.page), total: records.length });
+    } catch (error) {
+      console.error(`Error fetching ${plural}:`, error);
+      res.status(500).json({ error: `Failed to fetch ${plural}` });
+    }
+  });
+
+  // Every matching record as ?format=csv (the main fields and metrics) or
+  // ndjson (whole records, one per line), with the list filters and sort
+  router.get('/export', (req, res) => {
+    try {
+      // The export is never paged, so limit and cursor are left out
+      const { format = 'csv', limit, cursor, ...filters } = req.query;
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: 'Unsupported export format',
+          details: [`format must be one of: ${EXPORT_FORMATS.join(', ')}`]
+        });
+      }
+
+      const query = parseQuery(filters, res);
+      if (!query) return;
+
+      const records = sortRecords(recordType.list(db, query.filters), query.page);
+      const filename = `${plural.replace(' ', '-')}.${format}`;
+
+      res.attachment(filename);
+      if (format === 'csv') {
+        res.type('text/csv').send(toCsv(recordType.csvColumns, records));
+      } else {
+        res.type('application/x-ndjson').send(records.map(record => `${JSON.stringify(record)}\n`).join(''));
+      }
+    } catch (error) {
+      console.error(`Error exporting ${plural}:`, error);
+      res.status(500).json({ error: `Failed to export ${plural}` });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    try {
+      const record = recordType.get(db, req.params.id);
+
+      if (!record) {
+        return res.status(404).json({ error: `${capitalize(name)} not found` });
+      }
+
+      res.json(record);
+    } catch (error) {
+      console.error(`Error fetching ${name}:`, error);
+      res.status(500).json({ error: `Failed to fetch ${name}` });
+    }
+  });
+
+  // Delete a record; sessions it belonged to no longer count it
+  router.delete('/:id', (req, res) => {
+    try {
+      if (!recordType.remove(db, req.params.id)) {
+        return res.status(404).json({ error: `${capitalize(name)} not found` });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      console.error(`Error deleting ${name}:`, error);
+      res.status(500).json({ error: `Failed to delete ${name}` });
+    }
+  });
+
+  return router;
+};
+
+const createAssessmentsRouter = (db) => createRecordsRouter(db, ASSESSMENTS);
+const createSpeechAnalysesRouter = (db) => createRecordsRouter(db, SPEECH_ANALYSES);
+
+module.exports = { createAssessmentsRouter, createSpeechAnalysesRouter };
@@ -0,0 +1,40 @@
+/**
+ * Risk scoring routes
+ * Both front-ends fetch the rules from here and score with the same engine.
+ */
+
+const express = require('express');
+const { evaluateMetricsRisk } = require('../risk');
+
+const createRiskRouter = ({ db, rules }) => {
+  const router = express.Router();
+
+  // The active rule set
+  router.get('/rules', (req, res) => {
+    res.json(rules);
+  });
+
+  // Score a set of metrics without storing anything
+  router.post('/evaluate', (req, res) => {
+    try {
+      const { asymmetryMetrics, postureMetrics, patientId } = req.body;
+
+      if (!asymmetryMetrics && !postureMetrics) {
+        return res.status(400).json({ error: 'Missing metrics to evaluate' });
+      }
+
+      if (patientId && !db.getPatient(patientId)) {
+        return res.status(400).json({ error: 'Unknown patient id' });
+      }
+
+      res.json(evaluateMetricsRisk({ db, rules, asymmetryMetrics, postureMetrics, patientId }));
+    } catch (error) {
+      console.error('Error evaluating risk:', error);
+      res.status(500).json({ error: 'Failed to evaluate risk' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createRiskRouter };
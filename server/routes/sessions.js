@@ -0,0 +1,338 @@
+/**
+ * FAST session routes
+ * A session groups the face, arm/posture and speech results recorded in one
+ * sitting. Assessments and speech analyses join a session by sending its
+ * sessionId, and the session reports a combined FAST risk. Camera snapshots
+ * and the time the patient was last known well feed the handoff report.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { evaluateSessionRisk } = require('../risk');
+const { evaluateSessionNihss } = require('../nihss');
+const { buildSessionReport, isValidTimeZone, renderReportHtml, renderReportPdf } = require('../report');
+const { readJpegInfo } = require('../report/jpeg');
+const { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } = require('../../shared/languages');
+
+// Returns an error message when a record cannot be added to the session, or null
+const checkSessionForRecord = (db, sessionId, patientId) => {
+  const session = db.getSession(sessionId);
+
+  if (!session) {
+    return 'Unknown session id';
+  }
+  if (session.status === 'completed') {
+    return 'Session is already completed';
+  }
+  if ((session.patientId || null) !== (patientId || null)) {
+    return 'Session belongs to a different patient';
+  }
+
+  return null;
+};
+
+// Allowance for the client's clock running ahead of the server's
+const CLOCK_SKEW_MS = 60 * 1000;
+const MAX_SNAPSHOT_LABEL_LENGTH = 100;
+const REPORT_FORMATS = ['html', 'pdf'];
+
+// Returns an error message when lastKnownWell is not a usable time, or null
+const validateLastKnownWell = (value) => {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    return 'lastKnownWell must be an ISO 8601 timestamp';
+  }
+  if (Date.parse(value) > Date.now() + CLOCK_SKEW_MS) {
+    return 'lastKnownWell cannot be in the future';
+  }
+  return null;
+};
+
+// The session together with its grouped results and combined risk
+const buildSessionView = (db, rules, session) => {
+  const { assessments, speechAnalyses, taskResults, snapshots } = db.getSessionRecords(session.id);
+  const assessment = assessments[assessments.length - 1];
+  const speechAnalysis = speechAnalyses[speechAnalyses.length - 1];
+
+  return {
+    ...session,
+    results: {
+      face: assessment ? assessment.asymmetryMetrics : null,
+      arm: assessment ? assessment.postureMetrics : null,
+      speech: speechAnalysis || null,
+      tasks: taskResults
+    },
+    assessmentIds: assessments.map(a => a.id),
+    speechAnalysisIds: speechAnalyses.map(a => a.id),
+    taskResultIds: taskResults.map(r => r.id),
+    snapshotIds: snapshots.map(s => s.id),
+    passageIds: [...speechAnalyses, ...taskResults].map(record => record.passageId).filter(Boolean),
+    fastRisk: evaluateSessionRisk({ db, rules, session })
+  };
+};
+
+const createSessionsRouter = ({ db, rules }) => {
+  const router = express.Router();
+
+  // List sessions, optionally for one patient
+  router.get('/', (req, res) => {
+    try {
+      const { patientId } = req.query;
+      res.json(db.listSessions({ patientId }));
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+  });
+
+  // Start a session in the chosen language
+  router.post('/', (req, res) => {
+    try {
+      const { patientId, language, lastKnownWell } = req.body;
+
+      if (patientId && !db.getPatient(patientId)) {
+        return res.status(400).json({ error: 'Unknown patient id' });
+      }
+
+      if (language !== undefined && !isSupportedLanguage(language)) {
+        return res.status(400).json({
+          error: 'Unsupported language',
+          details: [`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`]
+        });
+      }
+
+      if (lastKnownWell !== undefined && lastKnownWell !== null) {
+        const lastKnownWellError = validateLastKnownWell(lastKnownWell);
+        if (lastKnownWellError) {
+          return res.status(400).json({ error: 'Invalid last known well time', details: [lastKnownWellError] });
+        }
+      }
+
+      const session = {
+        id: crypto.randomUUID(),
+        patientId: patientId || null,
+        language: language || DEFAULT_LANGUAGE,
+        lastKnownWell: lastKnownWell ? new Date(lastKnownWell).toISOString() : null,
+        status: 'open',
+        startedAt: new Date().toISOString(),
+        completedAt: null
+      };
+
+      db.addSession(session);
+
+      res.status(201).json(buildSessionView(db, rules, session));
+    } catch (error) {
+      console.error('Error creating session:', error);
+      res.status(500).json({ error: 'Failed to create session' });
+    }
+  });
+
+  // Get a session with its grouped results and combined FAST risk
+  router.get('/:id', (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json(buildSessionView(db, rules, session));
+    } catch (error) {
+      console.error('Error fetching session:', error);
+      res.status(500).json({ error: 'Failed to fetch session' });
+    }
+  });
+
+  // Record or correct when the patient was last known well; null clears it
+  router.patch('/:id', (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const { lastKnownWell } = req.body;
+      if (lastKnownWell === undefined) {
+        return res.status(400).json({ error: 'Nothing to update', details: ['lastKnownWell is required'] });
+      }
+      if (lastKnownWell !== null) {
+        const lastKnownWellError = validateLastKnownWell(lastKnownWell);
+        if (lastKnownWellError) {
+          return res.status(400).json({ error: 'Invalid last known well time', details: [lastKnownWellError] });
+        }
+      }
+
+      db.updateSession(session.id, {
+        lastKnownWell: lastKnownWell === null ? null : new Date(lastKnownWell).toISOString()
+      });
+
+      res.json(buildSessionView(db, rules, session));
+    } catch (error) {
+      console.error('Error updating session:', error);
+      res.status(500).json({ error: 'Failed to update session' });
+    }
+  });
+
+  // Add a camera snapshot (JPEG body) to an open session, with an optional ?label=
+  router.post('/:id/snapshots', express.raw({ type: 'image/jpeg', limit: '5mb' }), (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const sessionError = checkSessionForRecord(db, session.id, session.patientId);
+      if (sessionError) {
+        return res.status(409).json({ error: sessionError });
+      }
+
+      const info = readJpegInfo(req.body);
+      if (!info) {
+        return res.status(400).json({ error: 'Snapshot must be a JPEG image' });
+      }
+
+      const label = typeof req.query.label === 'string' ? req.query.label.trim() : '';
+      if (label.length > MAX_SNAPSHOT_LABEL_LENGTH) {
+        return res.status(400).json({
+          error: 'Invalid snapshot label',
+          details: [`label must be at most ${MAX_SNAPSHOT_LABEL_LENGTH} characters`]
+        });
+      }
+
+      const snapshot = {
+        id: crypto.randomUUID(),
+        sessionId: session.id,
+        patientId: session.patientId,
+        label: label || 'Snapshot',
+        mimeType: 'image/jpeg',
+        width: info.width,
+        height: info.height,
+        timestamp: new Date().toISOString()
+      };
+
+      db.addSnapshot(snapshot, req.body);
+
+      res.status(201).json(snapshot);
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+      res.status(500).json({ error: 'Failed to save snapshot' });
+    }
+  });
+
+  // List a session's snapshots without their images
+  router.get('/:id/snapshots', (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json(db.getSessionRecords(session.id).snapshots);
+    } catch (error) {
+      console.error('Error fetching snapshots:', error);
+      res.status(500).json({ error: 'Failed to fetch snapshots' });
+    }
+  });
+
+  // The snapshot image itself
+  router.get('/:id/snapshots/:snapshotId', (req, res) => {
+    try {
+      const snapshot = db.getSnapshot(req.params.snapshotId);
+      const image = snapshot && snapshot.sessionId === req.params.id ? db.getSnapshotImage(snapshot.id) : null;
+
+      if (!image) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+      }
+
+      res.type(snapshot.mimeType).send(image);
+    } catch (error) {
+      console.error('Error fetching snapshot:', error);
+      res.status(500).json({ error: 'Failed to fetch snapshot' });
+    }
+  });
+
+  // Clinician handoff report as a download: ?format=html|pdf and the
+  // ?timeZone= (IANA name) to show times in, UTC by default
+  router.get('/:id/report', (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      const { format = 'html', timeZone = 'UTC' } = req.query;
+      if (!REPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: 'Unsupported report format',
+          details: [`format must be one of: ${REPORT_FORMATS.join(', ')}`]
+        });
+      }
+      if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ error: 'Unknown time zone', details: ['timeZone must be an IANA time zone name'] });
+      }
+
+      const report = buildSessionReport({ db, rules, session, timeZone });
+      const filename = `stroke-screening-report-${session.id}.${format}`;
+
+      res.attachment(filename);
+      if (format === 'pdf') {
+        res.type('application/pdf').send(renderReportPdf(report));
+      } else {
+        res.type('html').send(renderReportHtml(report));
+      }
+    } catch (error) {
+      console.error('Error building session report:', error);
+      res.status(500).json({ error: 'Failed to build session report' });
+    }
+  });
+
+  // Approximate NIHSS items from the session's results
+  router.get('/:id/nihss', (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json(evaluateSessionNihss({ db, session }));
+    } catch (error) {
+      console.error('Error evaluating session NIHSS:', error);
+      res.status(500).json({ error: 'Failed to evaluate session NIHSS' });
+    }
+  });
+
+  // Complete a session, freezing the combined risk at that moment
+  router.post('/:id/complete', (req, res) => {
+    try {
+      const session = db.getSession(req.params.id);
+
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      if (session.status === 'completed') {
+        return res.status(409).json({ error: 'Session is already completed' });
+      }
+
+      const fastRisk = evaluateSessionRisk({ db, rules, session });
+      db.updateSession(session.id, {
+        status: 'completed',
+        completedAt: new Date().toISOString(),
+        riskLevel: fastRisk.riskLevel,
+        riskScore: fastRisk.score
+      });
+
+      res.json(buildSessionView(db, rules, session));
+    } catch (error) {
+      console.error('Error completing session:', error);
+      res.status(500).json({ error: 'Failed to complete session' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createSessionsRouter, checkSessionForRecord };
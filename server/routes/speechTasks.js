@@ -0,0 +1,106 @@
+/**
+ * Speech task routes
+ * Naming, repetition and command-following results. Each response to an
+ * item from the passage library is scored and stored as its own task result;
+ * reading aloud goes through /api/analyze-speech instead.
+ */
+
+const express = require('express');
+const { checkSessionForRecord } = require('./sessions');
+const { scoreTaskResponse, validateCommandResult } = require('../speechTasks');
+const { MAX_TRANSCRIPT_LENGTH } = require('../speechScorer');
+const { DEFAULT_LANGUAGE } = require('../../shared/languages');
+
+// An empty transcript is a valid answer: nothing was said
+const validateTranscript = (transcript) => {
+  if (typeof transcript !== 'string') {
+    return ['transcript is required for naming and repetition tasks'];
+  }
+  if (transcript.length > MAX_TRANSCRIPT_LENGTH) {
+    return [`transcript must be at most ${MAX_TRANSCRIPT_LENGTH} characters`];
+  }
+  return [];
+};
+
+const createSpeechTasksRouter = (db) => {
+  const router = express.Router();
+
+  // Score and store a response to a task item
+  router.post('/', (req, res) => {
+    try {
+      const { passageId, transcript, command, patientId, sessionId } = req.body;
+
+      const item = passageId ? db.getPassage(passageId) : null;
+      if (!item) {
+        return res.status(400).json({ error: passageId ? 'Unknown passage id' : 'Missing passage id' });
+      }
+      if (item.taskType === 'reading') {
+        return res.status(400).json({ error: 'Reading passages are analyzed with /api/analyze-speech' });
+      }
+
+      const errors = item.taskType === 'command'
+        ? validateCommandResult(item, command)
+        : validateTranscript(transcript);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid task response', details: errors });
+      }
+
+      if (patientId && !db.getPatient(patientId)) {
+        return res.status(400).json({ error: 'Unknown patient id' });
+      }
+
+      const sessionError = sessionId && checkSessionForRecord(db, sessionId, patientId);
+      if (sessionError) {
+        return res.status(400).json({ error: sessionError });
+      }
+      if (sessionId && (db.getSession(sessionId).language || DEFAULT_LANGUAGE) !== item.language) {
+        return res.status(400).json({ error: 'Task item is in a different language than the session' });
+      }
+
+      const { score, correct, details, observations } = scoreTaskResponse({ item, transcript, command });
+
+      const id = Date.now().toString();
+      const taskResult = {
+        id,
+        patientId: patientId || null,
+        sessionId: sessionId || null,
+        passageId: item.id,
+        taskType: item.taskType,
+        language: item.language,
+        expected: item.text,
+        transcript: item.taskType === 'command' ? null : transcript,
+        score,
+        correct,
+        details,
+        observations,
+        timestamp: new Date().toISOString()
+      };
+
+      db.addTaskResult(taskResult);
+
+      res.status(201).json(taskResult);
+    } catch (error) {
+      console.error('Error saving speech task result:', error);
+      res.status(500).json({ error: 'Failed to save speech task result' });
+    }
+  });
+
+  // Get recent task results, optionally for one patient or task type
+  router.get('/recent', (req, res) => {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+      const { patientId, taskType } = req.query;
+      const results = db.getRecentTaskResults(Infinity, { patientId })
+        .filter(result => !taskType || result.taskType === taskType)
+        .slice(0, limit);
+      res.json(results);
+    } catch (error) {
+      console.error('Error fetching recent speech task results:', error);
+      res.status(500).json({ error: 'Failed to fetch recent speech task results' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createSpeechTasksRouter };
@@ -0,0 +1,51 @@
+/**
+ * Statistics routes
+ * Aggregates over stored assessments and speech analyses for dashboards,
+ * optionally for one patient and a time range.
+ */
+
+const express = require('express');
+const { computeStats } = require('../stats');
+const { parseRecordFilters } = require('../recordQuery');
+const { isValidTimeZone } = require('../report');
+
+const createStatsRouter = (db) => {
+  const router = express.Router();
+
+  // Risk distributions, counts per day and week, metric averages and speech
+  // score distributions. Filters: ?patientId=, ?from=, ?to= (ISO 8601), and
+  // ?timeZone= (IANA name, UTC by default) sets where days start, for the
+  // daily counts and for from and to given as dates.
+  router.get('/', (req, res) => {
+    try {
+      const { patientId, from, to, timeZone = 'UTC' } = req.query;
+
+      const validTimeZone = typeof timeZone === 'string' && isValidTimeZone(timeZone);
+      const { errors, filters } = parseRecordFilters({ patientId, from, to }, { timeZone: validTimeZone ? timeZone : 'UTC' });
+      if (!validTimeZone) {
+        errors.push('timeZone must be an IANA time zone name');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid statistics query', details: errors });
+      }
+      if (patientId && !db.getPatient(patientId)) {
+        return res.status(400).json({ error: 'Unknown patient id' });
+      }
+
+      const stats = computeStats({
+        assessments: db.listAssessments(filters),
+        speechAnalyses: db.listSpeechAnalyses(filters),
+        timeZone
+      });
+
+      res.json({ filters: { patientId: patientId || null, from: from || null, to: to || null }, ...stats });
+    } catch (error) {
+      console.error('Error computing statistics:', error);
+      res.status(500).json({ error: 'Failed to compute statistics' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createStatsRouter };
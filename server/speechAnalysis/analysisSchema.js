@@ -0,0 +1,89 @@
+/**
+ * Validation and repair of model speech analysis replies
+ * Models do not always follow the requested format: scores come back as
+ * strings or outside 0-100, the risk as "Moderate", fields go missing. Replies
+ * are repaired where the meaning is clear and anything else is left out, so
+ * only the fields listed here, in the expected form, are ever stored.
+ */
+
+const SCORE_FIELDS = ['coherenceScore', 'slurredSpeechScore', 'wordFindingScore'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// Other words models use for the three risk levels
+const RISK_SYNONYMS = {
+  none: 'low',
+  minimal: 'low',
+  mild: 'low',
+  moderate: 'medium',
+  elevated: 'high',
+  severe: 'high'
+};
+
+// Pull the JSON object out of a reply, which may be wrapped in code fences
+// or surrounded by text. Throws when there is no parsable object.
+const parseReply = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('The reply does not contain a JSON object');
+  }
+
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+// A number, or a string such as "85" or "85%", clamped to 0-100
+const toScore = (value) => {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return null;
+  return Math.round(Math.min(100, Math.max(0, number)));
+};
+
+const toRiskLevel = (value) => {
+  if (typeof value !== 'string') return null;
+  const level = value.trim().toLowerCase();
+  if (RISK_LEVELS.includes(level)) return level;
+  return RISK_SYNONYMS[level] || null;
+};
+
+const toObservations = (value) => {
+  if (typeof value === 'string') return value.trim() ? [value.trim()] : [];
+  if (!Array.isArray(value)) return [];
+  return value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+};
+
+/**
+ * Validates a parsed reply. Returns { analysis, missingFields, errors }:
+ * `analysis` holds only the usable fields (null for ones that were missing
+ * or invalid), `missingFields` lists those, and `errors` explains why. A
+ * reply with no usable score or risk at all has no analysis.
+ */
+const validateSpeechAnalysis = (reply) => {
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    return { analysis: null, missingFields: [...SCORE_FIELDS, 'overallRisk'], errors: ['The reply is not a JSON object'] };
+  }
+
+  const analysis = {};
+  const missingFields = [];
+  const errors = [];
+
+  SCORE_FIELDS.forEach(field => {
+    analysis[field] = toScore(reply[field]);
+    if (analysis[field] === null) {
+      missingFields.push(field);
+      errors.push(`${field} must be a number from 0 to 100`);
+    }
+  });
+
+  analysis.overallRisk = toRiskLevel(reply.overallRisk);
+  if (analysis.overallRisk === null) {
+    missingFields.push('overallRisk');
+    errors.push(`overallRisk must be one of: ${RISK_LEVELS.join(', ')}`);
+  }
+
+  analysis.observations = toObservations(reply.observations);
+
+  const usable = missingFields.length < SCORE_FIELDS.length + 1;
+  return { analysis: usable ? analysis : null, missingFields, errors };
+};
+
+module.exports = { SCORE_FIELDS, RISK_LEVELS, parseReply, validateSpeechAnalysis };
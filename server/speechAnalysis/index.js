@@ -0,0 +1,33 @@
+/**
+ * Speech analysis providers
+ * Every provider has a `name`, the `model` it uses, the `promptVersion` it
+ * asks with (null without a prompt) and
+ * `analyze({ transcript, readingPassage, language })`, which resolves to the
+ * coherence, slurred speech and word finding scores, the overall risk and
+ * observations. The provider is chosen by config so the route never changes.
+ */
+
+const fs = require('fs');
+const { createGeminiProvider } = require('./providers/gemini');
+const { localProvider } = require('./providers/local');
+const { createMockProvider } = require('./providers/mock');
+
+const SPEECH_PROVIDERS = ['gemini', 'local', 'mock'];
+
+// Build the configured provider, failing fast on startup if it cannot be
+const createSpeechProvider = ({ provider, geminiApiKey, geminiModel, mockScriptFile }) => {
+  switch (provider) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: geminiApiKey, model: geminiModel });
+    case 'local':
+      return localProvider;
+    case 'mock':
+      return createMockProvider(mockScriptFile
+        ? { script: JSON.parse(fs.readFileSync(mockScriptFile, 'utf8')) }
+        : {});
+    default:
+      throw new Error(`Unknown speech provider "${provider}", expected one of: ${SPEECH_PROVIDERS.join(', ')}`);
+  }
+};
+
+module.exports = { SPEECH_PROVIDERS, createSpeechProvider, localProvider };
@@ -0,0 +1,46 @@
+/**
+ * Shared behaviour of the model-backed providers
+ * A model provider only has to turn a prompt into reply text; building the
+ * prompt, reading the JSON out of the reply and checking it happen here.
+ *
+ * A reply that cannot be parsed, or has nothing usable in it, is retried a
+ * bounded number of times with a prompt that says what was wrong. A reply
+ * with only some fields usable is accepted as a partial result.
+ */
+
+const { PROMPT_VERSION, buildSpeechPrompt, buildCorrectionPrompt } = require('./prompts');
+const { parseReply, validateSpeechAnalysis } = require('./analysisSchema');
+
+// Further attempts after the first reply could not be used
+const MAX_CORRECTIONS = 1;
+
+// `generate(prompt)` resolves to the model's reply text
+const createModelProvider = ({ name, model, generate }) => {
+  const analyze = async (input) => {
+    const prompt = buildSpeechPrompt(input);
+    let currentPrompt = prompt;
+
+    for (let attempt = 0; attempt <= MAX_CORRECTIONS; attempt++) {
+      const reply = await generate(currentPrompt);
+
+      let problems;
+      try {
+        const { analysis, missingFields, errors } = validateSpeechAnalysis(parseReply(reply));
+        if (analysis) {
+          return { ...analysis, missingFields, attempts: attempt + 1 };
+        }
+        problems = errors;
+      } catch (parseError) {
+        problems = [parseError.message];
+      }
+
+      currentPrompt = buildCorrectionPrompt(prompt, reply, problems);
+    }
+
+    throw new Error(`${name} gave no usable speech analysis after ${MAX_CORRECTIONS + 1} attempts`);
+  };
+
+  return { name, model, promptVersion: PROMPT_VERSION, analyze };
+};
+
+module.exports = { createModelProvider };
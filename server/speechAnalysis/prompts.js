@@ -0,0 +1,98 @@
+/**
+ * Prompts for model-based speech analysis
+ * Kept apart from the providers so every model is asked the same thing.
+ */
+
+const { getLanguage } = require('../../shared/languages');
+
+// Stored with each analysis; bump it whenever the wording below changes
+const PROMPT_VERSION = 2;
+
+// Fields every speech analysis reply must contain
+const RESPONSE_FORMAT = `
+Format the response as a JSON object with these exact fields: 
+{
+  "coherenceScore": number,
+  "slurredSpeechScore": number,
+  "wordFindingScore": number, 
+  "overallRisk": "low"|"medium"|"high",
+  "observations": string[]
+}
+
+Return only the JSON, no additional text.
+`;
+
+// Judging speech by the norms of its own language matters: what counts as
+// a normal hesitation, contraction or word order differs between languages
+const languageInstructions = (language) => {
+  const { englishName, code } = getLanguage(language);
+  return `
+The speech is in ${englishName} (language code "${code}"). Judge it by the norms of spoken ${englishName}.
+Write the observations in English, quoting words in ${englishName} as they were spoken.
+`;
+};
+
+// Compares the transcript with the passage when there is one,
+// otherwise asks for a general analysis of the speech
+const buildSpeechPrompt = ({ transcript, readingPassage, language }) => {
+  let promptText;
+
+  if (readingPassage) {
+    promptText = `
+Analyze the following speech transcript for potential stroke symptoms. The person was asked to read a specific passage, so compare their speech with the expected text:
+
+Expected reading passage: "${readingPassage}"
+
+Actual transcript: "${transcript}"
+
+Focus on:
+1. Speech coherence and clarity
+2. Word-finding difficulties (missing, substituted, or incorrect words)
+3. Slurred speech patterns
+4. Pronunciation errors that could indicate stroke
+5. Sentence completion and flow
+6. Omissions or additions compared to the expected reading passage
+
+Provide an analysis with:
+- A coherence score (0-100) - how well their speech matches the expected passage
+- A slurred speech score (0-100) - indication of slurring or unclear pronunciation
+- Word finding difficulty score (0-100) - measure of word substitutions or omissions
+- Overall stroke risk based on speech (low, medium, high)
+- Key observations including specific words or phrases that show potential issues
+`;
+  } else {
+    promptText = `
+Analyze the following speech transcript for potential stroke symptoms:
+"${transcript}"
+
+Focus on:
+1. Speech coherence and clarity
+2. Word-finding difficulties
+3. Slurred speech patterns
+4. Grammatical errors beyond normal speech
+5. Repetition or confusion
+
+Provide an analysis with:
+- A coherence score (0-100)
+- A slurred speech score (0-100)
+- Word finding difficulty score (0-100)
+- Overall stroke risk based on speech (low, medium, high)
+- Key observations
+`;
+  }
+
+  return `${promptText}${languageInstructions(language)}\n${RESPONSE_FORMAT}`;
+};
+
+// Asks again after a reply that could not be used, saying what was wrong with it
+const buildCorrectionPrompt = (originalPrompt, reply, problems) => `${originalPrompt}
+Your previous reply could not be used:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Previous reply:
+${reply}
+
+Reply again with only the JSON object in the format above.
+`;
+
+module.exports = { PROMPT_VERSION, buildSpeechPrompt, buildCorrectionPrompt };
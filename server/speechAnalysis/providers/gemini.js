@@ -0,0 +1,27 @@
+/**
+ * Google Gemini speech analysis
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createModelProvider } = require('../modelProvider');
+
+const createGeminiProvider = ({ apiKey, model }) => {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return createModelProvider({
+    name: 'gemini',
+    model,
+    generate: async (prompt) => {
+      // Without a key every request would fail, so do not try
+      if (!apiKey) {
+        throw new Error('GOOGLE_AI_API_KEY is not set');
+      }
+
+      const result = await genAI.getGenerativeModel({ model }).generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  });
+};
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,16 @@
+/**
+ * Rule-based speech analysis
+ * Uses the local scorer, so it needs no outside service and always gives
+ * the same result for the same transcript.
+ */
+
+const { scoreSpeech } = require('../../speechScorer');
+
+const localProvider = {
+  name: 'local',
+  model: 'speech-scorer',
+  promptVersion: null,
+  analyze: async (input) => scoreSpeech(input)
+};
+
+module.exports = { localProvider };
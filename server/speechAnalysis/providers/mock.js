@@ -0,0 +1,50 @@
+/**
+ * Scripted speech analysis for tests and offline runs
+ * Replies come from a script, in order, starting again after the last one.
+ * Each entry is one of:
+ * - an object: returned as the model's JSON reply
+ * - a string: returned as the raw reply text, to test bad replies
+ * - { "error": "message" }: the request fails with that message
+ */
+
+const { createModelProvider } = require('../modelProvider');
+
+const DEFAULT_SCRIPT = [
+  {
+    coherenceScore: 95,
+    slurredSpeechScore: 5,
+    wordFindingScore: 5,
+    overallRisk: 'low',
+    observations: ['Scripted analysis from the mock provider']
+  }
+];
+
+const createMockProvider = ({ script = DEFAULT_SCRIPT } = {}) => {
+  if (!Array.isArray(script) || script.length === 0) {
+    throw new Error('The mock speech script must be a non-empty array');
+  }
+
+  let next = 0;
+
+  const provider = createModelProvider({
+    name: 'mock',
+    model: 'scripted',
+    generate: async () => {
+      const entry = script[next];
+      next = (next + 1) % script.length;
+
+      if (typeof entry === 'string') return entry;
+      if (entry && entry.error) throw new Error(entry.error);
+      return JSON.stringify(entry);
+    }
+  });
+
+  // Lets tests start the script over
+  provider.reset = () => {
+    next = 0;
+  };
+
+  return provider;
+};
+
+module.exports = { createMockProvider };
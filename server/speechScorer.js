@@ -0,0 +1,291 @@
+/**
+ * Local speech scoring
+ * Aligns the words of a transcript with the reading passage and scores the
+ * differences, without any outside service. The same input always gives the
+ * same scores, so it is used on its own when the AI is unavailable and next
+ * to the AI result when it is available.
+ *
+ * The scores use the same scale as the AI analysis: coherence is higher when
+ * the reading was better, slurred speech and word finding are higher when
+ * there were more problems.
+ */
+
+const { getLanguage } = require('../shared/languages');
+
+// Substituted words this similar (share of letters changed) are near misses,
+// more likely slurred or mispronounced than a different word
+const NEAR_MISS_DISTANCE = 0.4;
+
+// Word error rates at which the reading counts as medium and high risk
+const RISK_THRESHOLDS = { medium: 0.15, high: 0.4 };
+
+// Most examples of each kind of error listed in the observations
+const MAX_EXAMPLES = 5;
+
+// Longest transcript and passage accepted, in characters. The alignment
+// fills a table of passage words by spoken words, so its cost grows with
+// the product of the two lengths.
+const MAX_TRANSCRIPT_LENGTH = 5000;
+const MAX_PASSAGE_LENGTH = 2000;
+
+const toWords = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}'\s-]/gu, ' ')
+  .replace(/-/g, ' ')
+  .split(/\s+/)
+  .map(word => word.replace(/^'+|'+$/g, ''))
+  .filter(Boolean);
+
+// Levenshtein distance between two strings, by characters
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const isNearMiss = (expected, spoken) => {
+  return editDistance(expected, spoken) / Math.max(expected.length, spoken.length) <= NEAR_MISS_DISTANCE;
+};
+
+/**
+ * Word-level alignment of `spoken` against `expected` with the fewest edits.
+ * Returns a list of operations: match, substitution, omission (a passage word
+ * that was not read) and insertion (a word that is not in the passage).
+ * Spoken words in `fillerWords` may match a passage word but never replace
+ * one, so a hesitation is not mistaken for a misread word.
+ */
+const alignWords = (expected, spoken, fillerWords = []) => {
+  const substitutionCost = (i, j) => {
+    if (expected[i] === spoken[j]) return 0;
+    return fillerWords.includes(spoken[j]) ? Infinity : 1;
+  };
+
+  const rows = expected.length + 1;
+  const cols = spoken.length + 1;
+  const cost = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) cost[i][0] = i;
+  for (let j = 0; j < cols; j++) cost[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + substitutionCost(i - 1, j - 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  // Walk back from the end, preferring matches and substitutions
+  const operations = [];
+  let i = expected.length;
+  let j = spoken.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + substitutionCost(i - 1, j - 1)) {
+      operations.push({
+        type: expected[i - 1] === spoken[j - 1] ? 'match' : 'substitution',
+        expected: expected[i - 1],
+        spoken: spoken[j - 1]
+      });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      operations.push({ type: 'omission', expected: expected[i - 1], spoken: null });
+      i--;
+    } else {
+      operations.push({ type: 'insertion', expected: null, spoken: spoken[j - 1] });
+      j--;
+    }
+  }
+
+  return operations.reverse();
+};
+
+// Inserted hesitation sounds are fillers. Other inserted words that repeat the
+// word spoken just before or after them, hesitations aside, are repetitions
+// rather than plain insertions.
+const markDisfluencies = (alignment, fillerWords) => {
+  const operations = alignment.map(operation => (
+    operation.type === 'insertion' && fillerWords.includes(operation.spoken)
+      ? { ...operation, type: 'filler' }
+      : operation
+  ));
+  const spokenAt = (index, step) => {
+    for (let k = index + step; k >= 0 && k < operations.length; k += step) {
+      if (operations[k].spoken !== null && operations[k].type !== 'filler') return operations[k].spoken;
+    }
+    return null;
+  };
+
+  return operations.map((operation, index) => {
+    if (operation.type !== 'insertion') return operation;
+    const repeated = operation.spoken === spokenAt(index, -1) || operation.spoken === spokenAt(index, 1);
+    return repeated ? { ...operation, type: 'repetition' } : operation;
+  });
+};
+
+const countOf = (operations, type) => operations.filter(operation => operation.type === type).length;
+
+const exampleList = (examples) => {
+  const shown = examples.slice(0, MAX_EXAMPLES).join(', ');
+  return examples.length > MAX_EXAMPLES ? `${shown} and ${examples.length - MAX_EXAMPLES} more` : shown;
+};
+
+const quoteList = (words) => exampleList(words.map(word => `"${word}"`));
+
+const toScore = (rate) => Math.round(Math.min(1, Math.max(0, rate)) * 100);
+
+const riskFor = (errorRate) => {
+  if (errorRate >= RISK_THRESHOLDS.high) return 'high';
+  if (errorRate >= RISK_THRESHOLDS.medium) return 'medium';
+  return 'low';
+};
+
+// Scores a reading of the passage from the word alignment
+const scoreAgainstPassage = (passageWords, spokenWords, fillerWords) => {
+  // Words like Spanish "este" are hesitations only where the passage does not
+  // have them, so fillers are counted from the alignment
+  const operations = markDisfluencies(alignWords(passageWords, spokenWords, fillerWords), fillerWords);
+
+  const substitutions = operations.filter(operation => operation.type === 'substitution');
+  const nearMisses = substitutions.filter(operation => isNearMiss(operation.expected, operation.spoken));
+  const omissions = countOf(operations, 'omission');
+  const insertions = countOf(operations, 'insertion');
+  const repetitions = countOf(operations, 'repetition');
+  const fillers = countOf(operations, 'filler');
+
+  // Every spoken word that does not match the passage counts as an error.
+  // Hesitation sounds are not words, so they only count towards word finding.
+  const wordErrorRate = (substitutions.length + omissions + insertions + repetitions) / passageWords.length;
+
+  const observations = [
+    `Word error rate ${Math.round(wordErrorRate * 100)}% against the ${passageWords.length}-word passage`
+  ];
+  const omitted = operations.filter(operation => operation.type === 'omission').map(operation => operation.expected);
+  if (omitted.length > 0) {
+    observations.push(`Omitted words: ${quoteList(omitted)}`);
+  }
+  if (substitutions.length > 0) {
+    observations.push(`Substituted words: ${exampleList(substitutions.map(operation => `"${operation.expected}" read as "${operation.spoken}"`))}`);
+  }
+  if (insertions > 0) {
+    observations.push(`Added words: ${quoteList(operations.filter(operation => operation.type === 'insertion').map(operation => operation.spoken))}`);
+  }
+  if (repetitions > 0) {
+    observations.push(`Repeated words: ${quoteList(operations.filter(operation => operation.type === 'repetition').map(operation => operation.spoken))}`);
+  }
+  if (fillers > 0) {
+    observations.push(`${fillers} hesitation sound${fillers === 1 ? '' : 's'}`);
+  }
+
+  return {
+    coherenceScore: toScore(1 - wordErrorRate),
+    // Near misses are the closest a transcript gets to showing slurring
+    slurredSpeechScore: toScore(nearMisses.length / passageWords.length),
+    // Missing and replaced words, with hesitations counting half
+    wordFindingScore: toScore((omissions + substitutions.length - nearMisses.length + (repetitions + fillers) / 2) / passageWords.length),
+    overallRisk: riskFor(wordErrorRate),
+    observations,
+    alignment: {
+      passageWords: passageWords.length,
+      spokenWords: spokenWords.length,
+      wordErrorRate,
+      omissions,
+      substitutions: substitutions.length,
+      nearMisses: nearMisses.length,
+      insertions,
+      repetitions,
+      fillers,
+      operations
+    }
+  };
+};
+
+// Without a passage only repetitions and hesitations can be counted
+const scoreFreeSpeech = (spokenWords, fillerWords) => {
+  let repetitions = 0;
+  let fillers = 0;
+  let lastWord = null;
+  spokenWords.forEach(word => {
+    if (fillerWords.includes(word)) {
+      fillers++;
+      return;
+    }
+    if (word === lastWord) repetitions++;
+    lastWord = word;
+  });
+
+  const disfluencyRate = (repetitions + fillers) / spokenWords.length;
+
+  return {
+    coherenceScore: toScore(1 - disfluencyRate),
+    slurredSpeechScore: 0,
+    wordFindingScore: toScore(disfluencyRate / 2),
+    overallRisk: riskFor(disfluencyRate),
+    observations: [
+      `${repetitions} repeated word${repetitions === 1 ? '' : 's'} and ${fillers} hesitation sound${fillers === 1 ? '' : 's'} in ${spokenWords.length} words`,
+      'No reading passage was given, so omissions, substitutions and slurring could not be checked'
+    ],
+    alignment: {
+      passageWords: 0,
+      spokenWords: spokenWords.length,
+      wordErrorRate: null,
+      omissions: null,
+      substitutions: null,
+      nearMisses: null,
+      insertions: null,
+      repetitions,
+      fillers,
+      operations: []
+    }
+  };
+};
+
+/**
+ * Scores a transcript, against the reading passage when there is one.
+ * Returns the AI analysis fields (coherenceScore, slurredSpeechScore,
+ * wordFindingScore, overallRisk, observations) plus the word alignment.
+ * The language decides which hesitation sounds are set aside; without a
+ * passage, words that are also ordinary words are never counted as fillers.
+ */
+const scoreSpeech = ({ transcript, readingPassage, language }) => {
+  const { fillerWords, ambiguousFillerWords } = getLanguage(language);
+  const spokenWords = toWords(transcript);
+  const passageWords = toWords(readingPassage);
+
+  if (spokenWords.length === 0) {
+    return {
+      coherenceScore: 0,
+      slurredSpeechScore: 0,
+      wordFindingScore: 100,
+      overallRisk: 'high',
+      observations: ['No words were recognized in the transcript'],
+      alignment: null
+    };
+  }
+
+  return passageWords.length > 0
+    ? scoreAgainstPassage(passageWords, spokenWords, [...fillerWords, ...ambiguousFillerWords])
+    : scoreFreeSpeech(spokenWords, fillerWords);
+};
+
+module.exports = {
+  RISK_THRESHOLDS,
+  MAX_TRANSCRIPT_LENGTH,
+  MAX_PASSAGE_LENGTH,
+  scoreSpeech,
+  alignWords,
+  toWords,
+  isNearMiss
+};
@@ -0,0 +1,139 @@
+/**
+ * Scoring of the speech tasks besides reading aloud
+ * 1. Naming - was the pictured object named
+ * 2. Repetition - was the heard sentence repeated word for word
+ * 3. Command - was the spoken command carried out. The browser checks this
+ *    from the face and pose landmarks (shared/commandTasks.js) and sends the
+ *    outcome; it is scored here like the other tasks.
+ *
+ * Each result has a score from 0 to 1, whether it counts as correct, and
+ * observations worded like those of the speech analysis.
+ */
+
+const { scoreSpeech, toWords, isNearMiss } = require('./speechScorer');
+const { getLanguage } = require('../shared/languages');
+
+const round = (value) => Number(value.toFixed(2));
+
+// Right if an accepted answer was said anywhere in the reply ("it's a key"),
+// half right if a word came close to one, as in a sound error or slurring.
+// Answers are looked for with and without hesitation sounds, so an answer
+// spelled like one still counts and one broken up by a hesitation does too.
+const scoreNaming = (item, transcript, language) => {
+  const { fillerWords, ambiguousFillerWords } = getLanguage(language);
+  const words = toWords(transcript);
+  const spoken = words.filter(word => !fillerWords.includes(word) && !ambiguousFillerWords.includes(word));
+  const answers = item.acceptedAnswers.map(answer => toWords(answer).join(' '));
+  const spokenTexts = [words, spoken].map(list => ` ${list.join(' ')} `);
+
+  const named = answers.find(answer => spokenTexts.some(text => text.includes(` ${answer} `)));
+  if (named) {
+    return { score: 1, correct: true, details: { matchedAnswer: named }, observations: [`Named the ${item.text} correctly`] };
+  }
+
+  if (spoken.length === 0) {
+    return { score: 0, correct: false, details: { matchedAnswer: null }, observations: ['No answer was given'] };
+  }
+
+  const nearMiss = spoken.find(word => answers.some(answer => isNearMiss(answer, word)));
+  if (nearMiss) {
+    return {
+      score: 0.5,
+      correct: false,
+      details: { matchedAnswer: null, nearMiss },
+      observations: [`Said "${nearMiss}", close to "${item.text}"`]
+    };
+  }
+
+  return {
+    score: 0,
+    correct: false,
+    details: { matchedAnswer: null },
+    observations: [`Answered "${spoken.join(' ')}" instead of "${item.text}"`]
+  };
+};
+
+// Scored like a reading of the sentence; hesitations and repeated words are
+// noted but only missing, changed or added words make it incorrect
+const scoreRepetition = (item, transcript, language) => {
+  const analysis = scoreSpeech({ transcript, readingPassage: item.text, language });
+
+  if (!analysis.alignment) {
+    return { score: 0, correct: false, details: { alignment: null }, observations: analysis.observations };
+  }
+
+  const { wordErrorRate, omissions, substitutions, insertions } = analysis.alignment;
+  return {
+    score: round(Math.max(0, 1 - wordErrorRate)),
+    correct: omissions + substitutions + insertions === 0,
+    details: { alignment: analysis.alignment },
+    observations: analysis.observations
+  };
+};
+
+// Raising the other arm first shows the command was not fully understood
+const scoreCommand = (item, command) => {
+  let score = 0;
+  if (command.completed) {
+    score = command.wrongAction ? 0.5 : 1;
+  }
+
+  const observations = [command.completed
+    ? `Carried out "${item.text}" after ${command.responseSeconds.toFixed(1)} seconds`
+    : `Did not carry out "${item.text}"`];
+  if (command.wrongAction) {
+    observations.push('Raised the other arm');
+  }
+
+  return {
+    score,
+    correct: score === 1,
+    details: { responseSeconds: command.responseSeconds, wrongAction: command.wrongAction, framesSeen: command.framesSeen },
+    observations
+  };
+};
+
+// Returns the problems with a command outcome from the browser, empty when it is valid
+const validateCommandResult = (item, command) => {
+  if (!command || typeof command !== 'object') {
+    return ['command is required for command tasks'];
+  }
+
+  const errors = [];
+  if (command.action !== item.action) {
+    errors.push(`command.action must be "${item.action}"`);
+  }
+  if (typeof command.completed !== 'boolean') {
+    errors.push('command.completed must be true or false');
+  }
+  if (command.completed && (typeof command.responseSeconds !== 'number' || command.responseSeconds < 0)) {
+    errors.push('command.responseSeconds must be a number of seconds when the command was completed');
+  }
+  if (typeof command.wrongAction !== 'boolean') {
+    errors.push('command.wrongAction must be true or false');
+  }
+  if (!Number.isInteger(command.framesSeen) || command.framesSeen <= 0) {
+    errors.push('command.framesSeen must be a positive integer');
+  }
+  return errors;
+};
+
+/**
+ * Scores a response to a task item from the passage library. Naming and
+ * repetition take the transcript of the reply, command tasks the outcome of
+ * the landmark check.
+ */
+const scoreTaskResponse = ({ item, transcript, command }) => {
+  switch (item.taskType) {
+    case 'naming':
+      return scoreNaming(item, transcript, item.language);
+    case 'repetition':
+      return scoreRepetition(item, transcript, item.language);
+    case 'command':
+      return scoreCommand(item, command);
+    default:
+      throw new Error(`Unsupported task type "${item.taskType}"`);
+  }
+};
+
+module.exports = { scoreTaskResponse, validateCommandResult };
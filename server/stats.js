@@ -0,0 +1,141 @@
+/**
+ * Aggregate statistics over stored records
+ * Computed from the records on every request rather than kept as running
+ * counters, so they follow deletions, imports and filters and cannot drift
+ * from the data.
+ */
+
+const { ASSESSMENT_METRICS } = require('./fhir/codes');
+const { SCORE_FIELDS, RISK_LEVELS } = require('./speechAnalysis/analysisSchema');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Speech scores run from 0 to 100; the last bucket includes 100
+const SCORE_BUCKETS = [0, 20, 40, 60, 80].map(from => ({ from, to: from + 20 }));
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+const summarize = (values) => {
+  if (values.length === 0) {
+    return { count: 0, mean: null, min: null, max: null, median: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    median: sorted.length % 2 === 0 ? round((sorted[middle - 1] + sorted[middle]) / 2) : sorted[middle]
+  };
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// How many records have each risk level; records without one count as unscored
+const riskDistribution = (records, riskField) => {
+  const distribution = Object.fromEntries(RISK_LEVELS.map(level => [level, 0]));
+  distribution.unscored = 0;
+  records.forEach(record => {
+    if (RISK_LEVELS.includes(record[riskField])) distribution[record[riskField]] += 1;
+    else distribution.unscored += 1;
+  });
+  return distribution;
+};
+
+// Calendar date (YYYY-MM-DD) of a timestamp in the time zone
+const createDayFormatter = (timeZone) => {
+  const format = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  return (timestamp) => format.format(new Date(timestamp));
+};
+
+// ISO 8601 week of a calendar date: its label (2026-W42) and Monday
+const isoWeek = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+  const thursday = new Date(monday.getTime() + 3 * DAY_MS);
+  const year = thursday.getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS));
+  return { week: `${year}-W${String(week).padStart(2, '0')}`, weekStart: monday.toISOString().slice(0, 10) };
+};
+
+const hasValidTimestamp = (record) => !Number.isNaN(Date.parse(record.timestamp));
+
+// Record counts per period, oldest first; periods without records are left
+// out, and so are records whose timestamp cannot be read
+const countByPeriod = (allAssessments, allSpeechAnalyses, periodOf) => {
+  const assessments = allAssessments.filter(hasValidTimestamp);
+  const speechAnalyses = allSpeechAnalyses.filter(hasValidTimestamp);
+  const periods = new Map();
+  const periodFor = (record) => {
+    const period = periodOf(record.timestamp);
+    if (!periods.has(period.key)) {
+      periods.set(period.key, { ...period.fields, assessments: 0, highRiskAssessments: 0, speechAnalyses: 0 });
+    }
+    return periods.get(period.key);
+  };
+
+  assessments.forEach(assessment => {
+    const period = periodFor(assessment);
+    period.assessments += 1;
+    if (assessment.riskLevel === 'high') period.highRiskAssessments += 1;
+  });
+  speechAnalyses.forEach(analysis => {
+    periodFor(analysis).speechAnalyses += 1;
+  });
+
+  return [...periods.keys()].sort().map(key => periods.get(key));
+};
+
+/**
+ * Aggregates over the given assessments and speech analyses. Days and weeks
+ * follow the calendar of `timeZone` (an IANA name).
+ */
+const computeStats = ({ assessments, speechAnalyses, timeZone = 'UTC' }) => {
+  const dayOf = createDayFormatter(timeZone);
+
+  const averageMetrics = Object.fromEntries(Object.keys(ASSESSMENT_METRICS).map(key => {
+    const group = ASSESSMENT_METRICS[key].group || 'asymmetryMetrics';
+    const values = assessments
+      .map(assessment => (group === 'assessment' ? assessment[key] : assessment[group]?.[key]))
+      .filter(isNumber);
+    return [key, summarize(values)];
+  }));
+
+  const scoreDistributions = Object.fromEntries(SCORE_FIELDS.map(field => {
+    const values = speechAnalyses.map(analysis => analysis[field]).filter(isNumber);
+    return [field, {
+      ...summarize(values),
+      buckets: SCORE_BUCKETS.map(({ from, to }) => ({
+        from,
+        to,
+        count: values.filter(value => value >= from && (value < to || (to === 100 && value === 100))).length
+      }))
+    }];
+  }));
+
+  return {
+    timeZone,
+    assessments: {
+      total: assessments.length,
+      riskDistribution: riskDistribution(assessments, 'riskLevel'),
+      metrics: averageMetrics
+    },
+    speechAnalyses: {
+      total: speechAnalyses.length,
+      riskDistribution: riskDistribution(speechAnalyses, 'overallRisk'),
+      scores: scoreDistributions
+    },
+    perDay: countByPeriod(assessments, speechAnalyses, timestamp => {
+      const day = dayOf(timestamp);
+      return { key: day, fields: { date: day } };
+    }),
+    perWeek: countByPeriod(assessments, speechAnalyses, timestamp => {
+      const { week, weekStart } = isoWeek(dayOf(timestamp));
+      return { key: week, fields: { week, weekStart } };
+    })
+  };
+};
+
+module.exports = { computeStats, SCORE_BUCKETS };
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { decodeWav, decodePcm, computeAcousticFeatures, MAX_DURATION_SECONDS } = require('../acousticFeatures');
+
+// A voice-like tone at `pitchHz` with harmonics, silent for every third half second
+const synthesize = ({ sampleRate, seconds, pitchHz = 150 }) => {
+  const samples = new Float32Array(Math.round(sampleRate * seconds));
+  for (let i = 0; i < samples.length; i++) {
+    const phase = 2 * Math.PI * pitchHz * i / sampleRate;
+    const silent = Math.floor(i / sampleRate * 2) % 3 === 2;
+    samples[i] = silent ? 0 : 0.5 * Math.sin(phase) + 0.2 * Math.sin(2 * phase) + 0.1 * Math.sin(3 * phase);
+  }
+  return samples;
+};
+
+const toPcm = (samples) => {
+  const buffer = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => buffer.writeInt16LE(Math.round(sample * 32767), i * 2));
+  return buffer;
+};
+
+const toWav = (samples, sampleRate) => {
+  const data = toPcm(samples);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+};
+
+test('a WAV file and the same raw PCM give the same features', () => {
+  const samples = synthesize({ sampleRate: 16000, seconds: 3 });
+  const fromWav = computeAcousticFeatures(decodeWav(toWav(samples, 16000)), { wordCount: 6 });
+  const fromPcm = computeAcousticFeatures(decodePcm(toPcm(samples), 16000), { wordCount: 6 });
+
+  assert.deepStrictEqual(fromWav, fromPcm);
+  assert.strictEqual(fromWav.durationSeconds, 3);
+  assert.strictEqual(fromWav.pauseCount, 1);
+  assert.strictEqual(fromWav.sampleRate, 16000);
+});
+
+test('the pitch is found at every sample rate', () => {
+  [8000, 16000, 44100, 48000, 192000].forEach(sampleRate => {
+    const { pitchMedianHz } = computeAcousticFeatures({ sampleRate, samples: synthesize({ sampleRate, seconds: 1, pitchHz: 150 }) });
+    assert.ok(Math.abs(pitchMedianHz - 150) < 3, `${pitchMedianHz} Hz at ${sampleRate} Hz`);
+  });
+});
+
+test('silence has no speech and no pitch', () => {
+  const features = computeAcousticFeatures({ sampleRate: 16000, samples: new Float32Array(16000) });
+
+  assert.strictEqual(features.speechSeconds, 0);
+  assert.strictEqual(features.pitchMedianHz, null);
+});
+
+test(`recordings longer than ${MAX_DURATION_SECONDS} seconds are refused`, () => {
+  const sampleRate = 8000;
+  const samples = new Float32Array(sampleRate * (MAX_DURATION_SECONDS + 1));
+
+  assert.throws(() => computeAcousticFeatures({ sampleRate, samples }), /at most 60 seconds/);
+});
+
+test('files that are not usable WAV audio are refused', () => {
+  assert.throws(() => decodeWav(Buffer.from('not a wav file')), /Not a WAV file/);
+
+  const wav = toWav(new Float32Array(100), 16000);
+  wav.writeUInt32LE(4000, 24);
+  assert.throws(() => decodeWav(wav), /sample rate/);
+});
@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const config = require('../config');
+const { buildFhirBundle, parseFhirBundle } = require('../fhir');
+const { createFhirRouter } = require('../routes/fhir');
+const { createMemoryDb } = require('../memoryDb');
+const { loadRiskRules } = require('../risk');
+
+const patient = { id: 'patient-1', name: 'Ana Lopez', sex: 'female', dateOfBirth: '1950-03-04' };
+const session = {
+  id: 'session-1',
+  patientId: patient.id,
+  status: 'completed',
+  language: 'es',
+  startedAt: '2026-10-19T08:00:00.000Z',
+  completedAt: '2026-10-19T08:20:00.000Z'
+};
+const assessment = {
+  id: 'assessment-1',
+  sessionId: session.id,
+  timestamp: '2026-10-19T08:05:00.000Z',
+  asymmetryMetrics: { eyeAsymmetry: 0.12, mouthAsymmetry: 0.3, headPose: { yaw: 4, pitch: -2, roll: 1 } },
+  postureMetrics: { shoulderImbalance: 0.05 },
+  riskLevel: 'medium',
+  riskScore: 3,
+  findings: ['Mouth asymmetry above threshold'],
+  rulesVersion: 2
+};
+const speechAnalysis = {
+  id: 'speech-1',
+  sessionId: session.id,
+  timestamp: '2026-10-19T08:10:00.000Z',
+  transcript: 'el perro corre',
+  readingPassage: 'el perro corre rapido',
+  passageId: 'es-reading-1',
+  language: 'es',
+  coherenceScore: 75,
+  slurredSpeechScore: 0,
+  wordFindingScore: 25,
+  overallRisk: 'medium',
+  observations: ['Omitted words: "rapido"'],
+  source: 'local',
+  acousticFeatures: { durationSeconds: 3.2, speechSeconds: 2.5, pauseCount: 1, sampleRate: 16000 }
+};
+
+const exported = () => buildFhirBundle({ patient, session, assessments: [assessment], speechAnalyses: [speechAnalysis] });
+
+test('an exported session imports back with its ids, metrics and risk levels', () => {
+  const parsed = parseFhirBundle(JSON.parse(JSON.stringify(exported())));
+
+  assert.strictEqual(parsed.errors, undefined);
+  assert.deepStrictEqual(parsed.patient, { id: patient.id, name: patient.name, sex: 'female', dateOfBirth: '1950-03-04' });
+  assert.strictEqual(parsed.session.id, session.id);
+  assert.strictEqual(parsed.session.status, 'completed');
+  assert.strictEqual(parsed.session.language, 'es');
+
+  const [importedAssessment] = parsed.assessments;
+  assert.strictEqual(importedAssessment.id, assessment.id);
+  assert.strictEqual(importedAssessment.sessionId, session.id);
+  assert.deepStrictEqual(importedAssessment.asymmetryMetrics, assessment.asymmetryMetrics);
+  assert.deepStrictEqual(importedAssessment.postureMetrics, assessment.postureMetrics);
+  assert.strictEqual(importedAssessment.riskLevel, 'medium');
+  assert.strictEqual(importedAssessment.riskScore, 3);
+  assert.strictEqual(importedAssessment.rulesVersion, 2);
+  assert.deepStrictEqual(importedAssessment.findings, assessment.findings);
+
+  const [importedAnalysis] = parsed.speechAnalyses;
+  assert.strictEqual(importedAnalysis.id, speechAnalysis.id);
+  assert.strictEqual(importedAnalysis.transcript, speechAnalysis.transcript);
+  assert.strictEqual(importedAnalysis.readingPassage, speechAnalysis.readingPassage);
+  assert.strictEqual(importedAnalysis.passageId, speechAnalysis.passageId);
+  assert.strictEqual(importedAnalysis.coherenceScore, 75);
+  assert.strictEqual(importedAnalysis.wordFindingScore, 25);
+  assert.strictEqual(importedAnalysis.overallRisk, 'medium');
+  assert.deepStrictEqual(importedAnalysis.observations, speechAnalysis.observations);
+  assert.strictEqual(importedAnalysis.acousticFeatures.pauseCount, 1);
+  assert.strictEqual(importedAnalysis.acousticFeatures.pitchMedianHz, null);
+});
+
+test('a date of birth that is not a calendar date is left out of the export', () => {
+  const bundle = buildFhirBundle({ patient: { ...patient, dateOfBirth: '03/04/1950' }, assessments: [assessment] });
+  const parsed = parseFhirBundle(bundle);
+
+  assert.strictEqual(parsed.errors, undefined);
+  assert.strictEqual(parsed.patient.dateOfBirth, undefined);
+});
+
+test('an invalid bundle reports every problem and returns no records', () => {
+  const bundle = exported();
+  bundle.entry
+    .filter(({ resource }) => resource.valueQuantity && resource.valueQuantity.code === '%')
+    .forEach(({ resource }) => { resource.valueQuantity.value = 'high'; });
+  const parsed = parseFhirBundle(bundle);
+
+  assert.strictEqual(parsed.errors.length, 3);
+  assert.strictEqual(parsed.speechAnalyses, undefined);
+});
+
+test('a bundle that is not a FHIR Bundle is refused', () => {
+  assert.deepStrictEqual(parseFhirBundle({ resourceType: 'Patient' }), { errors: ['Body must be a FHIR Bundle'] });
+});
+
+// The import route, on a fresh in-memory database
+const importBundle = async (bundle, initialData) => {
+  const app = express();
+  const db = createMemoryDb({ initialData });
+  app.use('/api/fhir', createFhirRouter({ db, rules: loadRiskRules(config.risk.rulesFile) }));
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://localhost:${server.address().port}/api/fhir/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/fhir+json' },
+      body: JSON.stringify(bundle)
+    });
+    return { status: response.status, body: await response.json(), db };
+  } finally {
+    server.close();
+  }
+};
+
+test('an imported bundle is stored with its patient and completed session', async () => {
+  const { status, body, db } = await importBundle(exported());
+
+  assert.strictEqual(status, 201);
+  assert.deepStrictEqual(body.speechAnalysisIds, [speechAnalysis.id]);
+  assert.strictEqual(db.getSession(session.id).status, 'completed');
+  assert.strictEqual(db.getSpeechAnalysis(speechAnalysis.id).patientId, patient.id);
+});
+
+test('records are not imported into a stored session that is already completed', async () => {
+  const { status, body } = await importBundle(exported(), { patients: [patient], sessions: [session] });
+
+  assert.strictEqual(status, 409);
+  assert.deepStrictEqual(body.details, [`Session ${session.id}: Session is already completed`]);
+});
+
+test('a speech analysis without a risk level or with scores out of range is refused', async () => {
+  const bundle = exported();
+  bundle.entry = bundle.entry.filter(({ resource }) =>
+    resource.resourceType !== 'RiskAssessment' || resource.identifier[0].value !== speechAnalysis.id);
+  bundle.entry
+    .filter(({ resource }) => resource.valueQuantity && resource.valueQuantity.code === '%')
+    .forEach(({ resource }) => { resource.valueQuantity.value = 150; });
+  const { status, body } = await importBundle(bundle);
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.details.length, 4);
+  assert.ok(body.details.every(detail => detail.startsWith(`Speech analysis ${speechAnalysis.id}:`)));
+});
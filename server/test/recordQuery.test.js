@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseRecordQuery, paginateRecords, parseRecordFilters } = require('../recordQuery');
+
+const sortFields = {
+  timestamp: record => record.timestamp,
+  riskScore: record => record.riskScore
+};
+
+// Seven records, some sharing a timestamp or a risk score, one without a score
+const records = [
+  { id: 'a', timestamp: '2026-10-19T08:00:00.000Z', riskScore: 2 },
+  { id: 'b', timestamp: '2026-10-19T09:00:00.000Z', riskScore: 5 },
+  { id: 'c', timestamp: '2026-10-19T09:00:00.000Z', riskScore: 2 },
+  { id: 'd', timestamp: '2026-10-19T10:00:00.000Z', riskScore: null },
+  { id: 'e', timestamp: '2026-10-19T11:00:00.000Z', riskScore: 2 },
+  { id: 'f', timestamp: '2026-10-19T11:00:00.000Z', riskScore: 7 },
+  { id: 'g', timestamp: '2026-10-19T12:00:00.000Z', riskScore: 5 }
+];
+
+// Follows nextCursor to the end and returns the ids of every page
+const readAllPages = (query, stored = records) => {
+  const pages = [];
+  let cursor;
+  do {
+    const { errors, page } = parseRecordQuery({ ...query, ...(cursor ? { cursor } : {}) }, { sortFields });
+    assert.strictEqual(errors, undefined);
+    const result = paginateRecords(stored, page);
+    pages.push(result.items.map(record => record.id));
+    cursor = result.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+test('pages follow each other without skipping or repeating records', () => {
+  assert.deepStrictEqual(readAllPages({ limit: '3' }), [['g', 'f', 'e'], ['d', 'c', 'b'], ['a']]);
+  assert.deepStrictEqual(readAllPages({ limit: '3', order: 'asc' }), [['a', 'b', 'c'], ['d', 'e', 'f'], ['g']]);
+});
+
+test('ties and missing values are ordered by id across pages', () => {
+  assert.deepStrictEqual(
+    readAllPages({ sort: 'riskScore', order: 'asc', limit: '2' }),
+    [['d', 'a'], ['c', 'e'], ['b', 'g'], ['f']]
+  );
+});
+
+test('a cursor keeps its place when records are added before it', () => {
+  const { page } = parseRecordQuery({ limit: '3' }, { sortFields });
+  const first = paginateRecords(records, page);
+
+  const newer = [...records, { id: 'h', timestamp: '2026-10-19T13:00:00.000Z', riskScore: 1 }];
+  const next = parseRecordQuery({ limit: '3', cursor: first.nextCursor }, { sortFields });
+  assert.deepStrictEqual(paginateRecords(newer, next.page).items.map(record => record.id), ['d', 'c', 'b']);
+});
+
+test('the last page has no cursor', () => {
+  const { page } = parseRecordQuery({ limit: '7' }, { sortFields });
+  assert.strictEqual(paginateRecords(records, page).nextCursor, null);
+});
+
+test('invalid cursors, sorts and page sizes are reported', () => {
+  const { page } = parseRecordQuery({ limit: '2' }, { sortFields });
+  const { nextCursor } = paginateRecords(records, page);
+
+  assert.deepStrictEqual(parseRecordQuery({ cursor: 'not-a-cursor' }, { sortFields }).errors, ['cursor is not valid']);
+  assert.deepStrictEqual(
+    parseRecordQuery({ cursor: nextCursor, order: 'asc' }, { sortFields }).errors,
+    ['cursor belongs to a different sort or order']
+  );
+  assert.deepStrictEqual(parseRecordQuery({ sort: 'name', limit: '0' }, { sortFields }).errors, [
+    'sort must be one of: timestamp, riskScore',
+    'limit must be a whole number from 1 to 100'
+  ]);
+});
+
+test('a date on its own covers the whole day in the time zone', () => {
+  assert.deepStrictEqual(parseRecordFilters({ from: '2026-10-19', to: '2026-10-19' }).filters, {
+    patientId: undefined,
+    sessionId: undefined,
+    riskLevels: null,
+    from: '2026-10-19T00:00:00.000Z',
+    to: '2026-10-19T23:59:59.999Z'
+  });
+  const { filters } = parseRecordFilters({ to: '2026-10-19' }, { timeZone: 'Europe/Berlin' });
+  assert.strictEqual(filters.to, '2026-10-19T21:59:59.999Z');
+});
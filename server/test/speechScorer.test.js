@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scoreSpeech } = require('../speechScorer');
+
+const PASSAGE = 'The quick brown fox jumps over the lazy dog';
+
+test('a reading that matches the passage has no word errors', () => {
+  const result = scoreSpeech({ transcript: PASSAGE, readingPassage: PASSAGE, language: 'en' });
+
+  assert.strictEqual(result.alignment.wordErrorRate, 0);
+  assert.strictEqual(result.coherenceScore, 100);
+  assert.strictEqual(result.overallRisk, 'low');
+});
+
+test('omitted, substituted and added words count towards the word error rate', () => {
+  const result = scoreSpeech({
+    transcript: 'The brown cat jumps over the lazy old dog',
+    readingPassage: PASSAGE,
+    language: 'en'
+  });
+
+  assert.strictEqual(result.alignment.omissions, 1);
+  assert.strictEqual(result.alignment.substitutions, 1);
+  assert.strictEqual(result.alignment.insertions, 1);
+  assert.strictEqual(result.alignment.wordErrorRate, 3 / 9);
+  assert.strictEqual(result.overallRisk, 'medium');
+});
+
+test('hesitation sounds are left out of the word error rate and the risk', () => {
+  const result = scoreSpeech({
+    transcript: 'The quick um brown fox uh jumps over er the lazy dog',
+    readingPassage: PASSAGE,
+    language: 'en'
+  });
+
+  assert.strictEqual(result.alignment.fillers, 3);
+  assert.strictEqual(result.alignment.wordErrorRate, 0);
+  assert.strictEqual(result.overallRisk, 'low');
+  // They still show up as word-finding trouble and in the observations
+  assert.ok(result.wordFindingScore > 0);
+  assert.ok(result.observations.includes('3 hesitation sounds'));
+});
+
+test('a hesitation sound is never aligned with a passage word', () => {
+  const result = scoreSpeech({
+    transcript: 'The quick um fox jumps over the lazy dog',
+    readingPassage: PASSAGE,
+    language: 'en'
+  });
+
+  assert.strictEqual(result.alignment.fillers, 1);
+  assert.strictEqual(result.alignment.substitutions, 0);
+  assert.strictEqual(result.alignment.omissions, 1);
+});
+
+test('ordinary words used as fillers count only when the passage shows they were not read', () => {
+  const reading = scoreSpeech({
+    transcript: 'este es el libro pues',
+    readingPassage: 'este es el libro',
+    language: 'es'
+  });
+  assert.strictEqual(reading.alignment.fillers, 1);
+  assert.strictEqual(reading.alignment.wordErrorRate, 0);
+
+  const freeSpeech = scoreSpeech({ transcript: 'hola este es un dia pues bueno', language: 'es' });
+  assert.strictEqual(freeSpeech.alignment.fillers, 0);
+  assert.strictEqual(freeSpeech.overallRisk, 'low');
+});
+
+test('free speech counts repetitions and hesitation sounds', () => {
+  const result = scoreSpeech({ transcript: 'I I went euh to the the shop', language: 'fr' });
+
+  assert.strictEqual(result.alignment.repetitions, 2);
+  assert.strictEqual(result.alignment.fillers, 1);
+  assert.strictEqual(result.alignment.wordErrorRate, null);
+});
+
+test('a transcript without words is high risk', () => {
+  const result = scoreSpeech({ transcript: '  ...  ', readingPassage: PASSAGE, language: 'en' });
+
+  assert.strictEqual(result.overallRisk, 'high');
+  assert.strictEqual(result.alignment, null);
+});
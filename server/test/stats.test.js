@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { computeStats } = require('../stats');
+
+const assessments = [
+  { id: 'a', timestamp: '2026-10-18T23:30:00.000Z', riskLevel: 'high', riskScore: 6, asymmetryMetrics: { eyeAsymmetry: 0.2 } },
+  { id: 'b', timestamp: '2026-10-19T10:00:00.000Z', riskLevel: 'low', riskScore: 0, asymmetryMetrics: { eyeAsymmetry: 0.1 } },
+  { id: 'c', timestamp: 'not a time', riskLevel: 'medium', riskScore: 3, asymmetryMetrics: { eyeAsymmetry: 0.3 } },
+  { id: 'd', riskLevel: null, postureMetrics: { headTilt: 0.05 } }
+];
+const speechAnalyses = [
+  { id: 's1', timestamp: '2026-10-19T11:00:00.000Z', overallRisk: 'low', coherenceScore: 100, slurredSpeechScore: 0, wordFindingScore: 20 },
+  { id: 's2', timestamp: '2026-13-45T99:00:00Z', overallRisk: 'high', coherenceScore: 40, slurredSpeechScore: 60, wordFindingScore: 80 }
+];
+
+test('records with unreadable timestamps are left out of the day and week counts only', () => {
+  const stats = computeStats({ assessments, speechAnalyses });
+
+  assert.deepStrictEqual(stats.perDay, [
+    { date: '2026-10-18', assessments: 1, highRiskAssessments: 1, speechAnalyses: 0 },
+    { date: '2026-10-19', assessments: 1, highRiskAssessments: 0, speechAnalyses: 1 }
+  ]);
+  assert.deepStrictEqual(stats.perWeek, [
+    { week: '2026-W42', weekStart: '2026-10-12', assessments: 1, highRiskAssessments: 1, speechAnalyses: 0 },
+    { week: '2026-W43', weekStart: '2026-10-19', assessments: 1, highRiskAssessments: 0, speechAnalyses: 1 }
+  ]);
+
+  assert.strictEqual(stats.assessments.total, 4);
+  assert.deepStrictEqual(stats.assessments.riskDistribution, { low: 1, medium: 1, high: 1, unscored: 1 });
+  assert.strictEqual(stats.assessments.metrics.eyeAsymmetry.count, 3);
+  assert.strictEqual(stats.speechAnalyses.total, 2);
+  assert.strictEqual(stats.speechAnalyses.scores.coherenceScore.count, 2);
+});
+
+test('days and weeks follow the time zone', () => {
+  const stats = computeStats({ assessments, speechAnalyses, timeZone: 'Europe/Berlin' });
+
+  assert.deepStrictEqual(stats.perDay.map(day => [day.date, day.assessments]), [['2026-10-19', 2]]);
+  assert.deepStrictEqual(stats.perWeek.map(week => week.week), ['2026-W43']);
+});
+
+test('speech scores fall into buckets of 20 points, 100 in the last', () => {
+  const { buckets } = computeStats({ assessments: [], speechAnalyses }).speechAnalyses.scores.coherenceScore;
+
+  assert.deepStrictEqual(buckets.map(bucket => bucket.count), [0, 0, 1, 0, 1]);
+});
@@ -0,0 +1,60 @@
+/**
+ * Transcription backends
+ * Every transcriber has a `name`, `upload(buffer)`, which stores audio and
+ * resolves to a URL it can read, and `transcribe({ audioUrl, languageCode })`,
+ * which resolves to { text, words, confidence, languageCode }. Each word is
+ * { text, start, end, confidence } with times in milliseconds.
+ */
+
+const { createAssemblyAITranscriber } = require('./providers/assemblyai');
+const { createLocalTranscriber } = require('./providers/local');
+
+const TRANSCRIBERS = ['assemblyai', 'local'];
+
+// Build the configured transcriber. An unknown provider fails on startup; a
+// missing API key only fails the requests that need it.
+const createTranscriber = ({ provider, assemblyaiApiKey, localTranscript }) => {
+  switch (provider) {
+    case 'assemblyai':
+      return createAssemblyAITranscriber({ apiKey: assemblyaiApiKey });
+    case 'local':
+      return createLocalTranscriber({ transcript: localTranscript });
+    default:
+      throw new Error(`Unknown transcription provider "${provider}", expected one of: ${TRANSCRIBERS.join(', ')}`);
+  }
+};
+
+const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isConfidence = (value) => value === null || (typeof value === 'number' && value >= 0 && value <= 1);
+
+// Checks a transcription sent back with a transcript, returning a list of problems
+const validateTranscription = (transcription) => {
+  if (!transcription || typeof transcription !== 'object') {
+    return ['transcription must be an object'];
+  }
+
+  const errors = [];
+  if (typeof transcription.source !== 'string' || !transcription.source) {
+    errors.push('transcription.source is required');
+  }
+  if (transcription.confidence !== undefined && !isConfidence(transcription.confidence)) {
+    errors.push('transcription.confidence must be null or from 0 to 1');
+  }
+  if (transcription.words !== undefined) {
+    if (!Array.isArray(transcription.words)) {
+      errors.push('transcription.words must be an array');
+    } else {
+      transcription.words.forEach((word, i) => {
+        if (!word || typeof word.text !== 'string' || !isTime(word.start) || !isTime(word.end) || word.end < word.start) {
+          errors.push(`transcription.words[${i}] needs text and start <= end times in milliseconds`);
+        } else if (!isConfidence(word.confidence ?? null)) {
+          errors.push(`transcription.words[${i}].confidence must be null or from 0 to 1`);
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+module.exports = { TRANSCRIBERS, createTranscriber, validateTranscription };
@@ -0,0 +1,46 @@
+/**
+ * AssemblyAI transcription
+ */
+
+const { AssemblyAI } = require('assemblyai');
+
+const createAssemblyAITranscriber = ({ apiKey }) => {
+  const client = new AssemblyAI({ apiKey });
+
+  // Without a key every request would fail, so do not try
+  const requireKey = () => {
+    if (!apiKey) {
+      throw new Error('ASSEMBLYAI_API_KEY is not set');
+    }
+  };
+
+  return {
+    name: 'assemblyai',
+
+    upload: async (buffer) => {
+      requireKey();
+      return client.files.upload(buffer);
+    },
+
+    transcribe: async ({ audioUrl, languageCode }) => {
+      requireKey();
+      const transcript = await client.transcripts.transcribe({
+        audio: audioUrl,
+        language_code: languageCode
+      });
+
+      if (transcript.status === 'error') {
+        throw new Error(transcript.error || 'Transcription failed');
+      }
+
+      return {
+        text: transcript.text || '',
+        words: (transcript.words || []).map(({ text, start, end, confidence }) => ({ text, start, end, confidence })),
+        confidence: transcript.confidence ?? null,
+        languageCode: transcript.language_code || languageCode
+      };
+    }
+  };
+};
+
+module.exports = { createAssemblyAITranscriber };
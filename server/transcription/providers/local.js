@@ -0,0 +1,68 @@
+/**
+ * Local stand-in for transcription
+ * Keeps uploads in memory and "transcribes" them to a configured text, with
+ * the words spread evenly over the recording. It does no speech recognition;
+ * it lets the upload and transcription flow run without an outside service.
+ * Confidences are null since nothing was recognized.
+ */
+
+const crypto = require('crypto');
+const { decodeWav } = require('../../acousticFeatures');
+
+const URL_PREFIX = 'local-upload:';
+
+// Uploads kept in memory; the oldest are dropped past this many
+const MAX_UPLOADS = 20;
+
+// Word length assumed when the audio is not a WAV file
+const DEFAULT_WORD_MS = 400;
+
+const durationMs = (buffer, wordCount) => {
+  try {
+    const { sampleRate, samples } = decodeWav(buffer);
+    return (samples.length / sampleRate) * 1000;
+  } catch (error) {
+    return wordCount * DEFAULT_WORD_MS;
+  }
+};
+
+const createLocalTranscriber = ({ transcript = '' } = {}) => {
+  const uploads = new Map();
+
+  return {
+    name: 'local',
+
+    upload: async (buffer) => {
+      const id = crypto.randomUUID();
+      uploads.set(id, buffer);
+      if (uploads.size > MAX_UPLOADS) {
+        uploads.delete(uploads.keys().next().value);
+      }
+      return `${URL_PREFIX}${id}`;
+    },
+
+    transcribe: async ({ audioUrl, languageCode }) => {
+      const buffer = audioUrl.startsWith(URL_PREFIX) ? uploads.get(audioUrl.slice(URL_PREFIX.length)) : null;
+      if (!buffer) {
+        throw new Error('The local transcriber only reads audio uploaded to this server');
+      }
+
+      const texts = transcript.split(/\s+/).filter(Boolean);
+      const slot = texts.length > 0 ? durationMs(buffer, texts.length) / texts.length : 0;
+
+      return {
+        text: texts.join(' '),
+        words: texts.map((text, i) => ({
+          text,
+          start: Math.round(i * slot),
+          end: Math.round((i + 1) * slot),
+          confidence: null
+        })),
+        confidence: null,
+        languageCode
+      };
+    }
+  };
+};
+
+module.exports = { createLocalTranscriber };
@@ -0,0 +1,193 @@
+/**
+ * Arm drift (pronator drift) test
+ * The person holds both arms out at shoulder level for about ten seconds.
+ * A weak arm slowly drops or drifts sideways, so we compare how far each
+ * wrist and elbow moved between the start and the end of the hold, relative
+ * to the other arm. Distances are in shoulder widths so the result does not
+ * depend on how far the person stands from the camera.
+ *
+ * Uses MediaPipe Pose landmarks 11-16 (shoulders, elbows, wrists).
+ *
+ * Loads as a CommonJS module or, in the browser, as StrokeShield.armDrift.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StrokeShield = root.StrokeShield || {};
+    root.StrokeShield.armDrift = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const POSE_ARM_LANDMARKS = {
+    leftShoulder: 11,
+    rightShoulder: 12,
+    leftElbow: 13,
+    rightElbow: 14,
+    leftWrist: 15,
+    rightWrist: 16
+  };
+
+  // How long the arms are held up
+  const ARM_DRIFT_DURATION_MS = 10000;
+
+  // Frames at the start and end of the hold that are averaged into the
+  // reference and final arm positions
+  const ARM_DRIFT_WINDOW_MS = 1000;
+
+  // Landmarks less visible than this are not trusted
+  const MIN_VISIBILITY = 0.5;
+
+  // Fewest usable frames in each of the start and end windows
+  const MIN_WINDOW_FRAMES = 3;
+
+  // A wrist further than this from shoulder height (in shoulder widths)
+  // at the start means the arms were not raised
+  const RAISED_TOLERANCE = 0.6;
+
+  // A drop difference of this many shoulder widths scores as full drift (1.0)
+  const FULL_DRIFT = 0.5;
+
+  // Sideways drift counts for less than dropping
+  const SIDEWAYS_WEIGHT = 0.5;
+
+  // Smallest relative drop (in shoulder widths) reported as a weaker side
+  const WEAKER_SIDE_THRESHOLD = 0.05;
+
+  // Values of weakerSide when one arm dropped more
+  const ARM_SIDES = ['left', 'right'];
+
+  const isVisible = (landmark) => {
+    return Boolean(landmark) && (typeof landmark.visibility !== 'number' || landmark.visibility >= MIN_VISIBILITY);
+  };
+
+  // Arm positions for one frame relative to the shoulders, or null when
+  // any of the arm landmarks is missing or hidden
+  const measureFrame = (landmarks) => {
+    if (!landmarks) return null;
+
+    const points = {};
+    const keys = Object.keys(POSE_ARM_LANDMARKS);
+    for (let i = 0; i < keys.length; i++) {
+      const landmark = landmarks[POSE_ARM_LANDMARKS[keys[i]]];
+      if (!isVisible(landmark)) return null;
+      points[keys[i]] = landmark;
+    }
+
+    const shoulderWidth = Math.hypot(
+      points.leftShoulder.x - points.rightShoulder.x,
+      points.leftShoulder.y - points.rightShoulder.y
+    );
+    if (shoulderWidth === 0) return null;
+
+    // Image y grows downwards, so a positive y offset is below the shoulder
+    const relative = (point, shoulder) => ({
+      x: (point.x - shoulder.x) / shoulderWidth,
+      y: (point.y - shoulder.y) / shoulderWidth
+    });
+
+    return {
+      leftWrist: relative(points.leftWrist, points.leftShoulder),
+      leftElbow: relative(points.leftElbow, points.leftShoulder),
+      rightWrist: relative(points.rightWrist, points.rightShoulder),
+      rightElbow: relative(points.rightElbow, points.rightShoulder)
+    };
+  };
+
+  const averageFrames = (frames) => {
+    const average = {};
+    Object.keys(frames[0]).forEach(key => {
+      average[key] = {
+        x: frames.reduce((sum, frame) => sum + frame[key].x, 0) / frames.length,
+        y: frames.reduce((sum, frame) => sum + frame[key].y, 0) / frames.length
+      };
+    });
+    return average;
+  };
+
+  // How far one arm dropped and drifted sideways between the two positions.
+  // The wrist and elbow are averaged so a bent wrist alone does not count.
+  const measureArm = (start, end, side) => {
+    const wrist = side + 'Wrist';
+    const elbow = side + 'Elbow';
+
+    return {
+      drop: ((end[wrist].y - start[wrist].y) + (end[elbow].y - start[elbow].y)) / 2,
+      drift: (Math.abs(end[wrist].x - start[wrist].x) + Math.abs(end[elbow].x - start[elbow].x)) / 2
+    };
+  };
+
+  // Collects pose frames over the hold and measures the drift at the end.
+  // Call addFrame with each frame's landmarks and a timestamp in milliseconds.
+  const createArmDriftTracker = ({ durationMs = ARM_DRIFT_DURATION_MS, windowMs = ARM_DRIFT_WINDOW_MS } = {}) => {
+    const frames = [];
+    let startTime = null;
+
+    const addFrame = (landmarks, timestamp) => {
+      if (startTime === null) {
+        startTime = timestamp;
+      }
+      if (timestamp - startTime > durationMs) return false;
+
+      const frame = measureFrame(landmarks);
+      if (!frame) return false;
+
+      frames.push({ time: timestamp - startTime, frame });
+      return true;
+    };
+
+    const getElapsed = () => {
+      if (startTime === null || frames.length === 0) return 0;
+      return frames[frames.length - 1].time;
+    };
+
+    const isComplete = () => getElapsed() >= durationMs - windowMs;
+
+    // The measured drift, or { error } when the hold could not be measured
+    const getResult = () => {
+      const startFrames = frames.filter(entry => entry.time <= windowMs).map(entry => entry.frame);
+      const endFrames = frames.filter(entry => entry.time >= getElapsed() - windowMs).map(entry => entry.frame);
+
+      if (!isComplete() || startFrames.length < MIN_WINDOW_FRAMES || endFrames.length < MIN_WINDOW_FRAMES) {
+        return { error: 'Both arms were not visible for the whole test' };
+      }
+
+      const start = averageFrames(startFrames);
+      const end = averageFrames(endFrames);
+
+      if (Math.abs(start.leftWrist.y) > RAISED_TOLERANCE || Math.abs(start.rightWrist.y) > RAISED_TOLERANCE) {
+        return { error: 'Both arms must be raised to shoulder level at the start of the test' };
+      }
+
+      const left = measureArm(start, end, 'left');
+      const right = measureArm(start, end, 'right');
+      const relativeDrop = left.drop - right.drop;
+      const relativeDrift = left.drift - right.drift;
+
+      let weakerSide = null;
+      if (Math.abs(relativeDrop) >= WEAKER_SIDE_THRESHOLD) {
+        weakerSide = relativeDrop > 0 ? 'left' : 'right';
+      }
+
+      return {
+        pronatorDrift: Math.min(1, (Math.abs(relativeDrop) + SIDEWAYS_WEIGHT * Math.abs(relativeDrift)) / FULL_DRIFT),
+        left,
+        right,
+        relativeDrop,
+        relativeDrift,
+        weakerSide,
+        frameCount: frames.length,
+        durationMs: getElapsed()
+      };
+    };
+
+    return { addFrame, getElapsed, isComplete, getResult };
+  };
+
+  return {
+    POSE_ARM_LANDMARKS,
+    ARM_DRIFT_DURATION_MS,
+    ARM_SIDES,
+    createArmDriftTracker
+  };
+});
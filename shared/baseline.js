@@ -0,0 +1,31 @@
+/**
+ * Personal baseline metrics
+ * The face and posture metrics recorded in a personal baseline, all 0-1
+ * ratios. Calibration averages them over stable frames and the server
+ * checks stored baselines against the same list.
+ *
+ * Loads as a CommonJS module or, in the browser, as StrokeShield.baseline.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StrokeShield = root.StrokeShield || {};
+    root.StrokeShield.baseline = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const BASELINE_METRICS = [
+    'eyeAsymmetry',
+    'mouthAsymmetry',
+    'eyebrowAsymmetry',
+    'overallAsymmetry',
+    'shoulderImbalance',
+    'headTilt',
+    'bodyLean'
+  ];
+
+  return {
+    BASELINE_METRICS
+  };
+});
@@ -0,0 +1,171 @@
+/**
+ * Command-following task
+ * A simple command ("close your eyes", "raise your left arm") is spoken to
+ * the person and the face and pose landmarks are watched for it being
+ * carried out. Following it shows the command was understood, which reading
+ * aloud cannot test. Raising the other arm is recorded as a wrong action.
+ *
+ * Uses MediaPipe Face Mesh eyelid and lip landmarks and Pose landmarks
+ * 11, 12, 15 and 16 (shoulders and wrists).
+ *
+ * Loads as a CommonJS module or, in the browser, as StrokeShield.commandTasks.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StrokeShield = root.StrokeShield || {};
+    root.StrokeShield.commandTasks = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Eyelid and mouth landmarks: [top, bottom, one corner, other corner]
+  const FACE_OPENINGS = {
+    rightEye: [159, 145, 33, 133],
+    leftEye: [386, 374, 362, 263],
+    mouth: [13, 14, 78, 308]
+  };
+
+  const POSE_LANDMARKS = {
+    leftShoulder: 11,
+    rightShoulder: 12,
+    leftWrist: 15,
+    rightWrist: 16
+  };
+
+  // How long the person has to carry out a command
+  const COMMAND_DURATION_MS = 8000;
+
+  // Consecutive frames the action must be held to count
+  const HOLD_FRAMES = 5;
+
+  // Eyes are closed below this height-to-width ratio (open eyes are about 0.3)
+  const EYE_CLOSED_RATIO = 0.12;
+
+  // The mouth is open above this height-to-width ratio
+  const MOUTH_OPEN_RATIO = 0.35;
+
+  const MIN_VISIBILITY = 0.5;
+
+  const isVisible = (landmark) => {
+    return Boolean(landmark) && (typeof landmark.visibility !== 'number' || landmark.visibility >= MIN_VISIBILITY);
+  };
+
+  // Height of an opening relative to its width
+  const openingRatio = (landmarks, [top, bottom, cornerA, cornerB]) => {
+    const width = Math.hypot(landmarks[cornerA].x - landmarks[cornerB].x, landmarks[cornerA].y - landmarks[cornerB].y);
+    return width > 0 ? Math.abs(landmarks[bottom].y - landmarks[top].y) / width : null;
+  };
+
+  // A wrist above its shoulder; null when either is not visible
+  const isArmRaised = (pose, side) => {
+    const shoulder = pose[POSE_LANDMARKS[side + 'Shoulder']];
+    const wrist = pose[POSE_LANDMARKS[side + 'Wrist']];
+    if (!isVisible(shoulder) || !isVisible(wrist)) return null;
+
+    // Image y grows downwards
+    return wrist.y < shoulder.y;
+  };
+
+  // Each action reads one landmark stream. `check` returns true when the
+  // action is being done, false when not, and null when it cannot be seen.
+  // `wrong` (optional) spots the action most often done by mistake.
+  const COMMAND_ACTIONS = {
+    closeEyes: {
+      source: 'face',
+      check: (face) => {
+        const right = openingRatio(face, FACE_OPENINGS.rightEye);
+        const left = openingRatio(face, FACE_OPENINGS.leftEye);
+        if (right === null || left === null) return null;
+        return right < EYE_CLOSED_RATIO && left < EYE_CLOSED_RATIO;
+      }
+    },
+    openMouth: {
+      source: 'face',
+      check: (face) => {
+        const mouth = openingRatio(face, FACE_OPENINGS.mouth);
+        return mouth === null ? null : mouth > MOUTH_OPEN_RATIO;
+      }
+    },
+    raiseLeftArm: {
+      source: 'pose',
+      check: (pose) => isArmRaised(pose, 'left'),
+      wrong: (pose) => isArmRaised(pose, 'right') === true && isArmRaised(pose, 'left') !== true
+    },
+    raiseRightArm: {
+      source: 'pose',
+      check: (pose) => isArmRaised(pose, 'right'),
+      wrong: (pose) => isArmRaised(pose, 'left') === true && isArmRaised(pose, 'right') !== true
+    }
+  };
+
+  /**
+   * Watches the landmark streams for one command. Feed every frame with
+   * addFrame({ face, pose }, timestampMs); either may be null. getResult()
+   * reports whether the action was held for HOLD_FRAMES frames in a row, how
+   * long that took, and whether a wrong action was held instead.
+   */
+  const createCommandCheck = (action, { durationMs = COMMAND_DURATION_MS } = {}) => {
+    const definition = COMMAND_ACTIONS[action];
+    if (!definition) {
+      throw new Error(`Unknown command action "${action}"`);
+    }
+
+    let startTime = null;
+    let framesSeen = 0;
+    let heldFrames = 0;
+    let wrongFrames = 0;
+    let completedAt = null;
+    let wrongAction = false;
+
+    const getElapsed = () => (startTime === null ? 0 : Date.now() - startTime);
+
+    const isComplete = () => completedAt !== null || (startTime !== null && getElapsed() >= durationMs);
+
+    const addFrame = (streams, timestamp) => {
+      if (startTime === null) startTime = timestamp;
+      if (completedAt !== null || timestamp - startTime > durationMs) return;
+
+      const landmarks = streams[definition.source];
+      const done = landmarks ? definition.check(landmarks) : null;
+      if (done === null) return;
+
+      framesSeen++;
+      heldFrames = done ? heldFrames + 1 : 0;
+      if (heldFrames >= HOLD_FRAMES) {
+        completedAt = timestamp;
+      }
+
+      wrongFrames = definition.wrong && definition.wrong(landmarks) ? wrongFrames + 1 : 0;
+      if (wrongFrames >= HOLD_FRAMES) {
+        wrongAction = true;
+      }
+    };
+
+    const getResult = () => {
+      if (framesSeen < HOLD_FRAMES) {
+        return {
+          error: definition.source === 'face'
+            ? 'Your face was not detected. Face the camera and try again.'
+            : 'Your arms were not detected. Step back so your upper body is visible and try again.'
+        };
+      }
+
+      return {
+        action,
+        completed: completedAt !== null,
+        responseSeconds: completedAt !== null ? (completedAt - startTime) / 1000 : null,
+        wrongAction,
+        framesSeen
+      };
+    };
+
+    return { addFrame, getElapsed, isComplete, getResult };
+  };
+
+  return {
+    COMMAND_ACTIONS,
+    COMMAND_DURATION_MS,
+    createCommandCheck
+  };
+});
@@ -0,0 +1,20 @@
+/**
+ * Scoring logic shared by the server, the React app and the static page
+ * Each module is also usable on its own as a browser script.
+ */
+
+const riskEngine = require('./riskEngine');
+const armDrift = require('./armDrift');
+const languages = require('./languages');
+const commandTasks = require('./commandTasks');
+const nihss = require('./nihss');
+const baseline = require('./baseline');
+
+module.exports = {
+  ...riskEngine,
+  ...armDrift,
+  ...languages,
+  ...commandTasks,
+  ...nihss,
+  ...baseline
+};
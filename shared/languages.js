@@ -0,0 +1,74 @@
+/**
+ * Supported assessment languages
+ * A session is run in one language. It decides the speech recognition and
+ * transcription language, the reading passages offered, how the speech is
+ * analyzed and which hesitation sounds the local scorer ignores.
+ *
+ * Loads as a CommonJS module or, in the browser, as StrokeShield.languages.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StrokeShield = root.StrokeShield || {};
+    root.StrokeShield.languages = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // `name` is shown to patients, `englishName` is used in analysis prompts.
+  // `fillerWords` are hesitation sounds; `ambiguousFillerWords` are ordinary
+  // words also used as fillers, counted only where a reading passage shows
+  // they were not part of the text.
+  const LANGUAGES = {
+    en: {
+      code: 'en',
+      name: 'English',
+      englishName: 'English',
+      recognitionLang: 'en-US',
+      transcriptionCode: 'en',
+      fillerWords: ['um', 'uh', 'er', 'erm', 'ah', 'hmm', 'mm'],
+      ambiguousFillerWords: []
+    },
+    es: {
+      code: 'es',
+      name: 'Español',
+      englishName: 'Spanish',
+      recognitionLang: 'es-ES',
+      transcriptionCode: 'es',
+      fillerWords: ['eh', 'em', 'mmm', 'mm'],
+      ambiguousFillerWords: ['este', 'pues']
+    },
+    fr: {
+      code: 'fr',
+      name: 'Français',
+      englishName: 'French',
+      recognitionLang: 'fr-FR',
+      transcriptionCode: 'fr',
+      fillerWords: ['euh', 'heu', 'hum', 'mm'],
+      ambiguousFillerWords: ['bah', 'ben']
+    },
+    de: {
+      code: 'de',
+      name: 'Deutsch',
+      englishName: 'German',
+      recognitionLang: 'de-DE',
+      transcriptionCode: 'de',
+      fillerWords: ['äh', 'ähm', 'öh', 'hm', 'hmm', 'mm'],
+      ambiguousFillerWords: []
+    }
+  };
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  const isSupportedLanguage = (code) => Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+
+  // The language settings for a code, falling back to the default language
+  const getLanguage = (code) => LANGUAGES[isSupportedLanguage(code) ? code : DEFAULT_LANGUAGE];
+
+  return {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isSupportedLanguage,
+    getLanguage
+  };
+});
@@ -0,0 +1,236 @@
+/**
+ * Approximate NIHSS scoring
+ * Maps what the app measures onto the NIH Stroke Scale items clinicians use.
+ * Scores are approximations from camera and microphone data, not an
+ * examination: items the app cannot observe at all (consciousness, visual
+ * fields, legs, ataxia, sensation, neglect) are reported as not assessable,
+ * and items whose test was not run this time as not assessed.
+ *
+ * Input (every part optional):
+ * - face: facial and gaze metrics (eyeAsymmetry, mouthAsymmetry,
+ *   mouthMovementAsymmetry, eyebrowAsymmetry, eyeClosureAsymmetry,
+ *   gazeDeviation, gazeMismatch), all 0-1
+ * - arm: { pronatorDrift, weakerSide } from the arm drift test
+ * - speech: a speech analysis (slurredSpeechScore, wordFindingScore, 0-100)
+ * - tasks: naming, repetition and command task results
+ *
+ * Loads as a CommonJS module or, in the browser, as StrokeShield.nihss.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StrokeShield = root.StrokeShield || {};
+    root.StrokeShield.nihss = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Items in scale order. `assessable: false` marks the ones no data we
+  // collect can stand in for.
+  const NIHSS_ITEMS = [
+    { item: '1a', label: 'Level of consciousness', maxScore: 3, assessable: false, reason: 'Needs an examiner to judge alertness' },
+    { item: '1b', label: 'LOC questions', maxScore: 2, assessable: false, reason: 'The app does not ask the month and age' },
+    { item: '1c', label: 'LOC commands', maxScore: 2 },
+    { item: '2', label: 'Best gaze', maxScore: 2 },
+    { item: '3', label: 'Visual fields', maxScore: 3, assessable: false, reason: 'Visual fields are not tested' },
+    { item: '4', label: 'Facial palsy', maxScore: 3 },
+    { item: '5a', label: 'Motor arm - left', maxScore: 4 },
+    { item: '5b', label: 'Motor arm - right', maxScore: 4 },
+    { item: '6a', label: 'Motor leg - left', maxScore: 4, assessable: false, reason: 'Legs are not in view of the camera' },
+    { item: '6b', label: 'Motor leg - right', maxScore: 4, assessable: false, reason: 'Legs are not in view of the camera' },
+    { item: '7', label: 'Limb ataxia', maxScore: 2, assessable: false, reason: 'Finger-nose and heel-shin tests are not run' },
+    { item: '8', label: 'Sensory', maxScore: 2, assessable: false, reason: 'Sensation cannot be tested remotely' },
+    { item: '9', label: 'Best language', maxScore: 3 },
+    { item: '10', label: 'Dysarthria', maxScore: 2 },
+    { item: '11', label: 'Extinction and inattention', maxScore: 2, assessable: false, reason: 'Neglect is not tested' }
+  ];
+
+  // Metric values (0-1) at which each item scores a point more
+  const THRESHOLDS = {
+    // Gaze pulled to one side (partial palsy) or held there (forced deviation)
+    gaze: { partial: 0.25, forced: 0.6 },
+    // Lower face: minor, partial paralysis; upper face as well: complete
+    lowerFace: { minor: 0.15, partial: 0.3 },
+    upperFace: 0.3,
+    // Arm drift, and a drop large enough to count as effort against gravity
+    armDrift: { drift: 0.15, falls: 0.5 },
+    // Share of language errors and slurring: mild to moderate, severe
+    language: { mild: 0.25, severe: 0.6 },
+    dysarthria: { mild: 0.25, severe: 0.6 }
+  };
+
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+  const maxOf = (...values) => {
+    const numbers = values.filter(isNumber);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  };
+
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  const scored = (score, basis) => ({ status: 'scored', score, basis });
+  const notAssessed = (basis) => ({ status: 'not-assessed', score: null, basis });
+
+  // 1c: two commands, 0 when both were carried out, 2 when neither was
+  const scoreCommands = (tasks) => {
+    const latestByCommand = {};
+    tasks
+      .filter(task => task.taskType === 'command')
+      .forEach(task => {
+        const latest = latestByCommand[task.passageId];
+        if (!latest || new Date(task.timestamp) > new Date(latest.timestamp)) {
+          latestByCommand[task.passageId] = task;
+        }
+      });
+
+    const commands = Object.values(latestByCommand)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 2);
+    if (commands.length === 0) {
+      return notAssessed('Run the "Follow the command" task');
+    }
+
+    // With a single command done, the missing one is taken as carried out
+    const failed = commands.filter(command => !command.correct).length;
+    const basis = commands.length === 1
+      ? `${failed ? 'Did not carry out' : 'Carried out'} the one command given (the scale uses two)`
+      : `${2 - failed} of 2 commands carried out`;
+    return scored(failed, basis);
+  };
+
+  const scoreGaze = (face) => {
+    if (!face || !isNumber(face.gazeDeviation)) {
+      return notAssessed('Run the eye movement test');
+    }
+
+    const basis = `Gaze deviation ${percent(face.gazeDeviation)}`;
+    if (face.gazeDeviation >= THRESHOLDS.gaze.forced) return scored(2, `${basis} - forced deviation`);
+    if (face.gazeDeviation >= THRESHOLDS.gaze.partial) return scored(1, `${basis} - partial gaze palsy`);
+    return scored(0, basis);
+  };
+
+  // Lower face from the smile (or the resting mouth), upper face from the
+  // eyebrows and eye closure
+  const scoreFace = (face) => {
+    const lower = face ? maxOf(face.mouthMovementAsymmetry, face.mouthAsymmetry) : null;
+    if (lower === null) {
+      return notAssessed('No facial metrics recorded');
+    }
+
+    const upper = maxOf(face.eyebrowAsymmetry, face.eyeClosureAsymmetry);
+    const basis = `Lower face asymmetry ${percent(lower)}` + (upper === null ? '' : `, upper face ${percent(upper)}`);
+
+    if (lower >= THRESHOLDS.lowerFace.partial && upper !== null && upper >= THRESHOLDS.upperFace) {
+      return scored(3, `${basis} - upper and lower face`);
+    }
+    if (lower >= THRESHOLDS.lowerFace.partial) return scored(2, `${basis} - partial paralysis`);
+    if (lower >= THRESHOLDS.lowerFace.minor) return scored(1, `${basis} - minor paralysis`);
+    return scored(0, basis);
+  };
+
+  // The weaker arm drifts (1) or drops (2); the other arm held still
+  const scoreArm = (arm, side) => {
+    if (!arm || !isNumber(arm.pronatorDrift)) {
+      return notAssessed('Run the arm drift test');
+    }
+
+    const basis = `Pronator drift ${percent(arm.pronatorDrift)}`;
+    if (arm.pronatorDrift < THRESHOLDS.armDrift.drift) {
+      return scored(0, `${basis} - both arms held`);
+    }
+    if (!arm.weakerSide) {
+      return notAssessed(`${basis}, but the weaker side was not recorded`);
+    }
+    if (arm.weakerSide !== side) {
+      return scored(0, `${basis} - the ${arm.weakerSide} arm drifted`);
+    }
+    return arm.pronatorDrift >= THRESHOLDS.armDrift.falls
+      ? scored(2, `${basis} - the arm dropped`)
+      : scored(1, `${basis} - drift`);
+  };
+
+  // Naming and repetition errors and word-finding trouble in the reading.
+  // No words in any answer counts as mute.
+  const scoreLanguage = (speech, tasks) => {
+    const languageTasks = tasks.filter(task => task.taskType === 'naming' || task.taskType === 'repetition');
+    if (!speech && languageTasks.length === 0) {
+      return notAssessed('Run a naming or repetition task or read a passage aloud');
+    }
+
+    const parts = [];
+    let impairment = 0;
+    if (languageTasks.length > 0) {
+      const taskErrors = 1 - languageTasks.reduce((sum, task) => sum + task.score, 0) / languageTasks.length;
+      impairment = Math.max(impairment, taskErrors);
+      parts.push(`${languageTasks.filter(task => task.correct).length} of ${languageTasks.length} naming and repetition items correct`);
+    }
+    if (speech && isNumber(speech.wordFindingScore)) {
+      impairment = Math.max(impairment, speech.wordFindingScore / 100);
+      parts.push(`word finding ${speech.wordFindingScore}%`);
+    }
+    const summary = parts.join(', ');
+    const basis = summary.charAt(0).toUpperCase() + summary.slice(1);
+
+    const silent = (text) => !text || !text.trim();
+    const mute = languageTasks.length >= 2 &&
+      languageTasks.every(task => silent(task.transcript)) &&
+      (!speech || silent(speech.transcript));
+    if (mute) return scored(3, 'No words in any answer - mute');
+
+    if (impairment >= THRESHOLDS.language.severe) return scored(2, `${basis} - severe aphasia`);
+    if (impairment >= THRESHOLDS.language.mild) return scored(1, `${basis} - mild to moderate aphasia`);
+    return scored(0, basis);
+  };
+
+  const scoreDysarthria = (speech) => {
+    if (!speech || !isNumber(speech.slurredSpeechScore)) {
+      return notAssessed('Read a passage aloud');
+    }
+
+    const slurring = speech.slurredSpeechScore / 100;
+    const basis = `Slurred speech ${speech.slurredSpeechScore}%`;
+    if (slurring >= THRESHOLDS.dysarthria.severe) return scored(2, `${basis} - severe`);
+    if (slurring >= THRESHOLDS.dysarthria.mild) return scored(1, `${basis} - mild to moderate`);
+    return scored(0, basis);
+  };
+
+  /**
+   * Scores the NIHSS items the data covers. Returns every item with its
+   * status ('scored', 'not-assessed' or 'not-assessable'), score and the
+   * measurement it rests on, plus the total of the scored items, the most
+   * they could add up to, and the ids of the items left out.
+   */
+  const evaluateNihss = ({ face = null, arm = null, speech = null, tasks = [] } = {}) => {
+    const scorers = {
+      '1c': () => scoreCommands(tasks),
+      '2': () => scoreGaze(face),
+      '4': () => scoreFace(face),
+      '5a': () => scoreArm(arm, 'left'),
+      '5b': () => scoreArm(arm, 'right'),
+      '9': () => scoreLanguage(speech, tasks),
+      '10': () => scoreDysarthria(speech)
+    };
+
+    const items = NIHSS_ITEMS.map(({ item, label, maxScore, assessable = true, reason }) => ({
+      item,
+      label,
+      maxScore,
+      ...(assessable ? scorers[item]() : { status: 'not-assessable', score: null, basis: reason })
+    }));
+
+    const scoredItems = items.filter(item => item.status === 'scored');
+
+    return {
+      items,
+      total: scoredItems.reduce((sum, item) => sum + item.score, 0),
+      maxTotal: scoredItems.reduce((sum, item) => sum + item.maxScore, 0),
+      notAssessed: items.filter(item => item.status !== 'scored').map(item => item.item),
+      approximate: true
+    };
+  };
+
+  return {
+    NIHSS_ITEMS,
+    evaluateNihss
+  };
+});
@@ -0,0 +1,276 @@
+/**
+ * Stroke risk engine
+ * The single place where metrics are turned into a risk level, a numeric
+ * score and a findings list. The server, the React app and the static page
+ * all use this module so the same metrics always get the same result.
+ *
+ * evaluateFastRisk combines the face, arm and speech results of one
+ * session into a single FAST risk.
+ *
+ * The thresholds, points and messages are not defined here - they come from
+ * a rules object (see server/riskRules.json, served at /api/risk/rules).
+ *
+ * Loads as a CommonJS module or, in the browser, as StrokeShield.riskEngine.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StrokeShield = root.StrokeShield || {};
+    root.StrokeShield.riskEngine = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Express metrics as the increase over a personal baseline.
+  // Values at or below the baseline count as no change.
+  const applyBaseline = (metrics, baseline) => {
+    if (!baseline || !baseline.metrics) return metrics;
+
+    const adjusted = Object.assign({}, metrics);
+    Object.keys(baseline.metrics).forEach(key => {
+      if (typeof metrics[key] === 'number' && typeof baseline.metrics[key] === 'number') {
+        adjusted[key] = Math.max(0, metrics[key] - baseline.metrics[key]);
+      }
+    });
+    return adjusted;
+  };
+
+  // Highest number of points a rule set can award
+  const getMaxScore = (rules) => {
+    return Object.keys(rules.metrics).reduce((total, key) => {
+      const points = rules.metrics[key].levels.map(level => level.points);
+      return total + Math.max.apply(null, [0].concat(points));
+    }, 0);
+  };
+
+  // Returns a list of problems with a rules object (empty when valid)
+  const validateRiskRules = (rules) => {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object') {
+      return ['Rules must be an object'];
+    }
+
+    if (!rules.metrics || typeof rules.metrics !== 'object') {
+      errors.push('Rules must define "metrics"');
+    } else {
+      Object.keys(rules.metrics).forEach(key => {
+        const levels = rules.metrics[key].levels;
+        if (!Array.isArray(levels) || levels.length === 0) {
+          errors.push(`Metric "${key}" must define at least one level`);
+          return;
+        }
+        levels.forEach((level, index) => {
+          if (typeof level.above !== 'number' || typeof level.points !== 'number') {
+            errors.push(`Metric "${key}" level ${index} needs numeric "above" and "points"`);
+          }
+          if (index > 0 && level.above >= levels[index - 1].above) {
+            errors.push(`Metric "${key}" levels must be ordered from highest to lowest threshold`);
+          }
+        });
+      });
+    }
+
+    if (!Array.isArray(rules.riskLevels) || rules.riskLevels.length === 0) {
+      errors.push('Rules must define "riskLevels"');
+    } else {
+      const last = rules.riskLevels[rules.riskLevels.length - 1];
+      if (last.minScore !== 0) {
+        errors.push('The last risk level must have "minScore": 0 so every score is covered');
+      }
+    }
+
+    if (!rules.fast || !rules.fast.components) {
+      errors.push('Rules must define "fast.components"');
+    } else {
+      ['face', 'arm'].forEach(key => {
+        const component = rules.fast.components[key];
+        if (!component || !Array.isArray(component.metrics) || !Array.isArray(component.riskLevels)) {
+          errors.push(`FAST component "${key}" needs "metrics" and "riskLevels"`);
+        }
+      });
+      if (!rules.fast.components.speech || !rules.fast.components.speech.points) {
+        errors.push('FAST component "speech" needs "points"');
+      }
+      if (!rules.fast.findings || typeof rules.fast.highWhenMediumCount !== 'number') {
+        errors.push('Rules must define "fast.findings" and "fast.highWhenMediumCount"');
+      }
+    }
+
+    return errors;
+  };
+
+  // Add up points, high-risk indicators and findings for the given metric keys
+  const scoreMetrics = (metrics, rules, keys) => {
+    const result = { score: 0, highRiskIndicators: 0, findings: [], evaluatedMetrics: [] };
+
+    keys.forEach(key => {
+      const value = metrics[key];
+      if (!rules.metrics[key] || typeof value !== 'number' || Number.isNaN(value)) return;
+
+      result.evaluatedMetrics.push(key);
+
+      // Levels are ordered highest first, so the first match wins
+      const level = rules.metrics[key].levels.find(candidate => value > candidate.above);
+      if (!level) return;
+
+      result.score += level.points;
+      if (level.highRisk) {
+        result.highRiskIndicators++;
+      }
+      if (level.finding) {
+        result.findings.push(level.finding);
+      }
+    });
+
+    return result;
+  };
+
+  // First risk level whose score or high-risk indicator threshold is reached
+  const pickRiskLevel = (riskLevels, score, highRiskIndicators) => {
+    return riskLevels.find(level =>
+      score >= level.minScore ||
+      (typeof level.minHighRiskIndicators === 'number' && highRiskIndicators >= level.minHighRiskIndicators)
+    );
+  };
+
+  // Score a set of metrics against a rules object.
+  // `metrics` is a flat object such as { eyeAsymmetry, mouthAsymmetry, shoulderImbalance, ... };
+  // metrics that are missing or not numbers are skipped.
+  const evaluateRisk = (metrics, rules, options) => {
+    const baseline = options && options.baseline;
+    const scored = applyBaseline(metrics || {}, baseline);
+    const findings = [];
+
+    if (baseline && rules.baselineFinding) {
+      findings.push(rules.baselineFinding);
+    }
+
+    const result = scoreMetrics(scored, rules, Object.keys(rules.metrics));
+    const riskLevel = pickRiskLevel(rules.riskLevels, result.score, result.highRiskIndicators);
+
+    findings.push.apply(findings, result.findings);
+    if (riskLevel.finding) {
+      findings.push(riskLevel.finding);
+    }
+    if (rules.reminder) {
+      findings.push(rules.reminder);
+    }
+
+    return {
+      riskLevel: riskLevel.level,
+      score: result.score,
+      maxScore: getMaxScore(rules),
+      highRiskIndicators: result.highRiskIndicators,
+      findings,
+      evaluatedMetrics: result.evaluatedMetrics,
+      baselineApplied: Boolean(baseline),
+      rulesVersion: rules.version
+    };
+  };
+
+  // Score one metric-based FAST component (face or arm)
+  const evaluateMetricComponent = (metrics, rules, component) => {
+    const result = scoreMetrics(metrics, rules, component.metrics);
+    if (result.evaluatedMetrics.length === 0) return null;
+
+    const maxScore = component.metrics.reduce((total, key) => {
+      if (!rules.metrics[key]) return total;
+      return total + Math.max.apply(null, rules.metrics[key].levels.map(level => level.points));
+    }, 0);
+
+    return {
+      riskLevel: pickRiskLevel(component.riskLevels, result.score, result.highRiskIndicators).level,
+      score: result.score,
+      maxScore,
+      findings: result.findings
+    };
+  };
+
+  // Score the speech component from a stored speech analysis
+  const evaluateSpeechComponent = (speechAnalysis, component) => {
+    const riskLevel = speechAnalysis && typeof speechAnalysis.overallRisk === 'string'
+      ? speechAnalysis.overallRisk.toLowerCase()
+      : null;
+    if (!riskLevel || component.points[riskLevel] === undefined) return null;
+
+    const findings = [];
+    if (component.findings && component.findings[riskLevel]) {
+      findings.push(component.findings[riskLevel]);
+    }
+
+    return {
+      riskLevel,
+      score: component.points[riskLevel],
+      maxScore: Math.max.apply(null, Object.keys(component.points).map(key => component.points[key])),
+      findings
+    };
+  };
+
+  // Combine face, arm and speech results from one sitting into a single FAST risk.
+  // `inputs` is { asymmetryMetrics, postureMetrics, speechAnalysis }; any may be missing,
+  // in which case that component is reported as not assessed. With no results at all
+  // the risk level is null.
+  const evaluateFastRisk = (inputs, rules, options) => {
+    const fast = rules.fast;
+    const baseline = options && options.baseline;
+    const metrics = applyBaseline(
+      Object.assign({}, inputs.asymmetryMetrics, inputs.postureMetrics),
+      baseline
+    );
+
+    const components = {
+      face: inputs.asymmetryMetrics ? evaluateMetricComponent(metrics, rules, fast.components.face) : null,
+      arm: inputs.postureMetrics ? evaluateMetricComponent(metrics, rules, fast.components.arm) : null,
+      speech: evaluateSpeechComponent(inputs.speechAnalysis, fast.components.speech)
+    };
+
+    const assessed = Object.keys(components).filter(key => components[key]);
+    const notAssessed = Object.keys(components).filter(key => !components[key]);
+    const levels = assessed.map(key => components[key].riskLevel);
+    const mediumCount = levels.filter(level => level === 'medium').length;
+
+    // Nothing recorded yet means there is no risk to report, not a low one
+    let riskLevel = assessed.length > 0 ? 'low' : null;
+    if (levels.indexOf('high') !== -1 || mediumCount >= fast.highWhenMediumCount) {
+      riskLevel = 'high';
+    } else if (mediumCount > 0) {
+      riskLevel = 'medium';
+    }
+
+    const findings = [];
+    if (baseline && rules.baselineFinding) {
+      findings.push(rules.baselineFinding);
+    }
+    assessed.forEach(key => {
+      findings.push.apply(findings, components[key].findings);
+    });
+    notAssessed.forEach(key => {
+      findings.push(`No ${fast.components[key].label.toLowerCase()} results in this session.`);
+    });
+    if (riskLevel) {
+      findings.push(fast.findings[riskLevel]);
+    }
+    if (rules.reminder) {
+      findings.push(rules.reminder);
+    }
+
+    return {
+      riskLevel,
+      score: assessed.reduce((total, key) => total + components[key].score, 0),
+      maxScore: assessed.reduce((total, key) => total + components[key].maxScore, 0),
+      components,
+      notAssessed,
+      findings,
+      baselineApplied: Boolean(baseline),
+      rulesVersion: rules.version
+    };
+  };
+
+  return {
+    applyBaseline,
+    evaluateRisk,
+    evaluateFastRisk,
+    validateRiskRules
+  };
+});